@@ -3,31 +3,203 @@ import * as THREE from "three";
 import { OrbitControls } from "three/addons/controls/OrbitControls.js";
 import {
   loadTexture,
-  loadFrutaluxeCroppedTextures22XU,
-  loadFrutanaJoyCroppedTextures22XU,
-  loadFrutanaCroppedTextures22XU,
-  loadFrutanovaCroppedTextures22XU,
-  loadSindibadCroppedTextures22XU,
+  loadCroppedTextureSet,
+  TEXTURE_SLOTS,
 } from "./textureLoader.js";
-import { createBoxWithCustomUVs, createBanana } from "./boxGeometry.js";
+import { createBoxWithCustomUVs, createCutBoxGeometry } from "./boxGeometry.js";
+import {
+  boxDimensions,
+  CUSTOM_DIMENSION_LIMITS,
+  setCustomDimensions,
+  toMillimetres,
+  UNITS_PER_MM,
+} from "./boxDimensions.js";
+import { createDielineModel } from "./dieline.js";
+import {
+  buildDieline,
+  collectDielineArtwork,
+  createDielineSvg,
+  createDielinePdf,
+} from "./dielineExport.js";
+import {
+  downloadBlob,
+  blobToDataUrl,
+  toFileNamePart,
+  createZipBlob,
+  createCsvBlob,
+} from "./exportUtils.js";
+import { IMAGE_RESOLUTIONS, createSnapshotRenderer } from "./imageExport.js";
+import {
+  createPoseClip,
+  samplePosePath,
+  cloneForExport,
+  exportGlb,
+} from "./modelExport.js";
+import {
+  parseConfigParams,
+  buildShareUrl,
+  writeConfigToHistory,
+} from "./urlState.js";
+import { submitRequest, flushQueuedRequests } from "./requestSubmission.js";
+import {
+  BOX_STYLES,
+  DEFAULT_BOX_STYLE,
+  createTelescopicLid,
+  getLidPath,
+} from "./telescopicLid.js";
+import {
+  CUSTOM_BRAND,
+  SLOT_LABELS,
+  DEFAULT_ARTWORK_TRANSFORM,
+  getCustomTextureSet,
+  setSlotArtwork,
+  setSlotTransform,
+  clearSlotArtwork,
+  getSlotArtwork,
+  hasCustomArtwork,
+} from "./customArtwork.js";
+import {
+  MINIMUM_ORDER_QUANTITY,
+  PHONE_COUNTRIES,
+  REQUEST_DIMENSION_FIELDS,
+  validateRequestForm,
+} from "./formValidation.js";
+import {
+  BATCH_IMAGE_SIZE,
+  BATCH_CAMERA_ANGLES,
+  createBatchCamera,
+  createThumbnail,
+  createContactSheet,
+} from "./batchRender.js";
+import { checkTextureSet, getWorstLevel } from "./printCheck.js";
+import {
+  BOARD_GRADES,
+  DEFAULT_BOARD_GRADE,
+  getBoardThickness,
+  createBoardPanel,
+  createPrintedBoardMaterial,
+  createKraftMaterial,
+} from "./cardboardMaterial.js";
+import {
+  RIPENESS_STAGES,
+  DEFAULT_RIPENESS,
+  createBananaMaterials,
+  setBananaRipeness,
+  getDefaultNetWeight,
+  createBananaPack,
+} from "./bananaBunch.js";
+import {
+  PACKING_COMPONENTS,
+  getPackingFloorHeight,
+  getPackingLineItems,
+  createPackingComponents,
+} from "./packingComponents.js";
+import {
+  PALLETS,
+  PALLET_PATTERNS,
+  DEFAULT_PALLET,
+  planPalletLoad,
+  createPalletModel,
+  instanceBoxGroup,
+} from "./palletLoad.js";
+import {
+  CONTAINERS,
+  LOADING_MODES,
+  DEFAULT_CONTAINER,
+  planContainerLoad,
+  createLoadingPlanRows,
+  createContainerModel,
+} from "./containerLoad.js";
+import {
+  CUTOUT_SHAPES,
+  CUTOUT_PANELS,
+  CUTOUT_PRESETS,
+  getCutouts,
+  addCutout,
+  updateCutout,
+  removeCutout,
+  resetCutouts,
+  placeCutouts,
+  getDielineCutouts,
+  getModelCutouts,
+  getOpenArea,
+} from "./cutouts.js";
+import {
+  DEFAULT_STACKING,
+  STACKING_LIMITS,
+  estimateStacking,
+} from "./stackingStrength.js";
+import {
+  LABEL_FONTS,
+  applyLabelLayers,
+  getLayers,
+  addLayer,
+  updateLayer,
+  removeLayer,
+  moveLayer,
+  serializeLabelDesign,
+  loadLabelDesign,
+} from "./labelLayers.js";
 
 // Three.js Scene Setup
 let scene, camera, renderer, controls;
 let boxGroup, leftFlap, rightFlap, frontFlap, backFlap, boxBody;
-let lidGroup, lidRight, lidLeft, lidFront, lidBack; // Lid structure for FRUTALUXE
+let lidGroup, lidRight, lidLeft, lidFront, lidBack; // Lid structure for FRUTALUXE, or the telescopic lid
 let bananas = []; // Array to hold banana objects
+let bananaMaterials = null; // Peel and crown materials shared by every pack
+let bananaRipeness = DEFAULT_RIPENESS;
+let bananaNetWeight = null; // Target net weight (kg), null for the box default
+let currentPack = null; // Latest banana pack, for the packing line items
+let packingGroup = null; // Polybag, pad and slip sheets around the fruit
+let packingComponents = []; // Ids of the chosen PACKING_COMPONENTS
 let dimensionsVisible = false;
 let dimensionsGroup;
-let currentBrand = "FRUTANA";
-let currentBoxType = "22XU";
+const DEFAULT_BRAND = "FRUTANA";
+const DEFAULT_BOX_TYPE = "22XU";
+let currentBrand = DEFAULT_BRAND;
+let currentBoxType = DEFAULT_BOX_TYPE;
+let currentBoardGrade = DEFAULT_BOARD_GRADE;
+let currentBoxStyle = DEFAULT_BOX_STYLE;
 let flapsOpen = false;
 let lidOpen = false; // State for lid lift
-
-// Box dimensions based on type (in cm, scaled for 3D)
-// Dimensions extracted from engineering drawings in PDFs (converted from mm to cm)
-const boxDimensions = {
-  "22XU": { width: 5.22, height: 2.36, depth: 3.87, lidHeight: 0.5 }, // 522mm x 236mm x 387mm
-  208: { width: 5.15, height: 2.13, depth: 3.42, lidHeight: 0.5 }, // 515mm x 213mm x 342mm
+let lidPath = null; // Poses the lid moves through as it opens
+let lidMotion = { progress: 0 }; // 0 = closed, 1 = open, along lidPath
+let currentTextureSet = null; // Cropped texture set of the current box
+let baseTextureSet = null; // The same set before label layers
+let flatBlankActive = false; // Flat blank (dieline) view state
+let dielineModel = null;
+let dielineFold = { progress: 1 }; // 0 = flat blank, 1 = assembled box
+let assembledCameraPosition = null;
+let palletViewActive = false; // Pallet load view state
+let palletModel = null;
+let palletSettings = { ...DEFAULT_PALLET };
+let containerViewActive = false; // Reefer container view state
+let containerModel = null;
+let containerUnit = null; // The pallet or stack the container is filled with
+let containerFill = { progress: 0 }; // Units loaded so far
+let containerSettings = { ...DEFAULT_CONTAINER };
+let stackingSettings = { ...DEFAULT_STACKING }; // Humidity and days in the cold chain
+let singleBoxCamera = null; // Camera before the pallet or container view
+let snapshotRenderer = null; // Offscreen renderer for image downloads, created on first use
+let batchRendering = false;
+let pendingBoxState = null; // Flap/lid state to apply once createBox has built
+let restoringUrlState = false;
+let urlStateRecorded = false; // First sync replaces the landing entry
+let printCheckActive = false; // Print-safety results shown and kept up to date
+let printCheckTimer = null;
+let flapDrag = null; // Flap being folded by pointer drag
+let flapNoticeTimer = null;
+
+// Body faces (in BoxGeometry material order) opened by the wall and
+// bottom cut-outs, by panel
+const BODY_CUTOUT_FACES = { right: 0, left: 1, bottom: 3, front: 4, back: 5 };
+
+// Custom size inputs (mm), keyed like CUSTOM_DIMENSION_LIMITS
+const customDimensionInputs = {
+  length: "customLength",
+  width: "customWidth",
+  height: "customHeight",
+  lidHeight: "customLidHeight",
 };
 
 // Initialize the 3D scene
@@ -54,6 +226,9 @@ function init() {
   renderer.shadowMap.type = THREE.PCFSoftShadowMap;
   container.appendChild(renderer.domElement);
 
+  // Before the orbit controls, so a press on a flap can hold them off
+  initFlapInteraction();
+
   // OrbitControls
   controls = new OrbitControls(camera, renderer.domElement);
   controls.enableDamping = true;
@@ -110,6 +285,7 @@ function init() {
   // Grid helper (subtle)
   const gridHelper = new THREE.GridHelper(20, 20, 0xcccccc, 0xe0e0e0);
   gridHelper.position.y = -0.005;
+  gridHelper.userData.excludeFromSnapshot = true;
   scene.add(gridHelper);
 
   // Handle window resize
@@ -124,6 +300,17 @@ function init() {
 }
 
 // Create the box model
+// Box body with the wall and bottom cut-outs as openings
+function createBodyGeometry(dims, cutouts) {
+  return createCutBoxGeometry(
+    { x: dims.width, y: dims.height, z: dims.depth },
+    Object.entries(BODY_CUTOUT_FACES).map(([panel, face]) => ({
+      face,
+      outlines: cutouts[panel],
+    }))
+  );
+}
+
 async function createBox() {
   if (boxGroup) {
     scene.remove(boxGroup);
@@ -141,86 +328,44 @@ async function createBox() {
 
   boxGroup = new THREE.Group();
   const dims = boxDimensions[currentBoxType];
-
-  // Load texture
-  const texture = await loadTexture(currentBrand, currentBoxType);
-
-  // Configure texture wrapping to prevent gaps between faces
-  if (texture) {
-    texture.wrapS = THREE.ClampToEdgeWrapping;
-    texture.wrapT = THREE.ClampToEdgeWrapping;
-    texture.repeat.set(1, 1);
-  }
-
-  // Materials and geometry: special handling for brands with cropped per-face textures
-  let flapMaterial;
-  let croppedTextureSet = null; // Store cropped texture set for reuse in flaps
-  const brandsWithCroppedTextures = [
-    "FRUTALUXE",
-    "FRUTANA JOY",
-    "FRUTANA",
-    "FRUTANOVA",
-    "SINDIBAD",
-  ];
-  const hasCroppedTextures =
-    (currentBoxType === "22XU" || currentBoxType === "208") &&
-    brandsWithCroppedTextures.includes(currentBrand);
+  const cutouts = getModelCutouts(dims);
+
+  // Materials and geometry: special handling for brands with cropped per-face textures.
+  // The texture manifest decides which brand/box type combinations have them.
+  let singleTexture = null; // Artwork of brands without cropped textures
+  // The custom brand paints the user's uploads into the same set structure
+  baseTextureSet =
+    currentBrand === CUSTOM_BRAND
+      ? getCustomTextureSet(currentBoxType)
+      : await loadCroppedTextureSet(currentBrand, currentBoxType);
+  // Label layers are composited over the brand artwork
+  const croppedTextureSet = applyLabelLayers(baseTextureSet);
+  const hasCroppedTextures = Boolean(croppedTextureSet);
+  currentTextureSet = croppedTextureSet;
 
   if (hasCroppedTextures) {
-    // Load appropriate texture set based on brand and box type
-    if (currentBoxType === "22XU") {
-      if (currentBrand === "FRUTALUXE") {
-        croppedTextureSet = await loadFrutaluxeCroppedTextures22XU();
-      } else if (currentBrand === "FRUTANA JOY") {
-        croppedTextureSet = await loadFrutanaJoyCroppedTextures22XU();
-      } else if (currentBrand === "FRUTANA") {
-        croppedTextureSet = await loadFrutanaCroppedTextures22XU();
-      } else if (currentBrand === "FRUTANOVA") {
-        croppedTextureSet = await loadFrutanovaCroppedTextures22XU();
-      } else if (currentBrand === "SINDIBAD") {
-        croppedTextureSet = await loadSindibadCroppedTextures22XU();
-      }
-    } else if (currentBoxType === "208") {
-      // For 208 boxes, use the same 22XU textures (they can be reused)
-      if (currentBrand === "FRUTALUXE") {
-        croppedTextureSet = await loadFrutaluxeCroppedTextures22XU();
-      } else if (currentBrand === "FRUTANA JOY") {
-        croppedTextureSet = await loadFrutanaJoyCroppedTextures22XU();
-      } else if (currentBrand === "FRUTANA") {
-        croppedTextureSet = await loadFrutanaCroppedTextures22XU();
-      } else if (currentBrand === "FRUTANOVA") {
-        croppedTextureSet = await loadFrutanovaCroppedTextures22XU();
-      } else if (currentBrand === "SINDIBAD") {
-        croppedTextureSet = await loadSindibadCroppedTextures22XU();
-      }
-    }
-
-    const geom = new THREE.BoxGeometry(dims.width, dims.height, dims.depth);
+    const geom = createBodyGeometry(dims, cutouts);
     // Exterior faces mapped individually
-    const matRight = new THREE.MeshStandardMaterial({
-      map: croppedTextureSet.faces.right,
-      roughness: 0.75,
-      metalness: 0.05,
-      side: THREE.DoubleSide,
-    });
-    const matLeft = new THREE.MeshStandardMaterial({
-      map: croppedTextureSet.faces.left,
-      roughness: 0.75,
-      metalness: 0.05,
-      side: THREE.DoubleSide,
-    });
-    const matFront = new THREE.MeshStandardMaterial({
-      map: croppedTextureSet.faces.front,
-      roughness: 0.75,
-      metalness: 0.05,
-      side: THREE.DoubleSide,
-    });
-    const matBack = new THREE.MeshStandardMaterial({
-      map: croppedTextureSet.faces.back,
-      roughness: 0.75,
-      metalness: 0.05,
-      side: THREE.DoubleSide,
-    });
+    const matRight = createPrintedBoardMaterial(
+      croppedTextureSet.faces.right,
+      [dims.depth, dims.height],
+      { side: THREE.DoubleSide }
+    );
+    const matLeft = createPrintedBoardMaterial(
+      croppedTextureSet.faces.left,
+      [dims.depth, dims.height],
+      { side: THREE.DoubleSide }
+    );
+    const matFront = createPrintedBoardMaterial(
+      croppedTextureSet.faces.front,
+      [dims.width, dims.height],
+      { side: THREE.DoubleSide }
+    );
+    const matBack = createPrintedBoardMaterial(
+      croppedTextureSet.faces.back,
+      [dims.width, dims.height],
+      { side: THREE.DoubleSide }
+    );
     // Make TOP FACE transparent so box is open from above
     const neutralTop = new THREE.MeshStandardMaterial({
       color: 0xd8c3a5,
@@ -232,12 +377,11 @@ async function createBox() {
     // Use bottom texture from the set (using first bottom flap texture as fallback)
     const bottomTexture =
       croppedTextureSet.faces.bottom || croppedTextureSet.flaps.bottom.long1;
-    const matBottom = new THREE.MeshStandardMaterial({
-      map: bottomTexture,
-      roughness: 0.75,
-      metalness: 0.05,
-      side: THREE.DoubleSide,
-    });
+    const matBottom = createPrintedBoardMaterial(
+      bottomTexture,
+      [dims.width, dims.depth],
+      { side: THREE.DoubleSide }
+    );
     boxBody = new THREE.Mesh(geom, [
       matRight,
       matLeft,
@@ -246,36 +390,36 @@ async function createBox() {
       matFront,
       matBack,
     ]);
-    // Flaps material will be assigned individually per flap below
-    flapMaterial = null;
   } else {
     // Default single-texture material path
-    const faceMaterial = new THREE.MeshStandardMaterial({
-      map: texture,
-      roughness: 0.75,
-      metalness: 0.05,
-      side: THREE.DoubleSide,
-    });
+    const texture = await loadTexture(currentBrand, currentBoxType);
+
+    // Configure texture wrapping to prevent gaps between faces
+    if (texture) {
+      texture.wrapS = THREE.ClampToEdgeWrapping;
+      texture.wrapT = THREE.ClampToEdgeWrapping;
+      texture.repeat.set(1, 1);
+    }
+
+    const faceMaterial = createPrintedBoardMaterial(
+      texture,
+      [dims.width, dims.height],
+      { side: THREE.DoubleSide }
+    );
     // Transparent top face to open the box
     const topMaterial = new THREE.MeshStandardMaterial({
       color: 0xffffff,
       transparent: true,
       opacity: 0.0,
     });
-    const bottomMaterial = new THREE.MeshStandardMaterial({
-      map: texture,
-      roughness: 0.75,
-      metalness: 0.05,
-      side: THREE.DoubleSide,
-    });
-    flapMaterial = new THREE.MeshStandardMaterial({
-      map: texture,
-      roughness: 0.75,
-      metalness: 0.05,
-      side: THREE.DoubleSide,
-    });
-    // Use regular BoxGeometry here so material indices map directly: [right, left, top, bottom, front, back]
-    const geom = new THREE.BoxGeometry(dims.width, dims.height, dims.depth);
+    const bottomMaterial = createPrintedBoardMaterial(
+      texture,
+      [dims.width, dims.depth],
+      { side: THREE.DoubleSide }
+    );
+    singleTexture = texture;
+    // Faces as in BoxGeometry, so material indices map directly: [right, left, top, bottom, front, back]
+    const geom = createBodyGeometry(dims, cutouts);
     boxBody = new THREE.Mesh(geom, [
       faceMaterial,
       faceMaterial,
@@ -291,141 +435,89 @@ async function createBox() {
   boxGroup.add(boxBody);
 
   // For brands with cropped textures and interior textures, create special lid structure with sides extending to bottom
-  const hasLidStructure = hasCroppedTextures && croppedTextureSet?.interiors;
+  const hasLidStructure =
+    currentBoxStyle === "rsc" &&
+    hasCroppedTextures &&
+    croppedTextureSet?.interiors;
   if (hasLidStructure) {
     // Create lid group
     lidGroup = new THREE.Group();
-    const lidThickness = 0.02;
-
-    // Create lid sides as boxes with thickness so inside and outside can have different materials
-    // BoxGeometry material indices: [right, left, top, bottom, front, back]
-    // Right lid side (long side 1) - positioned at +X
-    const lidRightGeom = new THREE.BoxGeometry(
-      lidThickness,
-      dims.height,
-      dims.depth
+    const lidThickness = getBoardThickness(currentBoardGrade);
+
+    // Lid sides are board panels with the board's thickness, so inside and
+    // outside can have different materials and the cut edges show flutes.
+    // Wall flutes run vertically.
+    const createLidSide = (
+      size,
+      thicknessAxis,
+      outerSign,
+      exterior,
+      interior,
+      holes
+    ) =>
+      createBoardPanel({
+        size,
+        thicknessAxis,
+        outerSign,
+        fluteAxis: "y",
+        grade: currentBoardGrade,
+        holes,
+        outer: (faceSize) =>
+          createPrintedBoardMaterial(exterior, faceSize, {
+            side: THREE.FrontSide,
+          }),
+        inner: (faceSize) =>
+          createPrintedBoardMaterial(interior, faceSize, {
+            side: THREE.BackSide,
+          }),
+      });
+
+    // Right lid side (long side 1) - positioned at +X, outside facing +X
+    lidRight = createLidSide(
+      { x: lidThickness, y: dims.height, z: dims.depth },
+      "x",
+      1,
+      croppedTextureSet.faces.right,
+      croppedTextureSet.interiors.long,
+      cutouts.right
     );
-    const lidRightMatExterior = new THREE.MeshStandardMaterial({
-      map: croppedTextureSet.faces.right,
-      roughness: 0.75,
-      metalness: 0.05,
-      side: THREE.FrontSide,
-    });
-    const lidRightMatInterior = new THREE.MeshStandardMaterial({
-      map: croppedTextureSet.interiors.long,
-      roughness: 0.75,
-      metalness: 0.05,
-      side: THREE.BackSide,
-    });
-    // Material array: [right, left, top, bottom, front, back]
-    // For right side: right face (index 0) = exterior, left face (index 1) = interior
-    lidRight = new THREE.Mesh(lidRightGeom, [
-      lidRightMatExterior, // right face (outside)
-      lidRightMatInterior, // left face (inside)
-      lidRightMatExterior, // top
-      lidRightMatExterior, // bottom
-      lidRightMatExterior, // front
-      lidRightMatExterior, // back
-    ]);
     lidRight.position.set(dims.width / 2, dims.height / 2, 0);
-    lidRight.userData.exteriorMaterial = lidRightMatExterior;
-    lidRight.userData.interiorMaterial = lidRightMatInterior;
     lidGroup.add(lidRight);
 
-    // Left lid side (long side 2) - positioned at -X
-    const lidLeftGeom = new THREE.BoxGeometry(
-      lidThickness,
-      dims.height,
-      dims.depth
+    // Left lid side (long side 2) - positioned at -X, outside facing -X
+    lidLeft = createLidSide(
+      { x: lidThickness, y: dims.height, z: dims.depth },
+      "x",
+      -1,
+      croppedTextureSet.faces.left,
+      croppedTextureSet.interiors.long,
+      cutouts.left
     );
-    const lidLeftMatExterior = new THREE.MeshStandardMaterial({
-      map: croppedTextureSet.faces.left,
-      roughness: 0.75,
-      metalness: 0.05,
-      side: THREE.FrontSide,
-    });
-    const lidLeftMatInterior = new THREE.MeshStandardMaterial({
-      map: croppedTextureSet.interiors.long,
-      roughness: 0.75,
-      metalness: 0.05,
-      side: THREE.BackSide,
-    });
-    // For left side: left face (index 1) = exterior, right face (index 0) = interior
-    lidLeft = new THREE.Mesh(lidLeftGeom, [
-      lidLeftMatInterior, // right face (inside)
-      lidLeftMatExterior, // left face (outside)
-      lidLeftMatExterior, // top
-      lidLeftMatExterior, // bottom
-      lidLeftMatExterior, // front
-      lidLeftMatExterior, // back
-    ]);
     lidLeft.position.set(-dims.width / 2, dims.height / 2, 0);
-    lidLeft.userData.exteriorMaterial = lidLeftMatExterior;
-    lidLeft.userData.interiorMaterial = lidLeftMatInterior;
     lidGroup.add(lidLeft);
 
-    // Front lid side (short side 1) - positioned at +Z
-    const lidFrontGeom = new THREE.BoxGeometry(
-      dims.width,
-      dims.height,
-      lidThickness
+    // Front lid side (short side 1) - positioned at +Z, outside facing +Z
+    lidFront = createLidSide(
+      { x: dims.width, y: dims.height, z: lidThickness },
+      "z",
+      1,
+      croppedTextureSet.faces.front,
+      croppedTextureSet.interiors.short,
+      cutouts.front
     );
-    const lidFrontMatExterior = new THREE.MeshStandardMaterial({
-      map: croppedTextureSet.faces.front,
-      roughness: 0.75,
-      metalness: 0.05,
-      side: THREE.FrontSide,
-    });
-    const lidFrontMatInterior = new THREE.MeshStandardMaterial({
-      map: croppedTextureSet.interiors.short,
-      roughness: 0.75,
-      metalness: 0.05,
-      side: THREE.BackSide,
-    });
-    // For front side: front face (index 4) = exterior, back face (index 5) = interior
-    lidFront = new THREE.Mesh(lidFrontGeom, [
-      lidFrontMatExterior, // right
-      lidFrontMatExterior, // left
-      lidFrontMatExterior, // top
-      lidFrontMatExterior, // bottom
-      lidFrontMatExterior, // front face (outside)
-      lidFrontMatInterior, // back face (inside)
-    ]);
     lidFront.position.set(0, dims.height / 2, dims.depth / 2);
-    lidFront.userData.exteriorMaterial = lidFrontMatExterior;
-    lidFront.userData.interiorMaterial = lidFrontMatInterior;
     lidGroup.add(lidFront);
 
-    // Back lid side (short side 2) - positioned at -Z
-    const lidBackGeom = new THREE.BoxGeometry(
-      dims.width,
-      dims.height,
-      lidThickness
+    // Back lid side (short side 2) - positioned at -Z, outside facing -Z
+    lidBack = createLidSide(
+      { x: dims.width, y: dims.height, z: lidThickness },
+      "z",
+      -1,
+      croppedTextureSet.faces.back,
+      croppedTextureSet.interiors.short,
+      cutouts.back
     );
-    const lidBackMatExterior = new THREE.MeshStandardMaterial({
-      map: croppedTextureSet.faces.back,
-      roughness: 0.75,
-      metalness: 0.05,
-      side: THREE.FrontSide,
-    });
-    const lidBackMatInterior = new THREE.MeshStandardMaterial({
-      map: croppedTextureSet.interiors.short,
-      roughness: 0.75,
-      metalness: 0.05,
-      side: THREE.BackSide,
-    });
-    // For back side: back face (index 5) = exterior, front face (index 4) = interior
-    lidBack = new THREE.Mesh(lidBackGeom, [
-      lidBackMatExterior, // right
-      lidBackMatExterior, // left
-      lidBackMatExterior, // top
-      lidBackMatExterior, // bottom
-      lidBackMatInterior, // front face (inside)
-      lidBackMatExterior, // back face (outside)
-    ]);
     lidBack.position.set(0, dims.height / 2, -dims.depth / 2);
-    lidBack.userData.exteriorMaterial = lidBackMatExterior;
-    lidBack.userData.interiorMaterial = lidBackMatInterior;
     lidGroup.add(lidBack);
 
     // Box body should show interior textures on its sides (it's the base box)
@@ -434,52 +526,33 @@ async function createBox() {
     if (boxBody.material && Array.isArray(boxBody.material)) {
       // Use interior textures for box body sides
       // Long sides use long side interior texture
-      const boxRightMatInterior = new THREE.MeshStandardMaterial({
-        map: croppedTextureSet.interiors.long,
-        roughness: 0.75,
-        metalness: 0.05,
-        side: THREE.DoubleSide,
-        transparent: false, // Keep opaque - only holes will be transparent via alphaTest
-        alphaTest: 0.01, // Always enabled at low threshold to prevent black holes
-        depthWrite: true,
-      });
-      const boxLeftMatInterior = new THREE.MeshStandardMaterial({
-        map: croppedTextureSet.interiors.long,
-        roughness: 0.75,
-        metalness: 0.05,
-        side: THREE.DoubleSide,
-        transparent: false, // Keep opaque - only holes will be transparent via alphaTest
-        alphaTest: 0.01, // Always enabled at low threshold to prevent black holes
-        depthWrite: true,
-      });
+      const boxRightMatInterior = createPrintedBoardMaterial(
+        croppedTextureSet.interiors.long,
+        [dims.depth, dims.height],
+        { side: THREE.DoubleSide }
+      );
+      const boxLeftMatInterior = createPrintedBoardMaterial(
+        croppedTextureSet.interiors.long,
+        [dims.depth, dims.height],
+        { side: THREE.DoubleSide }
+      );
       // Short sides use short side interior texture
-      const boxFrontMatInterior = new THREE.MeshStandardMaterial({
-        map: croppedTextureSet.interiors.short,
-        roughness: 0.75,
-        metalness: 0.05,
-        side: THREE.DoubleSide,
-        transparent: false, // Keep opaque - only holes will be transparent via alphaTest
-        alphaTest: 0.01, // Always enabled at low threshold to prevent black holes
-        depthWrite: true,
-      });
-      const boxBackMatInterior = new THREE.MeshStandardMaterial({
-        map: croppedTextureSet.interiors.short,
-        roughness: 0.75,
-        metalness: 0.05,
-        side: THREE.DoubleSide,
-        transparent: false, // Keep opaque - only holes will be transparent via alphaTest
-        alphaTest: 0.01, // Always enabled at low threshold to prevent black holes
-        depthWrite: true,
-      });
-
-      // Create cardboard color material for bottom interior
-      const cardboardColor = 0xd8c3a5; // Cardboard brown color
-      const boxBottomMatInterior = new THREE.MeshStandardMaterial({
-        color: cardboardColor,
-        roughness: 0.9,
-        metalness: 0.02,
-        side: THREE.DoubleSide,
-      });
+      const boxFrontMatInterior = createPrintedBoardMaterial(
+        croppedTextureSet.interiors.short,
+        [dims.width, dims.height],
+        { side: THREE.DoubleSide }
+      );
+      const boxBackMatInterior = createPrintedBoardMaterial(
+        croppedTextureSet.interiors.short,
+        [dims.width, dims.height],
+        { side: THREE.DoubleSide }
+      );
+
+      // Plain kraft board for the bottom interior
+      const boxBottomMatInterior = createKraftMaterial(
+        [dims.width, dims.depth],
+        { side: THREE.DoubleSide }
+      );
 
       // Store materials for later updates
       boxBody.userData.interiorMaterials = [
@@ -495,397 +568,396 @@ async function createBox() {
       boxBody.material = boxBody.userData.interiorMaterials;
     }
 
-    lidGroup.position.y = 0;
     boxGroup.add(lidGroup);
+    // The whole structure lifts straight up off the base box
+    lidPath = [0, getLidLiftHeight()].map((y) => ({
+      position: new THREE.Vector3(0, y, 0),
+      rotation: new THREE.Euler(),
+    }));
   } else {
     lidGroup = null;
     lidRight = null;
     lidLeft = null;
     lidFront = null;
     lidBack = null;
+    lidPath = null;
   }
 
-  // Bottom flaps removed to avoid visible strip at base
+  // A tray is closed by a separate, shallower lid over the top of its walls
+  if (currentBoxStyle === "telescope") {
+    lidGroup = createTelescopicLid({
+      dims,
+      grade: currentBoardGrade,
+      textureFor: (slot) =>
+        croppedTextureSet
+          ? croppedTextureSet.lid[slot.slice(4)]
+          : singleTexture,
+    });
+    boxGroup.add(lidGroup);
+    lidPath = getLidPath(dims, currentBoardGrade);
+  }
 
-  // Top flaps - These close to form the lid or open to hang on the sides
-  // Flaps are positioned at the top edge of the box, starting in CLOSED position
-  const flapThickness = 0.02;
-  const flapWidth = dims.depth / 2; // Flaps extend to cover the top when closed
+  // Bottom flaps removed to avoid visible strip at base
 
-  // Front top flap - starts CLOSED (laying flat on top)
-  const frontFlapGeometry = new THREE.BoxGeometry(
-    dims.width,
-    flapThickness,
-    flapWidth
-  );
-  if (croppedTextureSet) {
-    if (hasLidStructure) {
-      // For FRUTALUXE, create materials with exterior on outside and cardboard on inside
-      const cardboardColor = 0xd8c3a5; // Cardboard brown color
-      const exteriorMat = new THREE.MeshStandardMaterial({
-        map: croppedTextureSet.flaps.top.short1,
-        roughness: 0.75,
-        metalness: 0.05,
-        side: THREE.FrontSide,
-      });
-      const interiorMat = new THREE.MeshStandardMaterial({
-        color: cardboardColor,
-        roughness: 0.9,
-        metalness: 0.02,
-        side: THREE.BackSide,
+  // A slotted container is closed by its top flaps, a tray has none
+  if (currentBoxStyle === "rsc") {
+    // Top flaps - These close to form the lid or open to hang on the sides
+    // Flaps are hinged on the top edge of the box, starting in CLOSED position
+    const flapThickness = getBoardThickness(currentBoardGrade);
+    const flapWidth = dims.depth / 2; // Flaps extend to cover the top when closed
+
+    // Each flap is a pivot on its hinge line holding the board panel, so
+    // the fold angle is the pivot's only motion. The panel lies closed in
+    // the pivot, turned over so the printed outside is its local -Y face
+    // and the plain kraft inside faces into the box. Flutes run across the
+    // crease, continuing those of the wall below.
+    const createFlap = (side, slot, size, fluteAxis, hinge) => {
+      const panel = createBoardPanel({
+        size,
+        thicknessAxis: "y",
+        outerSign: -1,
+        fluteAxis,
+        grade: currentBoardGrade,
+        holes: cutouts[`${side}Flap`],
+        outer: (faceSize) =>
+          createPrintedBoardMaterial(
+            croppedTextureSet
+              ? croppedTextureSet.flaps.top[slot]
+              : singleTexture,
+            faceSize
+          ),
+        inner: (faceSize) => createKraftMaterial(faceSize),
       });
-      // Use an array of materials for front and back
-      frontFlap = new THREE.Mesh(frontFlapGeometry, [
-        exteriorMat,
-        exteriorMat,
-        exteriorMat,
-        exteriorMat,
-        exteriorMat,
-        interiorMat,
-      ]);
-      frontFlap.userData.exteriorMaterial = exteriorMat;
-      frontFlap.userData.interiorMaterial = interiorMat;
-    } else {
-      const mat = new THREE.MeshStandardMaterial({
-        map: croppedTextureSet.flaps.top.short1,
-        roughness: 0.75,
-        metalness: 0.05,
-        side: THREE.DoubleSide,
-      });
-      frontFlap = new THREE.Mesh(frontFlapGeometry, mat);
-    }
-  } else {
-    frontFlap = new THREE.Mesh(frontFlapGeometry, flapMaterial);
-  }
-  frontFlap.position.set(0, dims.height, dims.depth / 4);
-  frontFlap.rotation.x = -Math.PI; // 180° closed
-  frontFlap.castShadow = true;
-  frontFlap.receiveShadow = true;
-  frontFlap.userData.hingePosition = new THREE.Vector3(
-    0,
-    dims.height,
-    dims.depth / 2
-  );
-  if (hasLidStructure && lidGroup) {
-    lidGroup.add(frontFlap);
-  } else {
-    boxGroup.add(frontFlap);
-  }
+      const { axis, inward } = FLAP_HINGES[side];
+      panel.rotation[axis] = Math.PI;
+      panel.position.fromArray(inward).multiplyScalar(flapWidth / 2);
+      panel.castShadow = true;
+      panel.receiveShadow = true;
+
+      const pivot = new THREE.Group();
+      pivot.add(panel);
+      pivot.position.copy(hinge);
+      pivot.userData.hingePosition = hinge;
+      pivot.userData.fold = { angle: 0, target: 0 };
+      if (hasLidStructure && lidGroup) {
+        lidGroup.add(pivot);
+      } else {
+        boxGroup.add(pivot);
+      }
+      return pivot;
+    };
 
-  // Back top flap - starts CLOSED (laying flat on top)
-  const backFlapGeometry = new THREE.BoxGeometry(
-    dims.width,
-    flapThickness,
-    flapWidth
-  );
-  if (croppedTextureSet) {
-    if (hasLidStructure) {
-      const cardboardColor = 0xd8c3a5;
-      const exteriorMat = new THREE.MeshStandardMaterial({
-        map: croppedTextureSet.flaps.top.short2,
-        roughness: 0.75,
-        metalness: 0.05,
-        side: THREE.FrontSide,
-      });
-      const interiorMat = new THREE.MeshStandardMaterial({
-        color: cardboardColor,
-        roughness: 0.9,
-        metalness: 0.02,
-        side: THREE.BackSide,
-      });
-      backFlap = new THREE.Mesh(backFlapGeometry, [
-        exteriorMat,
-        exteriorMat,
-        exteriorMat,
-        exteriorMat,
-        exteriorMat,
-        interiorMat,
-      ]);
-      backFlap.userData.exteriorMaterial = exteriorMat;
-      backFlap.userData.interiorMaterial = interiorMat;
-    } else {
-      const mat = new THREE.MeshStandardMaterial({
-        map: croppedTextureSet.flaps.top.short2,
-        roughness: 0.75,
-        metalness: 0.05,
-        side: THREE.DoubleSide,
-      });
-      backFlap = new THREE.Mesh(backFlapGeometry, mat);
-    }
+    // Front and back top flaps - close over the short flaps, so they are
+    // hinged one board thickness up
+    frontFlap = createFlap(
+      "front",
+      "short1",
+      { x: dims.width, y: flapThickness, z: flapWidth },
+      "z",
+      new THREE.Vector3(0, dims.height + flapThickness, dims.depth / 2)
+    );
+    backFlap = createFlap(
+      "back",
+      "short2",
+      { x: dims.width, y: flapThickness, z: flapWidth },
+      "z",
+      new THREE.Vector3(0, dims.height + flapThickness, -dims.depth / 2)
+    );
+
+    // Left and right top flaps - the short flaps, folded in first
+    leftFlap = createFlap(
+      "left",
+      "long1",
+      { x: flapWidth, y: flapThickness, z: dims.depth },
+      "x",
+      new THREE.Vector3(-dims.width / 2, dims.height, 0)
+    );
+    rightFlap = createFlap(
+      "right",
+      "long2",
+      { x: flapWidth, y: flapThickness, z: dims.depth },
+      "x",
+      new THREE.Vector3(dims.width / 2, dims.height, 0)
+    );
   } else {
-    backFlap = new THREE.Mesh(backFlapGeometry, flapMaterial);
+    frontFlap = null;
+    backFlap = null;
+    leftFlap = null;
+    rightFlap = null;
   }
-  backFlap.position.set(0, dims.height, -dims.depth / 4);
-  backFlap.rotation.x = Math.PI; // 180° closed
-  backFlap.castShadow = true;
-  backFlap.receiveShadow = true;
-  backFlap.userData.hingePosition = new THREE.Vector3(
-    0,
-    dims.height,
-    -dims.depth / 2
-  );
-  if (hasLidStructure && lidGroup) {
-    lidGroup.add(backFlap);
-  } else {
-    boxGroup.add(backFlap);
+
+  // Create bananas inside the box
+  createBananas(dims);
+
+  // Stable node names, used by model export and its animation clips
+  boxGroup.name = "bananaBox";
+  boxBody.name = "body";
+  if (frontFlap) {
+    frontFlap.name = "flapFront";
+    backFlap.name = "flapBack";
+    leftFlap.name = "flapLeft";
+    rightFlap.name = "flapRight";
   }
+  if (lidGroup) lidGroup.name = "lid";
 
-  // Left top flap - starts CLOSED (laying flat on top)
-  const leftFlapGeometry = new THREE.BoxGeometry(
-    flapWidth,
-    flapThickness,
-    dims.depth
-  );
-  if (croppedTextureSet) {
-    if (hasLidStructure) {
-      const cardboardColor = 0xd8c3a5;
-      const exteriorMat = new THREE.MeshStandardMaterial({
-        map: croppedTextureSet.flaps.top.long1,
-        roughness: 0.75,
-        metalness: 0.05,
-        side: THREE.FrontSide,
-      });
-      const interiorMat = new THREE.MeshStandardMaterial({
-        color: cardboardColor,
-        roughness: 0.9,
-        metalness: 0.02,
-        side: THREE.BackSide,
-      });
-      leftFlap = new THREE.Mesh(leftFlapGeometry, [
-        exteriorMat,
-        exteriorMat,
-        exteriorMat,
-        exteriorMat,
-        exteriorMat,
-        interiorMat,
-      ]);
-      leftFlap.userData.exteriorMaterial = exteriorMat;
-      leftFlap.userData.interiorMaterial = interiorMat;
-    } else {
-      const mat = new THREE.MeshStandardMaterial({
-        map: croppedTextureSet.flaps.top.long1,
-        roughness: 0.75,
-        metalness: 0.05,
-        side: THREE.DoubleSide,
-      });
-      leftFlap = new THREE.Mesh(leftFlapGeometry, mat);
-    }
-  } else {
-    leftFlap = new THREE.Mesh(leftFlapGeometry, flapMaterial);
+  scene.add(boxGroup);
+  updateDimensions();
+
+  updateBoxButtons();
+  updateViewButtons();
+  updateArtworkNotice(croppedTextureSet);
+
+  // Reset flap and lid state when box is recreated (flaps are built closed)
+  flapsOpen = false;
+  lidOpen = false;
+  lidMotion = { progress: 0 };
+  if (lidGroup) applyLidMotion();
+
+  // State restored from a shared link
+  if (pendingBoxState) {
+    setBoxState(pendingBoxState);
+    pendingBoxState = null;
   }
-  leftFlap.position.set(-dims.width / 4, dims.height, 0);
-  leftFlap.rotation.z = Math.PI; // 180° closed
-  leftFlap.castShadow = true;
-  leftFlap.receiveShadow = true;
-  leftFlap.userData.hingePosition = new THREE.Vector3(
-    -dims.width / 2,
-    dims.height,
-    0
-  );
-  if (hasLidStructure && lidGroup) {
-    lidGroup.add(leftFlap);
-  } else {
-    boxGroup.add(leftFlap);
+
+  // Keep the flat blank in step with the box it unfolds
+  if (flatBlankActive) {
+    rebuildDieline();
+    dielineModel.setProgress(dielineFold.progress);
+    boxGroup.visible = false;
   }
 
-  // Right top flap - starts CLOSED (laying flat on top)
-  const rightFlapGeometry = new THREE.BoxGeometry(
-    flapWidth,
-    flapThickness,
-    dims.depth
-  );
-  if (croppedTextureSet) {
-    if (hasLidStructure) {
-      const cardboardColor = 0xd8c3a5;
-      const exteriorMat = new THREE.MeshStandardMaterial({
-        map: croppedTextureSet.flaps.top.long2,
-        roughness: 0.75,
-        metalness: 0.05,
-        side: THREE.FrontSide,
-      });
-      const interiorMat = new THREE.MeshStandardMaterial({
-        color: cardboardColor,
-        roughness: 0.9,
-        metalness: 0.02,
-        side: THREE.BackSide,
-      });
-      rightFlap = new THREE.Mesh(rightFlapGeometry, [
-        exteriorMat,
-        exteriorMat,
-        exteriorMat,
-        exteriorMat,
-        exteriorMat,
-        interiorMat,
-      ]);
-      rightFlap.userData.exteriorMaterial = exteriorMat;
-      rightFlap.userData.interiorMaterial = interiorMat;
-    } else {
-      const mat = new THREE.MeshStandardMaterial({
-        map: croppedTextureSet.flaps.top.long2,
-        roughness: 0.75,
-        metalness: 0.05,
-        side: THREE.DoubleSide,
-      });
-      rightFlap = new THREE.Mesh(rightFlapGeometry, mat);
-    }
-  } else {
-    rightFlap = new THREE.Mesh(rightFlapGeometry, flapMaterial);
+  updateCutoutStats();
+
+  // Keep the pallet load in step with the box it is made of
+  updatePalletStats();
+  if (palletViewActive) {
+    rebuildPallet();
+    boxGroup.visible = false;
   }
-  rightFlap.position.set(dims.width / 4, dims.height, 0);
-  rightFlap.rotation.z = -Math.PI; // 180° closed
-  rightFlap.castShadow = true;
-  rightFlap.receiveShadow = true;
-  rightFlap.userData.hingePosition = new THREE.Vector3(
-    dims.width / 2,
-    dims.height,
-    0
-  );
-  if (hasLidStructure && lidGroup) {
-    lidGroup.add(rightFlap);
-  } else {
-    boxGroup.add(rightFlap);
+  if (containerViewActive) {
+    rebuildContainer();
+    boxGroup.visible = false;
   }
 
-  // Create bananas inside the box
-  createBananas(dims);
+  if (printCheckActive) runPrintCheck();
 
-  scene.add(boxGroup);
-  updateDimensions();
+  syncUrlState();
+}
+
+// Switch the configurator and the request form to a brand
+function selectBrand(brand) {
+  document.querySelectorAll(".brand-btn").forEach((btn) => {
+    btn.classList.toggle("active", btn.dataset.brand === brand);
+  });
+  currentBrand = brand;
+  document.getElementById("brandForm").value = brand;
+  updateRequestFormSections();
+  updateCustomArtworkVisibility();
+  createBox().catch((err) => {
+    console.error("Error creating box:", err);
+  });
+}
 
-  // Update lid button visibility - show for all brands with cropped textures
+// Show the flap and lid buttons only for the parts the current box has
+function updateBoxButtons() {
+  document.getElementById("openFlapsBtn").style.display = frontFlap
+    ? "flex"
+    : "none";
   const toggleLidBtn = document.getElementById("toggleLidBtn");
   if (toggleLidBtn) {
-    const brandsWithCroppedTextures = [
-      "FRUTALUXE",
-      "FRUTANA JOY",
-      "FRUTANA",
-      "FRUTANOVA",
-      "SINDIBAD",
-    ];
-    const hasCroppedTextures =
-      (currentBoxType === "22XU" || currentBoxType === "208") &&
-      brandsWithCroppedTextures.includes(currentBrand);
-    if (hasCroppedTextures) {
-      toggleLidBtn.style.display = "flex";
-    } else {
-      toggleLidBtn.style.display = "none";
-    }
+    toggleLidBtn.style.display = lidGroup ? "flex" : "none";
   }
+}
 
-  // Reset lid state when box is recreated
-  lidOpen = false;
-  if (lidGroup) {
-    lidGroup.position.y = 0;
+// Flag boxes whose artwork was resampled from another box type
+function updateArtworkNotice(textureSet) {
+  const notice = document.getElementById("artworkNotice");
+  if (!notice) return;
+
+  const approximateCount = textureSet?.approximateSlots?.length || 0;
+  if (approximateCount > 0) {
+    notice.textContent =
+      `Approximate artwork: ${approximateCount} ${currentBoxType} faces ` +
+      `resampled from ${textureSet.approximateFrom} artwork`;
+    notice.style.display = "block";
+  } else {
+    notice.style.display = "none";
   }
-  // Reset transparency state
-  updateLidTextures();
 }
 
-// Create banana geometry inside the box
+// Pack banana hands into the box up to the target net weight, with the
+// chosen packing components around them
 function createBananas(dims) {
-  // Clear existing bananas
   bananas.forEach((banana) => {
     boxGroup.remove(banana);
-    if (banana.geometry) banana.geometry.dispose();
-    if (banana.material) banana.material.dispose();
+    // Materials are shared between packs and kept
+    banana.traverse((child) => child.geometry?.dispose());
   });
   bananas = [];
+  if (packingGroup) {
+    boxGroup.remove(packingGroup);
+    packingGroup.traverse((child) => {
+      child.geometry?.dispose();
+      child.material?.dispose();
+    });
+    packingGroup = null;
+  }
 
-  // Banana material - bright yellow/green for unripe bananas
-  const bananaMaterial = new THREE.MeshStandardMaterial({
-    color: 0x8bc34a, // Green color for unripe bananas
-    roughness: 0.6,
-    metalness: 0.1,
+  if (!bananaMaterials) bananaMaterials = createBananaMaterials(bananaRipeness);
+  const wall = getBoardThickness(currentBoardGrade);
+  const pack = createBananaPack({
+    dims,
+    netWeight: bananaNetWeight ?? getDefaultNetWeight(dims),
+    wall,
+    floor: getPackingFloorHeight(packingComponents),
+    materials: bananaMaterials,
   });
+  boxGroup.add(pack.group);
+  bananas.push(pack.group);
+  currentPack = pack;
+
+  if (packingComponents.length) {
+    packingGroup = createPackingComponents({
+      dims,
+      wall,
+      components: packingComponents,
+      pack,
+    });
+    boxGroup.add(packingGroup);
+  }
+  updateBananaPackInfo(pack, dims);
+  updatePackingLineItems();
+  updateContainerStats();
+  updateStackingStats();
+}
 
-  // Create curved banana shape using bent cylinder
-  const bananaCount = 8;
-  const bananaRadius = 0.08;
-  const bananaLength = 0.6;
-
-  for (let i = 0; i < bananaCount; i++) {
-    const banana = createBanana(bananaRadius, bananaLength, bananaMaterial);
+// Summarise the packed fruit under the banana controls
+function updateBananaPackInfo(pack, dims) {
+  const info = document.getElementById("bananaPackInfo");
+  if (!info) return;
+  const fill = Math.round(pack.fillHeight / UNITS_PER_MM);
+  const depth = toMillimetres(dims).height;
+  info.textContent =
+    `${pack.netWeight.toFixed(1)} kg packed: ${pack.fingers} fingers in ` +
+    `${pack.hands} hands, filled to ${fill} of ${depth} mm` +
+    (pack.full ? ". The box is full before the target weight." : "");
+  info.classList.toggle("config-warning", pack.full);
+  document.getElementById("bananaWeight").placeholder =
+    getDefaultNetWeight(dims);
+}
 
-    // Position bananas inside the box in a cluster
-    const row = Math.floor(i / 4);
-    const col = i % 4;
-    const x = (col - 1.5) * 0.4;
-    const z = (row - 0.5) * 0.5;
-    const y = dims.height * 0.3;
+// Geometry and texture loading are now handled in separate modules
 
-    banana.position.set(x, y, z);
-    banana.rotation.x = Math.random() * 0.5 - 0.25;
-    banana.rotation.y = Math.random() * Math.PI;
-    banana.rotation.z = Math.random() * 0.5 - 0.25;
+// Flap fold angles around the hinge: 0 lies closed over the box, a right
+// angle stands upright and open leans out past horizontal (30° below it)
+const FLAP_OPEN_ANGLE = (Math.PI * 7) / 6;
+const FLAP_UPRIGHT_ANGLE = Math.PI / 2;
+const FLAP_MAX_ANGLE = (Math.PI * 4) / 3;
+const FLAP_CLOSED_ANGLE = 0.01; // Below this a flap counts as closed
+
+// Flaps by the length of their hinge. The short flaps fold in first and
+// the long flaps close over them, so they open in the reverse order.
+const LONG_FLAPS = ["front", "back"];
+const SHORT_FLAPS = ["left", "right"];
+
+// Start of the second half of a folding sequence (seconds)
+const FLAP_SEQUENCE_DELAY = 0.5;
+
+// Per flap: the axis its hinge runs along, which way round the flap turns
+// about it to open, and the direction from the hinge into the box
+const FLAP_HINGES = {
+  front: { axis: "x", turn: 1, inward: [0, 0, -1] },
+  back: { axis: "x", turn: -1, inward: [0, 0, 1] },
+  left: { axis: "z", turn: 1, inward: [1, 0, 0] },
+  right: { axis: "z", turn: -1, inward: [-1, 0, 0] },
+};
 
-    banana.castShadow = true;
-    banana.receiveShadow = true;
+function getFlaps() {
+  return { front: frontFlap, back: backFlap, left: leftFlap, right: rightFlap };
+}
 
-    boxGroup.add(banana);
-    bananas.push(banana);
-  }
+// Pivot rotation of a flap folded to an angle
+function getFlapPose(side, angle) {
+  const { axis, turn } = FLAP_HINGES[side];
+  return { rotation: { [axis]: turn * angle } };
 }
 
-// Geometry and texture loading are now handled in separate modules
+// Target transforms of the four flap pivots, closed flat or opened outward
+function getFlapPoses(open) {
+  return Object.fromEntries(
+    Object.keys(FLAP_HINGES).map((side) => [
+      side,
+      getFlapPose(side, open ? FLAP_OPEN_ANGLE : 0),
+    ])
+  );
+}
 
-// Close flaps to form the lid
-function closeFlaps() {
-  if (!leftFlap || !rightFlap || !frontFlap || !backFlap) return;
+// Turn a flap's pivot to the fold angle it holds
+function applyFlapAngle(side) {
+  const flap = getFlaps()[side];
+  Object.assign(
+    flap.rotation,
+    getFlapPose(side, flap.userData.fold.angle).rotation
+  );
+}
 
-  flapsOpen = false;
-  const dims = boxDimensions[currentBoxType];
+function setFlapAngle(side, angle) {
+  const fold = getFlaps()[side].userData.fold;
+  gsap.killTweensOf(fold);
+  fold.angle = angle;
+  fold.target = angle;
+  applyFlapAngle(side);
+}
 
-  // Front flap - rotate to lay flat on top
-  gsap.to(frontFlap.rotation, {
-    x: -Math.PI,
-    duration: 0.8,
-    ease: "power2.inOut",
-  });
-  gsap.to(frontFlap.position, {
-    z: dims.depth / 4,
-    y: dims.height, // Reset y position
+// Tween a flap to a fold angle, after a delay when it waits for others
+function foldFlap(side, angle, delay = 0) {
+  const fold = getFlaps()[side].userData.fold;
+  gsap.killTweensOf(fold);
+  fold.target = angle;
+  gsap.to(fold, {
+    angle,
     duration: 0.8,
+    delay,
     ease: "power2.inOut",
+    onUpdate: () => applyFlapAngle(side),
   });
+}
 
-  // Back flap - rotate to lay flat on top
-  gsap.to(backFlap.rotation, {
-    x: Math.PI,
-    duration: 0.8,
-    ease: "power2.inOut",
-  });
-  gsap.to(backFlap.position, {
-    z: -dims.depth / 4,
-    y: dims.height, // Reset y position
-    duration: 0.8,
-    ease: "power2.inOut",
-  });
+const isFlapMoving = (side) => {
+  const { angle, target } = getFlaps()[side].userData.fold;
+  return Math.abs(angle - target) > FLAP_CLOSED_ANGLE;
+};
 
-  // Left flap - rotate to lay flat on top
-  gsap.to(leftFlap.rotation, {
-    z: Math.PI,
-    duration: 0.8,
-    ease: "power2.inOut",
-  });
-  gsap.to(leftFlap.position, {
-    x: -dims.width / 4,
-    y: dims.height, // Reset y position
-    duration: 0.8,
-    ease: "power2.inOut",
-  });
+// Tween the four top flaps open or closed in folding order
+function animateFlaps(open) {
+  const angle = open ? FLAP_OPEN_ANGLE : 0;
+  const [first, second] = open
+    ? [LONG_FLAPS, SHORT_FLAPS]
+    : [SHORT_FLAPS, LONG_FLAPS];
+  const waits = first.some(
+    (side) =>
+      Math.abs(getFlaps()[side].userData.fold.angle - angle) > FLAP_CLOSED_ANGLE
+  );
 
-  // Right flap - rotate to lay flat on top
-  gsap.to(rightFlap.rotation, {
-    z: -Math.PI,
-    duration: 0.8,
-    ease: "power2.inOut",
-  });
-  gsap.to(rightFlap.position, {
-    x: dims.width / 4,
-    y: dims.height, // Reset y position
-    duration: 0.8,
-    ease: "power2.inOut",
-  });
+  first.forEach((side) => foldFlap(side, angle));
+  second.forEach((side) =>
+    foldFlap(side, angle, waits ? FLAP_SEQUENCE_DELAY : 0)
+  );
+}
+
+// Flaps count as open while any of them is open or opening
+function updateFlapsOpen() {
+  flapsOpen = Object.values(getFlaps()).some(
+    (flap) => flap.userData.fold.target > FLAP_CLOSED_ANGLE
+  );
+}
+
+// Close flaps to form the lid
+function closeFlaps() {
+  if (!leftFlap || !rightFlap || !frontFlap || !backFlap) return;
+
+  flapsOpen = false;
+  animateFlaps(false);
 }
 
 // Open flaps to hang on the sides
@@ -893,133 +965,1197 @@ function openFlaps() {
   if (!leftFlap || !rightFlap || !frontFlap || !backFlap) return;
 
   flapsOpen = true;
-  const dims = boxDimensions[currentBoxType];
-  const flapWidth = dims.depth / 2;
-  const flapThickness = 0.02;
-
-  // 60 degrees from horizontal = 30 degrees from vertical (π/6 radians)
-  const tiltAngle = Math.PI / 6; // 30 degrees in radians
-
-  // When flap tilts 60° from horizontal, the center moves outward horizontally
-  // but stays at the same vertical level (y = dims.height)
-  // Horizontal offset: (flapWidth/2) * sin(tiltAngle) - moves the center outward
-  const horizontalOffset = (flapWidth / 2) * Math.sin(tiltAngle);
-
-  // Front flap - tilt 60° from horizontal (30° from vertical), tilted forward (outward)
-  gsap.to(frontFlap.rotation, {
-    x: tiltAngle, // 30° tilted forward from vertical = 60° from horizontal
-    duration: 0.8,
-    ease: "power2.inOut",
-  });
-  gsap.to(frontFlap.position, {
-    z: dims.depth / 2 + horizontalOffset, // Move outward as it tilts
-    y: dims.height, // Keep at same height - no downward movement
-    duration: 0.8,
-    ease: "power2.inOut",
-  });
+  animateFlaps(true);
+}
 
-  // Back flap - tilt 60° from horizontal (30° from vertical), tilted backward (outward)
-  gsap.to(backFlap.rotation, {
-    x: -tiltAngle, // -30° tilted backward from vertical = 60° from horizontal
-    duration: 0.8,
-    ease: "power2.inOut",
-  });
-  gsap.to(backFlap.position, {
-    z: -dims.depth / 2 - horizontalOffset, // Move outward as it tilts
-    y: dims.height, // Keep at same height - no downward movement
-    duration: 0.8,
-    ease: "power2.inOut",
-  });
+// Angles a flap can be folded to with the others where they are: the long
+// flaps stay upright until both short flaps are in, the short flaps stay
+// closed until both long flaps are out of their way
+function getFlapRange(side) {
+  const angleOf = (other) => getFlaps()[other].userData.fold.angle;
+  if (LONG_FLAPS.includes(side)) {
+    const shortClosed = SHORT_FLAPS.every(
+      (other) => angleOf(other) <= FLAP_CLOSED_ANGLE
+    );
+    return {
+      min: shortClosed ? 0 : FLAP_UPRIGHT_ANGLE,
+      max: FLAP_MAX_ANGLE,
+    };
+  }
+  const longOpen = LONG_FLAPS.every(
+    (other) => angleOf(other) >= FLAP_UPRIGHT_ANGLE - FLAP_CLOSED_ANGLE
+  );
+  return { min: 0, max: longOpen ? FLAP_MAX_ANGLE : 0 };
+}
 
-  // Left flap - tilt 60° from horizontal (30° from vertical), tilted left (outward)
-  gsap.to(leftFlap.rotation, {
-    z: tiltAngle, // 30° tilted left from vertical = 60° from horizontal
-    duration: 0.8,
-    ease: "power2.inOut",
-  });
-  gsap.to(leftFlap.position, {
-    x: -dims.width / 2 - horizontalOffset, // Move outward as it tilts
-    y: dims.height, // Keep at same height - no downward movement
-    duration: 0.8,
-    ease: "power2.inOut",
-  });
+const FLAP_ORDER_NOTICES = {
+  open: "Open the front and back flaps first: the end flaps fold in under them",
+  close:
+    "Fold the end flaps in first: the front and back flaps close over them",
+};
 
-  // Right flap - tilt 60° from horizontal (30° from vertical), tilted right (outward)
-  gsap.to(rightFlap.rotation, {
-    z: -tiltAngle, // -30° tilted right from vertical = 60° from horizontal
-    duration: 0.8,
-    ease: "power2.inOut",
-  });
-  gsap.to(rightFlap.position, {
-    x: dims.width / 2 + horizontalOffset, // Move outward as it tilts
-    y: dims.height, // Keep at same height - no downward movement
-    duration: 0.8,
-    ease: "power2.inOut",
-  });
+// Show why a flap will not fold, for a moment
+function showFlapNotice(message) {
+  const notice = document.getElementById("flapNotice");
+  if (!notice) return;
+
+  notice.textContent = message;
+  notice.style.display = "block";
+  clearTimeout(flapNoticeTimer);
+  flapNoticeTimer = setTimeout(() => {
+    notice.style.display = "none";
+  }, 2500);
 }
 
-// Update textures based on lid state (for brands with lid structure)
-function updateLidTextures() {
-  if (!lidGroup || !boxBody) return;
-
-  // Adjust alphaTest threshold on box body materials based on lid state
-  // alphaTest makes only the holes transparent (where alpha < threshold)
-  // The rest of the side remains opaque
-  if (
-    boxBody.userData.interiorMaterials &&
-    Array.isArray(boxBody.userData.interiorMaterials)
-  ) {
-    boxBody.userData.interiorMaterials.forEach((mat, index) => {
-      // Skip top and bottom faces (indices 2 and 3)
-      if (index !== 2 && index !== 3 && mat && mat.isMeshStandardMaterial) {
-        // Adjust alphaTest threshold based on lid state
-        // When lid is open: higher threshold (0.1) for more visible holes
-        // When lid is closed: lower threshold (0.01) to prevent black holes but keep them subtle
-        mat.alphaTest = lidOpen ? 0.1 : 0.01;
-        mat.needsUpdate = true;
-      }
-    });
+// Open a closed flap or close an open one, if the folding order allows
+function toggleFlap(side) {
+  const fold = getFlaps()[side].userData.fold;
+  const open = fold.target <= FLAP_CLOSED_ANGLE;
+  const targetOf = (other) => getFlaps()[other].userData.fold.target;
+
+  if (open && SHORT_FLAPS.includes(side)) {
+    if (
+      LONG_FLAPS.some(
+        (other) => targetOf(other) < FLAP_UPRIGHT_ANGLE - FLAP_CLOSED_ANGLE
+      )
+    ) {
+      showFlapNotice(FLAP_ORDER_NOTICES.open);
+      return;
+    }
+    foldFlap(
+      side,
+      FLAP_OPEN_ANGLE,
+      LONG_FLAPS.some(isFlapMoving) ? FLAP_SEQUENCE_DELAY : 0
+    );
+  } else if (!open && LONG_FLAPS.includes(side)) {
+    if (SHORT_FLAPS.some((other) => targetOf(other) > FLAP_CLOSED_ANGLE)) {
+      showFlapNotice(FLAP_ORDER_NOTICES.close);
+      return;
+    }
+    foldFlap(side, 0, SHORT_FLAPS.some(isFlapMoving) ? FLAP_SEQUENCE_DELAY : 0);
+  } else {
+    foldFlap(side, open ? FLAP_OPEN_ANGLE : 0);
   }
+  updateFlapsOpen();
 }
 
-// Toggle lid lift (for brands with lid structure)
-function toggleLid() {
-  if (!lidGroup) return;
+// Flap picking and dragging in the 3D view
 
-  lidOpen = !lidOpen;
-  const dims = boxDimensions[currentBoxType];
-  const liftHeight = dims.height + 0.5; // Lift lid above the box
+const flapRaycaster = new THREE.Raycaster();
+const FLAP_CLICK_DISTANCE = 4; // Pointer travel (px) up to which a press is a click
 
-  if (lidOpen) {
-    // Lift the lid
-    gsap.to(lidGroup.position, {
-      y: liftHeight,
-      duration: 1.0,
-      ease: "power2.inOut",
-      onUpdate: () => {
-        updateLidTextures();
-      },
-      onComplete: () => {
-        updateLidTextures();
-      },
+function canFoldFlaps() {
+  return (
+    boxGroup &&
+    frontFlap &&
+    !flatBlankActive &&
+    !palletViewActive &&
+    !containerViewActive &&
+    !batchRendering
+  );
+}
+
+// Ray from the camera through the pointer
+function setFlapRay(event) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  const pointer = new THREE.Vector2(
+    ((event.clientX - rect.left) / rect.width) * 2 - 1,
+    -((event.clientY - rect.top) / rect.height) * 2 + 1
+  );
+  flapRaycaster.setFromCamera(pointer, camera);
+}
+
+// Side of the flap under the pointer, unless the box hides it
+function pickFlap(event) {
+  setFlapRay(event);
+  const flaps = getFlaps();
+  const targets = [boxBody, lidGroup || Object.values(flaps)].flat();
+  const [hit] = flapRaycaster.intersectObjects(targets, true);
+  if (!hit) return null;
+  return (
+    Object.keys(flaps).find((side) => flaps[side] === hit.object.parent) || null
+  );
+}
+
+// Angle of the pointer around a flap's hinge, in the flap's fold angles
+function getPointerFoldAngle() {
+  const { side, plane, hinge } = flapDrag;
+  const point = flapRaycaster.ray.intersectPlane(plane, new THREE.Vector3());
+  if (!point) return null;
+
+  const offset = point.sub(hinge);
+  const inward = new THREE.Vector3(...FLAP_HINGES[side].inward);
+  const angle = Math.atan2(offset.y, offset.dot(inward));
+  // Hanging down outside the box is past open, not below closed
+  return angle < -Math.PI / 2 ? angle + Math.PI * 2 : angle;
+}
+
+function onFlapPointerDown(event) {
+  if (event.button !== 0 || !canFoldFlaps()) return;
+  const side = pickFlap(event);
+  if (!side) return;
+
+  const flap = getFlaps()[side];
+  const hinge = flap.getWorldPosition(new THREE.Vector3());
+  const axis = new THREE.Vector3();
+  axis[FLAP_HINGES[side].axis] = 1;
+  flapDrag = {
+    side,
+    hinge,
+    plane: new THREE.Plane().setFromNormalAndCoplanarPoint(axis, hinge),
+    x: event.clientX,
+    y: event.clientY,
+    moved: false,
+  };
+  flapDrag.startAngle = flap.userData.fold.angle;
+  flapDrag.startPointer = getPointerFoldAngle();
+
+  controls.enabled = false;
+  renderer.domElement.setPointerCapture(event.pointerId);
+}
+
+function onFlapPointerMove(event) {
+  if (!flapDrag) {
+    // Show which flaps can be picked up
+    if (event.buttons === 0 && canFoldFlaps()) {
+      renderer.domElement.style.cursor = pickFlap(event) ? "grab" : "";
+    }
+    return;
+  }
+
+  if (!flapDrag.moved) {
+    const travel = Math.hypot(
+      event.clientX - flapDrag.x,
+      event.clientY - flapDrag.y
+    );
+    if (travel <= FLAP_CLICK_DISTANCE) return;
+    flapDrag.moved = true;
+    renderer.domElement.style.cursor = "grabbing";
+  }
+
+  setFlapRay(event);
+  const pointer = getPointerFoldAngle();
+  if (pointer === null || flapDrag.startPointer === null) return;
+
+  const { side } = flapDrag;
+  const wanted = flapDrag.startAngle + pointer - flapDrag.startPointer;
+  const range = getFlapRange(side);
+  if (wanted < range.min && range.min > 0) {
+    showFlapNotice(FLAP_ORDER_NOTICES.close);
+  } else if (wanted > range.max && range.max < FLAP_MAX_ANGLE) {
+    showFlapNotice(FLAP_ORDER_NOTICES.open);
+  }
+  setFlapAngle(side, THREE.MathUtils.clamp(wanted, range.min, range.max));
+}
+
+function onFlapPointerUp(event) {
+  if (!flapDrag) return;
+  const { side, moved } = flapDrag;
+  flapDrag = null;
+  controls.enabled = true;
+  renderer.domElement.style.cursor = "";
+
+  if (event.type === "pointerup" && !moved) {
+    toggleFlap(side);
+  }
+  updateFlapsOpen();
+  syncUrlState();
+}
+
+// Click a flap to open or close it, drag it to fold it to any angle
+function initFlapInteraction() {
+  const canvas = renderer.domElement;
+  canvas.addEventListener("pointerdown", onFlapPointerDown);
+  canvas.addEventListener("pointermove", onFlapPointerMove);
+  canvas.addEventListener("pointerup", onFlapPointerUp);
+  canvas.addEventListener("pointercancel", onFlapPointerUp);
+}
+
+// Height the lid is lifted to when open, clear of the box
+function getLidLiftHeight() {
+  return boxDimensions[currentBoxType].height + 0.5;
+}
+
+// Seconds the lid takes to open: a lift, or 0.6 s for each step of a
+// longer path
+function getLidDuration() {
+  return Math.max(1.0, (lidPath.length - 1) * 0.6);
+}
+
+// Put the lid where lidMotion has got to along its path
+function applyLidMotion() {
+  samplePosePath(lidPath, lidMotion.progress, lidGroup);
+}
+
+// Open the lid along its path, or bring it back onto the box the same way
+function toggleLid() {
+  if (!lidGroup) return;
+
+  lidOpen = !lidOpen;
+  gsap.killTweensOf(lidMotion);
+  gsap.to(lidMotion, {
+    progress: lidOpen ? 1 : 0,
+    duration:
+      getLidDuration() * Math.abs((lidOpen ? 1 : 0) - lidMotion.progress),
+    ease: "none",
+    onUpdate: applyLidMotion,
+  });
+}
+
+// Replace the flat blank model with one for the current box
+function rebuildDieline() {
+  if (dielineModel) {
+    scene.remove(dielineModel.group);
+    dielineModel.dispose();
+  }
+  dielineModel = createDielineModel(
+    boxDimensions[currentBoxType],
+    currentTextureSet
+  );
+  scene.add(dielineModel.group);
+}
+
+// Unfold the box into its flat blank, or fold the blank back into the box
+function toggleFlatBlank() {
+  if (!boxGroup || palletViewActive || containerViewActive) return;
+  if (!flatBlankActive && currentBoxStyle !== "rsc") return;
+
+  flatBlankActive = !flatBlankActive;
+  updateViewButtons();
+  gsap.killTweensOf(dielineFold);
+  gsap.killTweensOf(camera.position);
+
+  if (flatBlankActive) {
+    if (!dielineModel) {
+      rebuildDieline();
+      dielineFold.progress = 1;
+      dielineModel.setProgress(1);
+    }
+    boxGroup.visible = false;
+
+    // Look down on the blank while it unfolds
+    assembledCameraPosition = camera.position.clone();
+    gsap.to(camera.position, {
+      x: 0,
+      y: 22,
+      z: 12,
+      duration: 2.0,
+      ease: "power2.inOut",
+    });
+    gsap.to(dielineFold, {
+      progress: 0,
+      duration: 2.4,
+      ease: "none",
+      onUpdate: () => dielineModel.setProgress(dielineFold.progress),
     });
   } else {
-    // Lower the lid
-    gsap.to(lidGroup.position, {
-      y: 0,
-      duration: 1.0,
-      ease: "power2.inOut",
-      onUpdate: () => {
-        updateLidTextures();
-      },
+    if (assembledCameraPosition) {
+      gsap.to(camera.position, {
+        x: assembledCameraPosition.x,
+        y: assembledCameraPosition.y,
+        z: assembledCameraPosition.z,
+        duration: 2.0,
+        ease: "power2.inOut",
+      });
+    }
+    gsap.to(dielineFold, {
+      progress: 1,
+      duration: 2.4,
+      ease: "none",
+      onUpdate: () => dielineModel.setProgress(dielineFold.progress),
       onComplete: () => {
-        updateLidTextures();
+        // Hand over to the real box once the blank is folded
+        scene.remove(dielineModel.group);
+        dielineModel.dispose();
+        dielineModel = null;
+        boxGroup.visible = true;
       },
     });
   }
+}
+
+// Box size for pallet planning (mm)
+function getPalletBoxSize() {
+  const mm = toMillimetres(boxDimensions[currentBoxType]);
+  return { length: mm.length, width: mm.width, height: mm.height };
+}
+
+// Add an option to a select for each value: label entry
+function fillSelect(id, options) {
+  const select = document.getElementById(id);
+  Object.entries(options).forEach(([value, label]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+}
+
+// Fill a stats list with [label, value] rows
+function renderStatList(list, rows) {
+  list.replaceChildren(
+    ...rows.map(([label, value]) => {
+      const item = document.createElement("li");
+      const name = document.createElement("span");
+      const amount = document.createElement("strong");
+      name.textContent = label;
+      amount.textContent = value;
+      item.append(name, amount);
+      return item;
+    })
+  );
+}
+
+// Boxes per layer, totals, height and overhang of the planned pallet load
+function updatePalletStats() {
+  const stats = document.getElementById("palletStats");
+  if (!stats) return;
+  const plan = planPalletLoad(getPalletBoxSize(), palletSettings);
+  const rows = [
+    ["Boxes per layer", plan.boxesPerLayer],
+    ["Total boxes", plan.totalBoxes],
+    ["Pallet height", `${plan.totalHeight.toLocaleString("en")} mm`],
+    [
+      "Overhang",
+      plan.overhang.length || plan.overhang.width
+        ? `${plan.overhang.length} mm ends, ${plan.overhang.width} mm sides`
+        : "None",
+    ],
+  ];
+  renderStatList(stats, rows);
+  document.getElementById("palletPatternHint").textContent =
+    palletSettings.pattern === "brick" && !plan.interlocked
+      ? "This box has no interlocking layer on this pallet; stacked in columns."
+      : "";
+  updateStackingStats();
+}
+
+// Run fn with the flaps and lid in their closed pose, then put them back
+// where they were, so loads are built of closed boxes whatever is shown
+function withBoxClosed(fn) {
+  const flaps = frontFlap ? Object.entries(getFlaps()) : [];
+  const angles = flaps.map(([, flap]) => flap.userData.fold.angle);
+  const progress = lidMotion.progress;
+  const pose = (flapAngles, lidProgress) => {
+    flaps.forEach(([side, flap], i) => {
+      flap.userData.fold.angle = flapAngles[i];
+      applyFlapAngle(side);
+    });
+    if (lidGroup) {
+      lidMotion.progress = lidProgress;
+      applyLidMotion();
+    }
+  };
+
+  pose(
+    angles.map(() => 0),
+    0
+  );
+  try {
+    return fn();
+  } finally {
+    pose(angles, progress);
+  }
+}
+
+// Replace the pallet load with one for the current box
+function rebuildPallet() {
+  if (palletModel) {
+    scene.remove(palletModel.group);
+    palletModel.dispose();
+  }
+  const box = getPalletBoxSize();
+  palletModel = withBoxClosed(() =>
+    createPalletModel(
+      boxGroup,
+      planPalletLoad(box, palletSettings),
+      box,
+      palletSettings
+    )
+  );
+  scene.add(palletModel.group);
+}
+
+// Only one of the flat blank, pallet and container views at a time. The
+// flat blank and dieline are of the slotted container, so a tray and lid
+// has neither, and the style stays put while the blank is shown.
+function updateViewButtons() {
+  const busy = flatBlankActive || palletViewActive || containerViewActive;
+  const slotted = currentBoxStyle === "rsc";
+  [
+    ["flatBlankBtn", flatBlankActive, slotted],
+    ["palletViewBtn", palletViewActive, true],
+    ["containerViewBtn", containerViewActive, true],
+  ].forEach(([id, active, available]) => {
+    const btn = document.getElementById(id);
+    btn.classList.toggle("active", active);
+    btn.disabled = (busy && !active) || !available;
+  });
+  document.getElementById("exportDielineBtn").disabled = !slotted;
+  document.getElementById("boxStyle").disabled = flatBlankActive;
+}
+
+function tweenCamera(position, target, onComplete) {
+  gsap.killTweensOf(camera.position);
+  gsap.killTweensOf(controls.target);
+  gsap.to(controls.target, {
+    x: target.x,
+    y: target.y,
+    z: target.z,
+    duration: 1.5,
+    ease: "power2.inOut",
+  });
+  gsap.to(camera.position, {
+    x: position.x,
+    y: position.y,
+    z: position.z,
+    duration: 1.5,
+    ease: "power2.inOut",
+    onComplete,
+  });
+}
+
+// Step back to a larger scene (pallet or container), remembering the
+// single box view to come back to
+function frameOverview(position, target, maxDistance) {
+  singleBoxCamera = singleBoxCamera || {
+    position: camera.position.clone(),
+    target: controls.target.clone(),
+  };
+  controls.maxDistance = Math.max(60, maxDistance);
+  tweenCamera(position, target);
+}
+
+function restoreSingleBoxCamera() {
+  if (!singleBoxCamera) return;
+  const { position, target } = singleBoxCamera;
+  singleBoxCamera = null;
+  tweenCamera(position, target, () => {
+    controls.maxDistance = 60;
+  });
+}
+
+// Show the current box stacked on a pallet, or go back to the single box
+function togglePalletView() {
+  if (!boxGroup || flatBlankActive || containerViewActive) return;
+
+  palletViewActive = !palletViewActive;
+  updateViewButtons();
+
+  if (palletViewActive) {
+    rebuildPallet();
+    boxGroup.visible = false;
+
+    // Step back far enough to see the whole load
+    const height =
+      planPalletLoad(getPalletBoxSize(), palletSettings).totalHeight *
+      UNITS_PER_MM;
+    frameOverview(
+      { x: 24 + height, y: 10 + height, z: 24 + height },
+      { x: 0, y: height / 2, z: 0 },
+      height * 4
+    );
+  } else {
+    scene.remove(palletModel.group);
+    palletModel.dispose();
+    palletModel = null;
+    boxGroup.visible = true;
+    restoreSingleBoxCamera();
+  }
+}
+
+// Pallet size, pattern, layers and load securing
+function initPalletControls() {
+  fillSelect(
+    "palletSize",
+    Object.fromEntries(
+      Object.entries(PALLETS).map(([key, pallet]) => [key, pallet.label])
+    )
+  );
+  fillSelect("palletPattern", PALLET_PATTERNS);
+
+  const inputs = {
+    pallet: "palletSize",
+    pattern: "palletPattern",
+    layers: "palletLayers",
+    maxOverhang: "palletOverhang",
+    cornerBoards: "palletCornerBoards",
+    strapping: "palletStrapping",
+  };
+  Object.entries(inputs).forEach(([key, id]) => {
+    const input = document.getElementById(id);
+    const checkbox = input.type === "checkbox";
+    if (checkbox) input.checked = palletSettings[key];
+    else input.value = palletSettings[key];
+
+    input.addEventListener("change", () => {
+      let value = checkbox ? input.checked : input.value;
+      if (input.type === "number") {
+        // Keep numbers inside the input's own limits
+        const number = Math.round(Number(value));
+        value = Number.isFinite(number)
+          ? Math.min(Number(input.max), Math.max(Number(input.min), number))
+          : DEFAULT_PALLET[key];
+        input.value = value;
+      }
+      palletSettings = { ...palletSettings, [key]: value };
+      updatePalletStats();
+      updateContainerStats();
+      if (palletViewActive) rebuildPallet();
+      if (containerViewActive) rebuildContainer();
+    });
+  });
+}
+
+// Stacking strength
+
+// BCT and safe stack of a box type under the stacking conditions, on the
+// pallet as planned
+function estimateStackingFor(boxType) {
+  const mm = toMillimetres(boxDimensions[boxType]);
+  const box = { length: mm.length, width: mm.width, height: mm.height };
+  const plan = planPalletLoad(box, palletSettings);
+  return estimateStacking(box, currentBoardGrade, {
+    ...stackingSettings,
+    netWeight: getNetWeightFor(boxType),
+    interlocked: plan.interlocked,
+    overhang: plan.overhang,
+  });
+}
+
+// Strength of the current box, the box types side by side, the overlay by
+// the dimensions and the pallet layer warning
+function updateStackingStats() {
+  const stats = document.getElementById("stackingStats");
+  if (!stats) return;
+  const estimate = estimateStackingFor(currentBoxType);
+  const factor = Object.values(estimate.factors).reduce((a, b) => a * b, 1);
+  const kgf = (value) => `${Math.round(value).toLocaleString("en")} kgf`;
+  renderStatList(stats, [
+    ["Compression strength (BCT)", kgf(estimate.bctKgf)],
+    ["Derating", `× ${factor.toFixed(2)}`],
+    ["Safe load on bottom box", kgf(estimate.safeLoadKgf)],
+    ["Packed box weight", `${estimate.grossWeight.toFixed(1)} kg`],
+    ["Safe stack", `${estimate.maxLayers} layers`],
+    ["Safe stack height", `${estimate.stackHeight.toLocaleString("en")} mm`],
+  ]);
+
+  const over = palletSettings.layers > estimate.maxLayers;
+  const layersInput = document.getElementById("palletLayers");
+  layersInput.classList.toggle("over-limit", over);
+  layersInput.title = over
+    ? `More than the ${estimate.maxLayers} layers this box can safely carry`
+    : "";
+  document.getElementById("stackingHint").textContent = over
+    ? `${palletSettings.layers} pallet layers is over the safe stack of ${estimate.maxLayers}.`
+    : "";
+
+  const types = Object.keys(boxDimensions).filter(
+    (type) => type !== "custom" || currentBoxType === "custom"
+  );
+  const body = document.getElementById("stackingCompare");
+  body.replaceChildren(
+    ...types.map((type) => {
+      const typeEstimate =
+        type === currentBoxType ? estimate : estimateStackingFor(type);
+      const row = document.createElement("tr");
+      row.classList.toggle("current", type === currentBoxType);
+      [
+        type === "custom" ? "Custom" : type,
+        kgf(typeEstimate.bctKgf),
+        typeEstimate.maxLayers,
+      ].forEach((value) => {
+        const cell = document.createElement("td");
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      return row;
+    })
+  );
+
+  const overlay = document.getElementById("stackingOverlay");
+  overlay.textContent =
+    `BCT ${kgf(estimate.bctKgf)} · safe stack ${estimate.maxLayers} layers ` +
+    `(${estimate.stackHeight.toLocaleString("en")} mm) at ` +
+    `${stackingSettings.humidity}% RH, ${stackingSettings.days} days`;
+  overlay.classList.toggle("over-limit", over);
+  overlay.style.display = dimensionsVisible ? "block" : "none";
+}
+
+// Humidity and time in the cold chain the estimate is derated for
+function initStackingControls() {
+  const inputs = { humidity: "stackingHumidity", days: "stackingDays" };
+  Object.entries(inputs).forEach(([key, id]) => {
+    const input = document.getElementById(id);
+    input.min = STACKING_LIMITS[key].min;
+    input.max = STACKING_LIMITS[key].max;
+    input.value = stackingSettings[key];
+    input.addEventListener("change", () => {
+      const number = Math.round(Number(input.value));
+      const value = Number.isFinite(number)
+        ? Math.min(
+            STACKING_LIMITS[key].max,
+            Math.max(STACKING_LIMITS[key].min, number)
+          )
+        : DEFAULT_STACKING[key];
+      input.value = value;
+      stackingSettings = { ...stackingSettings, [key]: value };
+      updateStackingStats();
+    });
+  });
+}
+
+// Target net fruit weight of a box type (kg)
+function getNetWeightFor(boxType) {
+  if (boxType === currentBoxType && bananaNetWeight) return bananaNetWeight;
+  return getDefaultNetWeight(boxDimensions[boxType]);
+}
+
+function planContainerFor(boxType) {
+  const mm = toMillimetres(boxDimensions[boxType]);
+  return planContainerLoad(
+    { length: mm.length, width: mm.width, height: mm.height },
+    containerSettings,
+    palletSettings
+  );
+}
+
+// Container yield of the current box, and of each box type to compare
+function updateContainerStats() {
+  const stats = document.getElementById("containerStats");
+  if (!stats) return;
+  const plan = planContainerFor(currentBoxType);
+  const unitName = plan.mode === "loose" ? "Stacks" : "Pallets";
+  const rows = [
+    [unitName, plan.units.length],
+    [`Boxes per ${unitName.toLowerCase().slice(0, -1)}`, plan.boxesPerUnit],
+    ["Total boxes", plan.totalBoxes.toLocaleString("en")],
+    [
+      "Net fruit",
+      `${((plan.totalBoxes * getNetWeightFor(currentBoxType)) / 1000).toFixed(
+        1
+      )} t`,
+    ],
+    ["Free at doors", `${plan.doorGap.toLocaleString("en")} mm`],
+    ["Volume used", `${Math.round(plan.volumeUse * 100)}%`],
+  ];
+  renderStatList(stats, rows);
+
+  let hint = "";
+  if (!plan.units.length) {
+    hint = "The box does not fit under the load line.";
+  } else if (plan.layersCapped) {
+    hint = `Pallets limited to ${plan.layers} layers to stay under the load line.`;
+  }
+  document.getElementById("containerHint").textContent = hint;
+
+  // Standard box types side by side, plus the custom size when chosen
+  const types = Object.keys(boxDimensions).filter(
+    (type) => type !== "custom" || currentBoxType === "custom"
+  );
+  const body = document.getElementById("containerCompare");
+  body.replaceChildren(
+    ...types.map((type) => {
+      const typePlan = type === currentBoxType ? plan : planContainerFor(type);
+      const row = document.createElement("tr");
+      row.classList.toggle("current", type === currentBoxType);
+      [
+        type === "custom" ? "Custom" : type,
+        typePlan.totalBoxes.toLocaleString("en"),
+        `${((typePlan.totalBoxes * getNetWeightFor(type)) / 1000).toFixed(
+          1
+        )} t`,
+      ].forEach((value) => {
+        const cell = document.createElement("td");
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      return row;
+    })
+  );
+}
+
+// Replace the container model, filled with the current box; animate plays
+// the loading pallet by pallet
+function rebuildContainer(animate = false) {
+  gsap.killTweensOf(containerFill);
+  if (containerModel) {
+    scene.remove(containerModel.group);
+    containerModel.dispose();
+    containerUnit.dispose();
+  }
+
+  const box = getPalletBoxSize();
+  const plan = planContainerLoad(box, containerSettings, palletSettings);
+  if (plan.mode === "loose") {
+    const meshes = withBoxClosed(() =>
+      instanceBoxGroup(
+        boxGroup,
+        Array.from({ length: plan.layers }, (_, i) =>
+          new THREE.Matrix4().makeTranslation(
+            0,
+            i * box.height * UNITS_PER_MM,
+            0
+          )
+        )
+      )
+    );
+    containerUnit = {
+      meshes,
+      dispose: () => meshes.forEach((mesh) => mesh.dispose()),
+    };
+  } else {
+    const pallet = withBoxClosed(() =>
+      createPalletModel(boxGroup, plan.palletPlan, box, palletSettings)
+    );
+    containerUnit = { meshes: pallet.group.children, dispose: pallet.dispose };
+  }
+
+  containerModel = createContainerModel(
+    containerUnit.meshes,
+    plan,
+    containerSettings
+  );
+  scene.add(containerModel.group);
+
+  containerFill.progress = animate ? 0 : containerModel.count;
+  containerModel.setProgress(containerFill.progress);
+  if (animate && containerModel.count) {
+    gsap.to(containerFill, {
+      progress: containerModel.count,
+      duration: Math.min(12, 0.5 + containerModel.count * 0.35),
+      ease: "none",
+      onUpdate: () => containerModel.setProgress(containerFill.progress),
+    });
+  }
+}
+
+// Show the box loaded into a reefer container, or go back to the single box
+function toggleContainerView() {
+  if (!boxGroup || flatBlankActive || palletViewActive) return;
+
+  containerViewActive = !containerViewActive;
+  updateViewButtons();
+
+  if (containerViewActive) {
+    rebuildContainer(true);
+    boxGroup.visible = false;
+
+    // Look in through the open doors
+    const size = CONTAINERS[containerSettings.container];
+    const length = size.length * UNITS_PER_MM;
+    frameOverview(
+      { x: length * 0.9, y: length * 0.45, z: length * 0.55 },
+      { x: 0, y: (size.height * UNITS_PER_MM) / 2, z: 0 },
+      length * 2
+    );
+  } else {
+    gsap.killTweensOf(containerFill);
+    scene.remove(containerModel.group);
+    containerModel.dispose();
+    containerUnit.dispose();
+    containerModel = null;
+    containerUnit = null;
+    boxGroup.visible = true;
+    restoreSingleBoxCamera();
+  }
+}
+
+// Download the container loading plan of the current box as CSV
+function exportLoadingPlan() {
+  const box = getPalletBoxSize();
+  const plan = planContainerLoad(box, containerSettings, palletSettings);
+  const rows = createLoadingPlanRows(plan, {
+    container: containerSettings.container,
+    box,
+    boxLabel: `${currentBrand} ${currentBoxType}`,
+  });
+  downloadBlob(
+    createCsvBlob(rows),
+    `loading-plan-${toFileNamePart(
+      containerSettings.container
+    )}-${toFileNamePart(currentBoxType)}-${plan.mode}.csv`
+  );
+}
+
+// Container type, loading mode, door clearance and floor gap
+function initContainerControls() {
+  fillSelect(
+    "containerType",
+    Object.fromEntries(
+      Object.entries(CONTAINERS).map(([key, container]) => [
+        key,
+        container.label,
+      ])
+    )
+  );
+  fillSelect("containerMode", LOADING_MODES);
+
+  const inputs = {
+    container: "containerType",
+    mode: "containerMode",
+    doorClearance: "containerDoorClearance",
+    floorGap: "containerFloorGap",
+  };
+  Object.entries(inputs).forEach(([key, id]) => {
+    const input = document.getElementById(id);
+    input.value = containerSettings[key];
+    input.addEventListener("change", () => {
+      let value = input.value;
+      if (input.type === "number") {
+        const number = Math.round(Number(value));
+        value = Number.isFinite(number)
+          ? Math.min(Number(input.max), Math.max(Number(input.min), number))
+          : DEFAULT_CONTAINER[key];
+        input.value = value;
+      }
+      containerSettings = { ...containerSettings, [key]: value };
+      updateContainerStats();
+      if (containerViewActive) rebuildContainer(true);
+    });
+  });
+
+  document
+    .getElementById("exportLoadingPlanBtn")
+    .addEventListener("click", exportLoadingPlan);
+}
+
+// Export the flat blank as a 1:1 vector dieline (SVG or PDF)
+function exportDieline() {
+  const format = document.getElementById("dielineFormat").value;
+  const includeArtwork = document.getElementById("dielineArtwork").checked;
+  const dims = boxDimensions[currentBoxType];
+  const drawing = buildDieline(
+    dims,
+    `${currentBrand} ${currentBoxType}`,
+    getDielineCutouts(dims)
+  );
+  const artwork =
+    includeArtwork && currentTextureSet
+      ? collectDielineArtwork(drawing, currentTextureSet)
+      : null;
+
+  const mm = toMillimetres(dims);
+  const fileName = `dieline-${toFileNamePart(currentBrand)}-${toFileNamePart(
+    currentBoxType
+  )}-${mm.length}x${mm.width}x${mm.height}mm.${format}`;
+
+  if (format === "pdf") {
+    downloadBlob(createDielinePdf(drawing, artwork), fileName);
+  } else {
+    const svg = createDielineSvg(drawing, artwork);
+    downloadBlob(new Blob([svg], { type: "image/svg+xml" }), fileName);
+  }
+}
+
+// Offscreen renderer shared by image downloads, batch renders and request thumbnails
+function getSnapshotRenderer() {
+  if (!snapshotRenderer) {
+    snapshotRenderer = createSnapshotRenderer(renderer);
+  }
+  return snapshotRenderer;
+}
+
+// File name describing what an image download shows
+function getSnapshotFileName(resolution) {
+  const state = [
+    toFileNamePart(currentBrand),
+    toFileNamePart(currentBoxType),
+    flatBlankActive ? "flat-blank" : null,
+    palletViewActive ? "pallet" : null,
+    containerViewActive ? "container" : null,
+    currentBoxStyle === "rsc" ? null : currentBoxStyle,
+    frontFlap ? (flapsOpen ? "flaps-open" : "flaps-closed") : null,
+    lidGroup ? (lidOpen ? "lid-open" : "lid-closed") : null,
+    dimensionsVisible ? "dimensions" : null,
+  ].filter(Boolean);
+  return `${state.join("-")}-${resolution.width}x${resolution.height}.png`;
+}
+
+// Render the current view offscreen to a PNG and download it
+async function downloadImage() {
+  const resolution =
+    IMAGE_RESOLUTIONS[document.getElementById("imageResolution").value];
+  const background = document.getElementById("imageBackground").value;
+
+  const btn = document.getElementById("downloadImageBtn");
+  const status = document.getElementById("imageExportStatus");
+  btn.disabled = true;
+  status.textContent = "";
+  try {
+    const blob = await getSnapshotRenderer().render(scene, camera, {
+      width: resolution.width,
+      height: resolution.height,
+      background,
+    });
+    downloadBlob(blob, getSnapshotFileName(resolution));
+  } catch (err) {
+    status.textContent =
+      "The image could not be rendered. Try a lower resolution.";
+    throw err;
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+// glTF clips that open/close the flaps and lift/lower the lid,
+// using the same poses as the live tweens
+function createBoxAnimationClips() {
+  const clips = [];
+  if (frontFlap) {
+    const closedPoses = getFlapPoses(false);
+    const openPoses = getFlapPoses(true);
+    const fullPose = (object, pose) => ({
+      position: Object.assign(object.position.clone(), pose.position),
+      rotation: Object.assign(object.rotation.clone(), pose.rotation),
+    });
+    const flapMoves = Object.entries(getFlaps()).map(([side, flap]) => ({
+      node: flap.name,
+      from: fullPose(flap, closedPoses[side]),
+      to: fullPose(flap, openPoses[side]),
+    }));
+    const reverse = (moves) =>
+      moves.map(({ node, from, to }) => ({ node, from: to, to: from }));
+    clips.push(
+      createPoseClip("flapsOpen", flapMoves, 0.8),
+      createPoseClip("flapsClose", reverse(flapMoves), 0.8)
+    );
+  }
+
+  if (lidGroup) {
+    const node = lidGroup.name;
+    clips.push(
+      createPoseClip("lidLift", [{ node, path: lidPath }], getLidDuration()),
+      createPoseClip(
+        "lidLower",
+        [{ node, path: [...lidPath].reverse() }],
+        getLidDuration()
+      )
+    );
+  }
+  return clips;
+}
+
+// Export the configured box as a GLB with embedded textures
+async function exportModel() {
+  if (!boxGroup) return;
+
+  const includeBananas = document.getElementById("modelBananas").checked;
+  const includeAnimations = document.getElementById("modelAnimations").checked;
+
+  const root = cloneForExport(boxGroup, { includeBananas });
+  const animations = includeAnimations ? createBoxAnimationClips() : [];
+
+  const btn = document.getElementById("exportModelBtn");
+  btn.disabled = true;
+  try {
+    const blob = await exportGlb(root, animations);
+    const state = [
+      toFileNamePart(currentBrand),
+      toFileNamePart(currentBoxType),
+      currentBoxStyle === "rsc" ? null : currentBoxStyle,
+      frontFlap ? (flapsOpen ? "flaps-open" : "flaps-closed") : null,
+      lidGroup ? (lidOpen ? "lid-open" : "lid-closed") : null,
+    ].filter(Boolean);
+    downloadBlob(blob, `${state.join("-")}.glb`);
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+// Jump to the end of any running flap and lid animations
+function finishBoxAnimations() {
+  const targets = [frontFlap, backFlap, leftFlap, rightFlap]
+    .filter(Boolean)
+    .map((flap) => flap.userData.fold);
+  if (lidGroup) targets.push(lidMotion);
+  gsap.getTweensOf(targets).forEach((tween) => tween.progress(1));
+}
+
+// Put the flaps and lid straight into a given state, without animating
+function setBoxState({ flaps, lid }) {
+  if (flaps) {
+    openFlaps();
+  } else {
+    closeFlaps();
+  }
+  if (lidGroup && lidOpen !== lid) {
+    toggleLid();
+  }
+  finishBoxAnimations();
+}
+
+// Lock the configurator controls while a batch render drives the scene
+function setControlsLocked(locked) {
+  document
+    .querySelectorAll(".control-btn, .brand-btn, #boxType")
+    .forEach((el) => {
+      el.disabled = locked;
+    });
+}
+
+// Render every brand × box type × flap × lid state from fixed camera angles
+// and download the renders, a contact sheet and a manifest as one ZIP
+async function runBatchRender() {
+  if (batchRendering) return;
+  batchRendering = true;
+
+  // The custom brand is plain board until artwork is uploaded
+  const brands = Array.from(document.querySelectorAll(".brand-btn"))
+    .map((btn) => btn.dataset.brand)
+    .filter((brand) => brand !== CUSTOM_BRAND || hasCustomArtwork());
+  // The custom size is whatever the user last typed, not a product
+  const boxTypes = Array.from(document.getElementById("boxType").options)
+    .map((option) => option.value)
+    .filter((boxType) => boxType !== "custom");
+  const background = document.getElementById("imageBackground").value;
+  const status = document.getElementById("batchRenderStatus");
+
+  const previous = {
+    brand: currentBrand,
+    boxType: currentBoxType,
+    flaps: flapsOpen,
+    lid: lidOpen,
+  };
+
+  // Shots are of the assembled box without overlays
+  if (flatBlankActive) {
+    toggleFlatBlank();
+    gsap.getTweensOf([dielineFold, camera.position]).forEach((tween) => {
+      tween.progress(1);
+    });
+  }
+  if (palletViewActive) togglePalletView();
+  if (containerViewActive) toggleContainerView();
+  gsap.getTweensOf([camera.position, controls.target]).forEach((tween) => {
+    tween.progress(1);
+  });
+  dimensionsGroup.visible = false;
+
+  setControlsLocked(true);
+
+  const files = [];
+  const rows = [];
+  const shots = [];
+  const encoder = new TextEncoder();
+  const aspect = BATCH_IMAGE_SIZE.width / BATCH_IMAGE_SIZE.height;
+  let configIndex = 0;
+
+  try {
+    for (const brand of brands) {
+      for (const boxType of boxTypes) {
+        configIndex++;
+        status.textContent = `Rendering ${brand} ${boxType} (${configIndex}/${
+          brands.length * boxTypes.length
+        })…`;
+
+        currentBrand = brand;
+        currentBoxType = boxType;
+        await createBox();
+
+        // Frame the most open state so every state shares one framing
+        setBoxState({ flaps: true, lid: true });
+        const sphere = new THREE.Box3()
+          .setFromObject(boxGroup)
+          .getBoundingSphere(new THREE.Sphere());
+        const cameras = BATCH_CAMERA_ANGLES.map((angle) =>
+          createBatchCamera(angle, sphere, aspect)
+        );
+
+        const states = [];
+        (frontFlap ? [false, true] : [false]).forEach((flaps) => {
+          (lidGroup ? [false, true] : [false]).forEach((lid) => {
+            states.push({ flaps, lid });
+          });
+        });
+
+        for (const state of states) {
+          setBoxState(state);
+          const stateName = [
+            frontFlap ? (state.flaps ? "flaps-open" : "flaps-closed") : null,
+            lidGroup ? (state.lid ? "lid-open" : "lid-closed") : null,
+          ]
+            .filter(Boolean)
+            .join("-");
+          const row = {
+            label: [
+              brand,
+              boxType,
+              frontFlap ? (state.flaps ? "flaps open" : "flaps closed") : null,
+              lidGroup ? (state.lid ? "lid open" : "lid closed") : null,
+            ]
+              .filter(Boolean)
+              .join(" · "),
+            thumbnails: [],
+          };
+
+          for (let i = 0; i < BATCH_CAMERA_ANGLES.length; i++) {
+            const angle = BATCH_CAMERA_ANGLES[i];
+            const blob = await getSnapshotRenderer().render(scene, cameras[i], {
+              ...BATCH_IMAGE_SIZE,
+              background,
+            });
+            const name = `renders/${toFileNamePart(brand)}-${toFileNamePart(
+              boxType
+            )}-${stateName}-${angle.id}.png`;
+            files.push({
+              name,
+              data: new Uint8Array(await blob.arrayBuffer()),
+            });
+            row.thumbnails.push(await createThumbnail(blob));
+            shots.push({
+              file: name,
+              brand,
+              boxType,
+              boxStyle: currentBoxStyle,
+              flapsOpen: frontFlap ? state.flaps : null,
+              lidOpen: lidGroup ? state.lid : null,
+              angle: angle.id,
+              approximateArtwork: currentTextureSet?.approximateSlots || [],
+            });
+          }
+          rows.push(row);
+        }
+      }
+    }
+
+    status.textContent = "Building contact sheet…";
+    const title = `Banana Box renders · ${new Date().toLocaleString()}`;
+    const sheet = await createContactSheet(
+      title,
+      rows,
+      BATCH_CAMERA_ANGLES.map((angle) => angle.label)
+    );
+    rows.forEach((row) => row.thumbnails.forEach((bitmap) => bitmap.close()));
 
-  // Update textures immediately
-  updateLidTextures();
+    files.unshift(
+      {
+        name: "contact-sheet.png",
+        data: new Uint8Array(await sheet.arrayBuffer()),
+      },
+      {
+        name: "manifest.json",
+        data: encoder.encode(
+          JSON.stringify({ size: BATCH_IMAGE_SIZE, background, shots }, null, 2)
+        ),
+      }
+    );
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadBlob(createZipBlob(files), `banana-box-renders-${stamp}.zip`);
+    status.textContent = `Rendered ${shots.length} images`;
+  } catch (err) {
+    status.textContent = "Batch render failed";
+    throw err;
+  } finally {
+    // Back to what the user was looking at
+    currentBrand = previous.brand;
+    currentBoxType = previous.boxType;
+    await createBox();
+    setBoxState({ flaps: previous.flaps, lid: previous.lid });
+    dimensionsGroup.visible = true;
+    setControlsLocked(false);
+    batchRendering = false;
+  }
 }
 
 // Update dimensions display
@@ -1032,6 +2168,11 @@ function updateDimensions() {
 
   const dims = boxDimensions[currentBoxType];
 
+  // Scale offsets and arrows with the box so custom sizes stay readable
+  const overlayScale =
+    Math.max(dims.width, dims.height, dims.depth) / boxDimensions["22XU"].width;
+  const offset = (value) => value * overlayScale;
+
   // Create dimension lines with arrows
   const lineMaterial = new THREE.LineBasicMaterial({
     color: 0xff3333,
@@ -1040,10 +2181,10 @@ function updateDimensions() {
   const arrowMaterial = new THREE.MeshBasicMaterial({ color: 0xff3333 });
 
   // Width dimension
-  const widthY = dims.height + 1.5;
+  const widthY = dims.height + offset(1.5);
   const widthPoints = [
-    new THREE.Vector3(-dims.width / 2, widthY, dims.depth / 2 + 0.5),
-    new THREE.Vector3(dims.width / 2, widthY, dims.depth / 2 + 0.5),
+    new THREE.Vector3(-dims.width / 2, widthY, dims.depth / 2 + offset(0.5)),
+    new THREE.Vector3(dims.width / 2, widthY, dims.depth / 2 + offset(0.5)),
   ];
   const widthGeometry = new THREE.BufferGeometry().setFromPoints(widthPoints);
   const widthLine = new THREE.Line(widthGeometry, lineMaterial);
@@ -1051,21 +2192,21 @@ function updateDimensions() {
 
   // Width arrows
   addArrow(
-    new THREE.Vector3(-dims.width / 2, widthY, dims.depth / 2 + 0.5),
+    new THREE.Vector3(-dims.width / 2, widthY, dims.depth / 2 + offset(0.5)),
     new THREE.Vector3(1, 0, 0),
     arrowMaterial
   );
   addArrow(
-    new THREE.Vector3(dims.width / 2, widthY, dims.depth / 2 + 0.5),
+    new THREE.Vector3(dims.width / 2, widthY, dims.depth / 2 + offset(0.5)),
     new THREE.Vector3(-1, 0, 0),
     arrowMaterial
   );
 
   // Height dimension
-  const heightX = dims.width / 2 + 1;
+  const heightX = dims.width / 2 + offset(1);
   const heightPoints = [
-    new THREE.Vector3(heightX, 0, dims.depth / 2 + 0.5),
-    new THREE.Vector3(heightX, dims.height, dims.depth / 2 + 0.5),
+    new THREE.Vector3(heightX, 0, dims.depth / 2 + offset(0.5)),
+    new THREE.Vector3(heightX, dims.height, dims.depth / 2 + offset(0.5)),
   ];
   const heightGeometry = new THREE.BufferGeometry().setFromPoints(heightPoints);
   const heightLine = new THREE.Line(heightGeometry, lineMaterial);
@@ -1073,19 +2214,19 @@ function updateDimensions() {
 
   // Height arrows
   addArrow(
-    new THREE.Vector3(heightX, 0, dims.depth / 2 + 0.5),
+    new THREE.Vector3(heightX, 0, dims.depth / 2 + offset(0.5)),
     new THREE.Vector3(0, 1, 0),
     arrowMaterial
   );
   addArrow(
-    new THREE.Vector3(heightX, dims.height, dims.depth / 2 + 0.5),
+    new THREE.Vector3(heightX, dims.height, dims.depth / 2 + offset(0.5)),
     new THREE.Vector3(0, -1, 0),
     arrowMaterial
   );
 
   // Depth dimension
-  const depthX = dims.width / 2 + 1;
-  const depthY = dims.height + 0.5;
+  const depthX = dims.width / 2 + offset(1);
+  const depthY = dims.height + offset(0.5);
   const depthPoints = [
     new THREE.Vector3(depthX, depthY, -dims.depth / 2),
     new THREE.Vector3(depthX, depthY, dims.depth / 2),
@@ -1107,7 +2248,7 @@ function updateDimensions() {
   );
 
   function addArrow(position, direction, material) {
-    const arrowGeometry = new THREE.ConeGeometry(0.1, 0.3, 8);
+    const arrowGeometry = new THREE.ConeGeometry(offset(0.1), offset(0.3), 8);
     const arrow = new THREE.Mesh(arrowGeometry, material);
     arrow.position.copy(position);
 
@@ -1123,86 +2264,1210 @@ function updateDimensions() {
 
 // Flap animation functions are defined earlier in the file
 
-// Toggle dimensions
-function toggleDimensions() {
-  dimensionsVisible = !dimensionsVisible;
-  updateDimensions();
-
-  const btn = document.getElementById("toggleDimensionsBtn");
-  if (dimensionsVisible) {
-    btn.classList.add("active");
-  } else {
-    btn.classList.remove("active");
-  }
-}
-
-// Handle window resize
-function onWindowResize() {
-  const container = document.getElementById("canvas-container");
-  camera.aspect = container.clientWidth / container.clientHeight;
-  camera.updateProjectionMatrix();
-  renderer.setSize(container.clientWidth, container.clientHeight);
+// Read the custom size inputs (mm)
+function readCustomDimensionInputs() {
+  return Object.fromEntries(
+    Object.entries(customDimensionInputs).map(([key, id]) => [
+      key,
+      document.getElementById(id).value,
+    ])
+  );
 }
 
-// Animation loop
-function animate() {
-  requestAnimationFrame(animate);
-  controls.update();
-  renderer.render(scene, camera);
+// Show custom size values (mm) in the inputs
+function updateCustomDimensionInputs(values) {
+  Object.entries(customDimensionInputs).forEach(([key, id]) => {
+    document.getElementById(id).value = values[key];
+  });
 }
 
-// Event Listeners
-document.addEventListener("DOMContentLoaded", () => {
-  init();
-
-  // Box type selection
-  document.getElementById("boxType").addEventListener("change", (e) => {
-    currentBoxType = e.target.value;
-    // Update lid button visibility
-    const toggleLidBtn = document.getElementById("toggleLidBtn");
-    if (toggleLidBtn) {
-      if (currentBrand === "FRUTALUXE") {
-        toggleLidBtn.style.display = "flex";
-      } else {
-        toggleLidBtn.style.display = "none";
-      }
-    }
+// Apply the custom size inputs to the custom box type, clamped to the limits
+function applyCustomDimensions() {
+  const applied = setCustomDimensions(readCustomDimensionInputs());
+  updateCustomDimensionInputs(applied);
+  if (currentBoxType === "custom") {
     createBox().catch((err) => {
       console.error("Error creating box:", err);
     });
+  }
+}
+
+// Set up the custom size inputs from the limits and the current custom box
+function initCustomDimensionInputs() {
+  const current = toMillimetres(boxDimensions.custom);
+  Object.entries(customDimensionInputs).forEach(([key, id]) => {
+    const input = document.getElementById(id);
+    input.min = CUSTOM_DIMENSION_LIMITS[key].min;
+    input.max = CUSTOM_DIMENSION_LIMITS[key].max;
+    input.step = 1;
+    input.value = current[key];
+    input.addEventListener("change", applyCustomDimensions);
   });
 
-  // Brand selection
-  document.querySelectorAll(".brand-btn").forEach((btn) => {
-    btn.addEventListener("click", () => {
-      document
-        .querySelectorAll(".brand-btn")
-        .forEach((b) => b.classList.remove("active"));
-      btn.classList.add("active");
-      currentBrand = btn.dataset.brand;
-      // Update lid button visibility - show for all brands with cropped textures
-      const toggleLidBtn = document.getElementById("toggleLidBtn");
-      if (toggleLidBtn) {
-        const brandsWithCroppedTextures = [
-          "FRUTALUXE",
-          "FRUTANA JOY",
-          "FRUTANA",
-          "FRUTANOVA",
-          "SINDIBAD",
-        ];
-        const hasCroppedTextures =
-          (currentBoxType === "22XU" || currentBoxType === "208") &&
-          brandsWithCroppedTextures.includes(currentBrand);
-        if (hasCroppedTextures) {
-          toggleLidBtn.style.display = "flex";
-        } else {
-          toggleLidBtn.style.display = "none";
-        }
-      }
-      createBox().catch((err) => {
-        console.error("Error creating box:", err);
+  const { length, width, height } = CUSTOM_DIMENSION_LIMITS;
+  document.getElementById("customDimensionsHint").textContent =
+    `Corrugated board limits: length ${length.min}–${length.max}, ` +
+    `width ${width.min}–${width.max}, height ${height.min}–${height.max} mm. ` +
+    "The lid cannot be taller than the box.";
+}
+
+// Show the custom size inputs only for the custom box type
+function updateCustomDimensionsVisibility() {
+  document.getElementById("customDimensionsSection").style.display =
+    currentBoxType === "custom" ? "block" : "none";
+}
+
+// Custom artwork
+
+// Artwork controls are only offered for the custom brand
+function updateCustomArtworkVisibility() {
+  document.getElementById("customArtworkSection").style.display =
+    currentBrand === CUSTOM_BRAND ? "block" : "none";
+}
+
+// Artwork placement inputs, keyed like DEFAULT_ARTWORK_TRANSFORM
+const artworkTransformInputs = {
+  fit: "artworkFit",
+  scale: "artworkScale",
+  rotation: "artworkRotation",
+  offsetX: "artworkOffsetX",
+  offsetY: "artworkOffsetY",
+};
+
+// Show the selected slot's file and placement in the artwork controls
+function updateArtworkControls() {
+  const slot = document.getElementById("artworkSlot").value;
+  const entry = getSlotArtwork(slot);
+  const transform = entry ? entry.transform : DEFAULT_ARTWORK_TRANSFORM;
+
+  document.getElementById("artworkFileName").textContent = entry
+    ? entry.name
+    : "No image yet, this panel shows plain board";
+  Object.entries(artworkTransformInputs).forEach(([key, id]) => {
+    const input = document.getElementById(id);
+    input.value = transform[key];
+    input.disabled = !entry;
+  });
+  document.getElementById("artworkResetBtn").disabled = !entry;
+  document.getElementById("artworkRemoveBtn").disabled = !entry;
+}
+
+// Set up the per-slot upload and placement controls
+function initCustomArtworkControls() {
+  const slotSelect = document.getElementById("artworkSlot");
+  TEXTURE_SLOTS.forEach((slot) => {
+    const option = document.createElement("option");
+    option.value = slot;
+    option.textContent = SLOT_LABELS[slot];
+    slotSelect.appendChild(option);
+  });
+  slotSelect.addEventListener("change", updateArtworkControls);
+
+  const fileInput = document.getElementById("artworkFile");
+  fileInput.addEventListener("change", () => {
+    const file = fileInput.files[0];
+    if (!file) return;
+    setSlotArtwork(slotSelect.value, file)
+      .then(() => {
+        updateArtworkControls();
+        repaintLabels();
+      })
+      .catch((err) => {
+        console.error("Error loading artwork:", err);
+        document.getElementById("artworkFileName").textContent = err.message;
+      })
+      .finally(() => {
+        fileInput.value = "";
+      });
+  });
+
+  Object.entries(artworkTransformInputs).forEach(([key, id]) => {
+    const input = document.getElementById(id);
+    input.addEventListener("input", () => {
+      setSlotTransform(slotSelect.value, {
+        [key]: key === "fit" ? input.value : Number(input.value),
       });
+      repaintLabels();
+    });
+  });
+
+  document.getElementById("artworkResetBtn").addEventListener("click", () => {
+    setSlotTransform(slotSelect.value, DEFAULT_ARTWORK_TRANSFORM);
+    updateArtworkControls();
+    repaintLabels();
+  });
+  document.getElementById("artworkRemoveBtn").addEventListener("click", () => {
+    clearSlotArtwork(slotSelect.value);
+    updateArtworkControls();
+    repaintLabels();
+  });
+
+  updateArtworkControls();
+  updateCustomArtworkVisibility();
+}
+
+// Label editor
+
+// Layer property inputs, keyed like the layer values
+const labelLayerInputs = {
+  text: "labelText",
+  font: "labelFont",
+  bold: "labelBold",
+  color: "labelColor",
+  aspect: "labelAspect",
+  size: "labelSize",
+  x: "labelX",
+  y: "labelY",
+  rotation: "labelRotation",
+  opacity: "labelOpacity",
+};
+
+const LAYER_NAMES = {
+  text: "Text",
+  image: "Logo",
+  rect: "Rectangle",
+  ellipse: "Ellipse",
+};
+
+function getSelectedLayer() {
+  const slot = document.getElementById("labelSlot").value;
+  const id = Number(document.getElementById("labelLayers").value);
+  return getLayers(slot).find((layer) => layer.id === id) || null;
+}
+
+// Repaint labelled panels after their layers or base artwork changed
+function repaintLabels() {
+  applyLabelLayers(baseTextureSet);
+  schedulePrintCheck();
+}
+
+// Rebuild the box after layers were added or removed, since that changes
+// which textures the panels use. Flaps and lid keep their state.
+function rebuildForLabels() {
+  pendingBoxState = { flaps: flapsOpen, lid: lidOpen };
+  createBox().catch((err) => {
+    console.error("Error creating box:", err);
+  });
+}
+
+// List the selected panel's layers, top layer first, keeping a selection
+function updateLabelLayerList(selectId) {
+  const slot = document.getElementById("labelSlot").value;
+  const list = document.getElementById("labelLayers");
+  const previous = selectId ?? Number(list.value);
+  list.innerHTML = "";
+  getLayers(slot)
+    .reverse()
+    .forEach((layer) => {
+      const option = document.createElement("option");
+      option.value = layer.id;
+      option.textContent =
+        layer.type === "text"
+          ? `${LAYER_NAMES.text}: ${layer.text.split("\n")[0]}`
+          : LAYER_NAMES[layer.type];
+      list.appendChild(option);
     });
+  if (list.querySelector(`option[value="${previous}"]`)) {
+    list.value = previous;
+  } else if (list.options.length) {
+    list.selectedIndex = 0;
+  }
+  updateLabelLayerFields();
+}
+
+// Show the selected layer's values, with only the fields its type uses
+function updateLabelLayerFields() {
+  const layer = getSelectedLayer();
+  document.getElementById("labelLayerFields").style.display = layer
+    ? "grid"
+    : "none";
+  ["labelForwardBtn", "labelBackwardBtn", "labelDeleteBtn"].forEach((id) => {
+    document.getElementById(id).disabled = !layer;
+  });
+  if (!layer) return;
+
+  document.querySelectorAll("#labelLayerFields [data-types]").forEach((el) => {
+    el.style.display = el.dataset.types.split(" ").includes(layer.type)
+      ? ""
+      : "none";
+  });
+  Object.entries(labelLayerInputs).forEach(([key, id]) => {
+    const input = document.getElementById(id);
+    if (!(key in layer)) return;
+    if (input.type === "checkbox") {
+      input.checked = layer[key];
+    } else {
+      input.value = layer[key];
+    }
+  });
+}
+
+function addLabelLayer(type, values) {
+  const slot = document.getElementById("labelSlot").value;
+  const id = addLayer(slot, type, values);
+  updateLabelLayerList(id);
+  rebuildForLabels();
+}
+
+function setLabelStatus(message) {
+  document.getElementById("labelStatus").textContent = message;
+}
+
+// Save the label design as a JSON file
+function saveLabelDesign() {
+  const blob = new Blob([serializeLabelDesign()], {
+    type: "application/json",
+  });
+  downloadBlob(blob, `${toFileNamePart(currentBrand)}-labels.json`);
+}
+
+// Reopen a saved label design
+async function openLabelDesign(file) {
+  loadLabelDesign(await file.text());
+  updateLabelLayerList();
+  rebuildForLabels();
+  setLabelStatus(`Opened ${file.name}`);
+}
+
+// Set up the label layer editor
+function initLabelEditor() {
+  const slotSelect = document.getElementById("labelSlot");
+  TEXTURE_SLOTS.filter((slot) => !slot.startsWith("interiors.")).forEach(
+    (slot) => {
+      const option = document.createElement("option");
+      option.value = slot;
+      option.textContent = SLOT_LABELS[slot];
+      slotSelect.appendChild(option);
+    }
+  );
+  slotSelect.addEventListener("change", () => updateLabelLayerList());
+
+  const fontSelect = document.getElementById("labelFont");
+  Object.keys(LABEL_FONTS).forEach((name) => {
+    const option = document.createElement("option");
+    option.value = name;
+    option.textContent = name;
+    fontSelect.appendChild(option);
+  });
+
+  document
+    .getElementById("labelLayers")
+    .addEventListener("change", updateLabelLayerFields);
+
+  document
+    .getElementById("labelAddTextBtn")
+    .addEventListener("click", () => addLabelLayer("text"));
+  document
+    .getElementById("labelAddRectBtn")
+    .addEventListener("click", () => addLabelLayer("rect"));
+  document
+    .getElementById("labelAddEllipseBtn")
+    .addEventListener("click", () => addLabelLayer("ellipse"));
+
+  // Logos are kept as data URLs so saved designs are self-contained
+  const logoInput = document.getElementById("labelLogoFile");
+  logoInput.addEventListener("change", () => {
+    const file = logoInput.files[0];
+    if (!file) return;
+    blobToDataUrl(file)
+      .then((src) => {
+        addLabelLayer("image", { src });
+        setLabelStatus("");
+      })
+      .catch((err) => {
+        console.error("Error reading logo:", err);
+        setLabelStatus(`Could not read ${file.name}`);
+      })
+      .finally(() => {
+        logoInput.value = "";
+      });
+  });
+
+  Object.entries(labelLayerInputs).forEach(([key, id]) => {
+    const input = document.getElementById(id);
+    const eventName = input.type === "checkbox" ? "change" : "input";
+    input.addEventListener(eventName, () => {
+      const layer = getSelectedLayer();
+      if (!layer) return;
+      let value = input.value;
+      if (input.type === "checkbox") value = input.checked;
+      if (input.type === "range") value = Number(value);
+      updateLayer(slotSelect.value, layer.id, { [key]: value });
+      repaintLabels();
+      if (key === "text") updateLabelLayerList(layer.id);
+    });
+  });
+
+  const moveSelected = (direction) => {
+    const layer = getSelectedLayer();
+    if (!layer) return;
+    moveLayer(slotSelect.value, layer.id, direction);
+    updateLabelLayerList(layer.id);
+    repaintLabels();
+  };
+  document
+    .getElementById("labelForwardBtn")
+    .addEventListener("click", () => moveSelected(1));
+  document
+    .getElementById("labelBackwardBtn")
+    .addEventListener("click", () => moveSelected(-1));
+  document.getElementById("labelDeleteBtn").addEventListener("click", () => {
+    const layer = getSelectedLayer();
+    if (!layer) return;
+    removeLayer(slotSelect.value, layer.id);
+    updateLabelLayerList();
+    rebuildForLabels();
+  });
+
+  document
+    .getElementById("labelSaveBtn")
+    .addEventListener("click", saveLabelDesign);
+  const designInput = document.getElementById("labelDesignFile");
+  designInput.addEventListener("change", () => {
+    const file = designInput.files[0];
+    if (!file) return;
+    openLabelDesign(file)
+      .catch((err) => {
+        console.error("Error opening label design:", err);
+        setLabelStatus(err.message);
+      })
+      .finally(() => {
+        designInput.value = "";
+      });
+  });
+
+  updateLabelLayerList();
+}
+
+// Vents and hand-holds
+
+// Cut-out property inputs, keyed like the cut-out values
+const cutoutInputs = {
+  shape: "cutoutShape",
+  width: "cutoutWidth",
+  height: "cutoutHeight",
+  x: "cutoutX",
+  y: "cutoutY",
+};
+
+function getSelectedCutout() {
+  const id = Number(document.getElementById("cutoutList").value);
+  return getCutouts().find((cutout) => cutout.id === id) || null;
+}
+
+// Rebuild the box with the new openings; flaps and lid keep their state
+function rebuildForCutouts() {
+  pendingBoxState = { flaps: flapsOpen, lid: lidOpen };
+  createBox().catch((err) => {
+    console.error("Error creating box:", err);
+  });
+}
+
+// List the selected panel's cut-outs, keeping a selection
+function updateCutoutList(selectId) {
+  const panel = document.getElementById("cutoutPanel").value;
+  const list = document.getElementById("cutoutList");
+  const previous = selectId ?? Number(list.value);
+  const { rejected } = placeCutouts(boxDimensions[currentBoxType]);
+  list.innerHTML = "";
+  getCutouts()
+    .filter((cutout) => cutout.panel === panel)
+    .forEach((cutout) => {
+      const option = document.createElement("option");
+      option.value = cutout.id;
+      option.textContent =
+        `${CUTOUT_PRESETS[cutout.kind].name}: ${CUTOUT_SHAPES[cutout.shape]} ` +
+        `${cutout.width} × ${cutout.height} mm` +
+        (rejected.some((item) => item.id === cutout.id) ? " (left out)" : "");
+      list.appendChild(option);
+    });
+  if (list.querySelector(`option[value="${previous}"]`)) {
+    list.value = previous;
+  } else if (list.options.length) {
+    list.selectedIndex = 0;
+  }
+  updateCutoutFields();
+}
+
+// Show the selected cut-out's values
+function updateCutoutFields() {
+  const cutout = getSelectedCutout();
+  document.getElementById("cutoutFields").style.display = cutout
+    ? "grid"
+    : "none";
+  document.getElementById("cutoutDeleteBtn").disabled = !cutout;
+  if (!cutout) return;
+  Object.entries(cutoutInputs).forEach(([key, id]) => {
+    document.getElementById(id).value = cutout[key];
+  });
+}
+
+// Open area of the walls and bottom, which the cooling air passes through
+function updateCutoutStats() {
+  const stats = document.getElementById("cutoutStats");
+  if (!stats) return;
+  const openArea = getOpenArea(boxDimensions[currentBoxType]);
+  const panel = document.getElementById("cutoutPanel").value;
+  const format = ({ area, open }) =>
+    `${((open / area) * 100).toFixed(1)}% · ${Math.round(open / 100)} cm²`;
+  renderStatList(stats, [
+    ["Walls open area", format(openArea.walls)],
+    ["Bottom open area", format(openArea.bottom)],
+    [`${CUTOUT_PANELS[panel]} panel`, format(openArea.panels[panel])],
+  ]);
+
+  const count = openArea.rejected.length;
+  document.getElementById("cutoutHint").textContent = count
+    ? `${count} cut-out${count === 1 ? "" : "s"} left out: ` +
+      "each needs its own space on the panel, clear of the edges."
+    : "";
+  updateCutoutList();
+}
+
+// Set up the vent and hand-hole editor
+function initCutoutEditor() {
+  const panelSelect = document.getElementById("cutoutPanel");
+  Object.entries(CUTOUT_PANELS).forEach(([panel, name]) => {
+    const option = document.createElement("option");
+    option.value = panel;
+    option.textContent = name;
+    panelSelect.appendChild(option);
+  });
+  panelSelect.addEventListener("change", () => {
+    updateCutoutStats();
+  });
+
+  const shapeSelect = document.getElementById("cutoutShape");
+  Object.entries(CUTOUT_SHAPES).forEach(([shape, name]) => {
+    const option = document.createElement("option");
+    option.value = shape;
+    option.textContent = name;
+    shapeSelect.appendChild(option);
+  });
+
+  document
+    .getElementById("cutoutList")
+    .addEventListener("change", updateCutoutFields);
+
+  const addSelected = (kind) => {
+    const id = addCutout(panelSelect.value, kind);
+    updateCutoutList(id);
+    rebuildForCutouts();
+  };
+  document
+    .getElementById("cutoutAddVentBtn")
+    .addEventListener("click", () => addSelected("vent"));
+  document
+    .getElementById("cutoutAddHandHoleBtn")
+    .addEventListener("click", () => addSelected("handHole"));
+
+  // Geometry is rebuilt once a value is settled, not while dragging
+  Object.entries(cutoutInputs).forEach(([key, id]) => {
+    const input = document.getElementById(id);
+    input.addEventListener("change", () => {
+      const cutout = getSelectedCutout();
+      if (!cutout) return;
+      let value = input.value;
+      if (input.type === "number") {
+        const number = Math.round(Number(value));
+        value = Number.isFinite(number)
+          ? Math.min(Number(input.max), Math.max(Number(input.min), number))
+          : cutout[key];
+        input.value = value;
+      } else if (input.type === "range") {
+        value = Number(value);
+      }
+      updateCutout(cutout.id, { [key]: value });
+      updateCutoutList(cutout.id);
+      rebuildForCutouts();
+    });
+  });
+
+  document.getElementById("cutoutDeleteBtn").addEventListener("click", () => {
+    const cutout = getSelectedCutout();
+    if (!cutout) return;
+    removeCutout(cutout.id);
+    updateCutoutList();
+    rebuildForCutouts();
+  });
+  document.getElementById("cutoutResetBtn").addEventListener("click", () => {
+    resetCutouts();
+    updateCutoutList();
+    rebuildForCutouts();
+  });
+
+  updateCutoutList();
+}
+
+// Print safety
+
+// Emissive tint of panels with print problems
+const PRINT_CHECK_HIGHLIGHT = { error: 0xe74c3c, warning: 0xf39c12 };
+
+// Artwork as it is applied to the model: the cropped set (with the bottom
+// face falling back to a bottom flap, as in createBox), or the single
+// artboard texture stretched over every panel
+function getAppliedTextureSet() {
+  if (currentTextureSet) {
+    return {
+      ...currentTextureSet,
+      faces: {
+        ...currentTextureSet.faces,
+        bottom:
+          currentTextureSet.faces.bottom ||
+          currentTextureSet.flaps.bottom.long1,
+      },
+    };
+  }
+  const texture = boxBody?.material[0]?.map;
+  if (!texture) return null;
+  const flaps = {
+    long1: texture,
+    long2: texture,
+    short1: texture,
+    short2: texture,
+  };
+  return {
+    faces: {
+      right: texture,
+      left: texture,
+      front: texture,
+      back: texture,
+      bottom: texture,
+    },
+    flaps: { top: flaps, bottom: { ...flaps } },
+  };
+}
+
+// Tint the faces whose artwork failed the check. Panels are matched by
+// texture, so a texture shared by several panels takes its worst result.
+function highlightPrintIssues(results) {
+  const levels = new Map();
+  results.forEach((result) => {
+    const level = getWorstLevel(result);
+    if (level && levels.get(result.texture) !== "error") {
+      levels.set(result.texture, level);
+    }
+  });
+  const highlight =
+    printCheckActive && document.getElementById("printCheckHighlight").checked;
+
+  boxGroup.traverse((child) => {
+    if (!child.isMesh) return;
+    const materials = Array.isArray(child.material)
+      ? child.material
+      : [child.material];
+    materials.forEach((mat) => {
+      if (!mat.map || !mat.emissive) return;
+      if (!mat.userData.printCheckEmissive) {
+        mat.userData.printCheckEmissive = {
+          color: mat.emissive.getHex(),
+          intensity: mat.emissiveIntensity,
+        };
+      }
+      const level = highlight ? levels.get(mat.map) : null;
+      const original = mat.userData.printCheckEmissive;
+      mat.emissive.setHex(
+        level ? PRINT_CHECK_HIGHLIGHT[level] : original.color
+      );
+      mat.emissiveIntensity = level ? 0.45 : original.intensity;
+    });
+  });
+}
+
+// List the check results by panel
+function showPrintCheckResults(results) {
+  const list = document.getElementById("printCheckResults");
+  list.innerHTML = "";
+  const checked = results.filter((result) => result.dpi !== null);
+  const flagged = checked.filter((result) => result.issues.length);
+
+  flagged.forEach((result) => {
+    const item = document.createElement("li");
+    item.className = `print-check-item ${getWorstLevel(result)}`;
+    const title = document.createElement("strong");
+    title.textContent = `${SLOT_LABELS[result.slot]} · ${result.dpi} DPI`;
+    item.appendChild(title);
+    result.issues.forEach((issue) => {
+      const line = document.createElement("span");
+      line.textContent = issue.message;
+      item.appendChild(line);
+    });
+    list.appendChild(item);
+  });
+
+  document.getElementById("printCheckSummary").textContent = checked.length
+    ? `${checked.length - flagged.length} of ${checked.length} panels ` +
+      "are ready to print"
+    : "No artwork to check yet";
+}
+
+// Check the current box's artwork and show the results
+function runPrintCheck() {
+  clearTimeout(printCheckTimer);
+  const textureSet = getAppliedTextureSet();
+  const results = textureSet
+    ? checkTextureSet(textureSet, boxDimensions[currentBoxType]).filter(
+        (result) => isSlotPrinted(result.slot)
+      )
+    : [];
+  showPrintCheckResults(results);
+  highlightPrintIssues(results);
+}
+
+// Texture slots the current box style prints: a tray has no top flaps,
+// and only the telescopic lid carries the lid artwork
+function isSlotPrinted(slot) {
+  if (slot.startsWith("lid.")) return currentBoxStyle === "telescope";
+  if (slot.startsWith("flaps.top.")) return currentBoxStyle === "rsc";
+  return true;
+}
+
+// Re-check after artwork edits, once the sliders settle
+function schedulePrintCheck() {
+  if (!printCheckActive) return;
+  clearTimeout(printCheckTimer);
+  printCheckTimer = setTimeout(runPrintCheck, 250);
+}
+
+// Start or stop checking the artwork
+function togglePrintCheck() {
+  printCheckActive = !printCheckActive;
+  const button = document.getElementById("printCheckBtn");
+  button.classList.toggle("active", printCheckActive);
+  button.querySelector("span").textContent = printCheckActive
+    ? "Stop Checking"
+    : "Check Artwork";
+  document.getElementById("printCheckReport").style.display = printCheckActive
+    ? "block"
+    : "none";
+  if (printCheckActive) {
+    runPrintCheck();
+  } else {
+    clearTimeout(printCheckTimer);
+    highlightPrintIssues([]);
+  }
+}
+
+// Board grade
+
+// Offer the board grades; changing grade rebuilds the box at the new
+// thickness with the flaps and lid where they were
+function initBoardGradeSelect() {
+  const select = document.getElementById("boardGrade");
+  Object.entries(BOARD_GRADES).forEach(([grade, board]) => {
+    const option = document.createElement("option");
+    option.value = grade;
+    option.textContent = `${board.label} (${board.thickness} mm)`;
+    select.appendChild(option);
+  });
+  select.value = currentBoardGrade;
+  select.addEventListener("change", () => {
+    currentBoardGrade = select.value;
+    pendingBoxState = { flaps: flapsOpen, lid: lidOpen };
+    createBox().catch((err) => {
+      console.error("Error creating box:", err);
+    });
+  });
+}
+
+// Offer the box styles; changing style rebuilds the box with its flaps or
+// lid, keeping them open or closed as they were
+function initBoxStyleSelect() {
+  const select = document.getElementById("boxStyle");
+  Object.entries(BOX_STYLES).forEach(([style, { name }]) => {
+    const option = document.createElement("option");
+    option.value = style;
+    option.textContent = name;
+    select.appendChild(option);
+  });
+  select.value = currentBoxStyle;
+  select.addEventListener("change", () => {
+    currentBoxStyle = select.value;
+    pendingBoxState = { flaps: flapsOpen, lid: lidOpen };
+    createBox().catch((err) => {
+      console.error("Error creating box:", err);
+    });
+  });
+}
+
+// Ripeness repaints the shared peel; a new weight repacks the fruit only
+function initBananaControls() {
+  const ripeness = document.getElementById("bananaRipeness");
+  const label = document.getElementById("bananaRipenessLabel");
+  const weight = document.getElementById("bananaWeight");
+  const showStage = () => {
+    label.textContent = `Ripeness: ${RIPENESS_STAGES[bananaRipeness - 1].name}`;
+  };
+  ripeness.value = bananaRipeness;
+  showStage();
+
+  ripeness.addEventListener("input", () => {
+    bananaRipeness = Number(ripeness.value);
+    showStage();
+    if (bananaMaterials) setBananaRipeness(bananaMaterials, bananaRipeness);
+  });
+  weight.addEventListener("change", () => {
+    const value = parseFloat(weight.value);
+    // An empty field goes back to the box's standard weight
+    bananaNetWeight = value > 0 ? Math.min(value, Number(weight.max)) : null;
+    weight.value = bananaNetWeight ?? "";
+    if (boxGroup) createBananas(boxDimensions[currentBoxType]);
+  });
+}
+
+// Interior packing toggles; the fruit is repacked around them
+function initPackingControls() {
+  document.querySelectorAll("[data-packing]").forEach((input) => {
+    input.checked = packingComponents.includes(input.dataset.packing);
+    input.addEventListener("change", () => {
+      setPackingComponents(
+        Object.keys(PACKING_COMPONENTS).filter(
+          (id) => document.querySelector(`[data-packing="${id}"]`).checked
+        )
+      );
+      if (boxGroup) createBananas(boxDimensions[currentBoxType]);
+      syncUrlState();
+    });
+  });
+  document
+    .getElementById("quantity")
+    .addEventListener("input", updatePackingLineItems);
+}
+
+function setPackingComponents(components) {
+  packingComponents = components;
+  document.querySelectorAll("[data-packing]").forEach((input) => {
+    input.checked = components.includes(input.dataset.packing);
+  });
+}
+
+// List the packing ordered with the boxes in the request form
+function updatePackingLineItems() {
+  const list = document.getElementById("packingLineItems");
+  if (!list || !currentPack) return;
+  const quantity = Number(document.getElementById("quantity").value) || null;
+  const items = getPackingLineItems(packingComponents, currentPack, quantity);
+  list.textContent = items.length
+    ? items
+        .map(
+          (item) =>
+            `${item.name}: ${item.perBox} per box` +
+            (item.quantity ? ` (${item.quantity.toLocaleString("en")})` : "")
+        )
+        .join(" · ")
+    : "None. Add a polybag, pad or slip sheets under Packing.";
+}
+
+// Toggle dimensions
+function toggleDimensions() {
+  dimensionsVisible = !dimensionsVisible;
+  updateDimensions();
+  updateStackingStats();
+
+  const btn = document.getElementById("toggleDimensionsBtn");
+  if (dimensionsVisible) {
+    btn.classList.add("active");
+  } else {
+    btn.classList.remove("active");
+  }
+  syncUrlState();
+}
+
+// Shareable configuration URLs
+
+// Configuration that a shared link reproduces
+function getShareableState() {
+  return {
+    brand: currentBrand,
+    boxType: currentBoxType,
+    boxStyle: currentBoxStyle,
+    boardGrade: currentBoardGrade,
+    packing: packingComponents,
+    flapsOpen,
+    lidOpen,
+    dimensionsVisible,
+    camera: camera ? camera.position.toArray() : null,
+    customDimensions:
+      currentBoxType === "custom" ? toMillimetres(boxDimensions.custom) : null,
+  };
+}
+
+// Keep the address bar in step with the configuration. Camera moves only
+// replace the current entry so Back skips over them.
+function syncUrlState({ replace = false } = {}) {
+  if (restoringUrlState || batchRendering) return;
+  writeConfigToHistory(getShareableState(), {
+    replace: replace || !urlStateRecorded,
+  });
+  urlStateRecorded = true;
+}
+
+// Read the configuration from the current URL, falling back to defaults
+function readUrlState() {
+  return parseConfigParams(window.location.search, {
+    brands: Array.from(document.querySelectorAll(".brand-btn")).map(
+      (btn) => btn.dataset.brand
+    ),
+    boxTypes: Array.from(document.getElementById("boxType").options).map(
+      (option) => option.value
+    ),
+    boxStyles: Object.keys(BOX_STYLES),
+    boardGrades: Object.keys(BOARD_GRADES),
+    packingComponents: Object.keys(PACKING_COMPONENTS),
+  });
+}
+
+// Apply a configuration from the URL. Brand, box type and size take effect
+// on the next createBox, and the flap and lid state once it has built.
+function applyUrlState(state) {
+  currentBrand = state.brand || DEFAULT_BRAND;
+  currentBoxType = state.boxType || DEFAULT_BOX_TYPE;
+  currentBoxStyle = state.boxStyle || DEFAULT_BOX_STYLE;
+  currentBoardGrade = state.boardGrade || DEFAULT_BOARD_GRADE;
+  setPackingComponents(state.packing || []);
+  if (state.customDimensions) {
+    updateCustomDimensionInputs(setCustomDimensions(state.customDimensions));
+  }
+
+  dimensionsVisible = Boolean(state.dimensionsVisible);
+  document
+    .getElementById("toggleDimensionsBtn")
+    .classList.toggle("active", dimensionsVisible);
+
+  pendingBoxState = {
+    flaps: Boolean(state.flapsOpen),
+    lid: Boolean(state.lidOpen),
+  };
+  if (state.camera && camera) {
+    camera.position.fromArray(state.camera);
+  }
+
+  // Reflect the configuration in the controls and the request form
+  document.querySelectorAll(".brand-btn").forEach((btn) => {
+    btn.classList.toggle("active", btn.dataset.brand === currentBrand);
+  });
+  updateCustomArtworkVisibility();
+  document.getElementById("boxType").value = currentBoxType;
+  document.getElementById("boxStyle").value = currentBoxStyle;
+  document.getElementById("boardGrade").value = currentBoardGrade;
+  document.getElementById("brandForm").value = currentBrand;
+  document.getElementById("boxTypeForm").value = currentBoxType;
+  updateRequestFormSections();
+  updateCustomDimensionsVisibility();
+}
+
+// Restore the configuration of a history entry (Back/Forward)
+function onPopState() {
+  restoringUrlState = true;
+  applyUrlState(readUrlState());
+  createBox()
+    .catch((err) => {
+      console.error("Error creating box:", err);
+    })
+    .finally(() => {
+      restoringUrlState = false;
+    });
+}
+
+// Request form
+
+// Size of the thumbnail attached to requests (pixels)
+const REQUEST_THUMBNAIL_SIZE = { width: 640, height: 480 };
+
+// What the customer was looking at when sending a request: the full
+// configurator state, a link that reopens it and a rendered thumbnail
+async function getConfigurationSnapshot() {
+  const state = getShareableState();
+  let thumbnail = null;
+  try {
+    const blob = await getSnapshotRenderer().render(scene, camera, {
+      ...REQUEST_THUMBNAIL_SIZE,
+      background: "white",
+    });
+    thumbnail = await blobToDataUrl(blob);
+  } catch (err) {
+    // A request without a picture is still worth sending
+    console.error("Error rendering request thumbnail:", err);
+  }
+
+  return {
+    configuration: {
+      ...state,
+      dimensions: toMillimetres(boxDimensions[currentBoxType]),
+      approximateArtwork: currentTextureSet?.approximateSlots || [],
+    },
+    shareUrl: buildShareUrl(state),
+    thumbnail,
+  };
+}
+
+// Disable the submit button while a request is being sent
+function setFormSubmitting(submitting) {
+  const btn = document.querySelector("#customBoxForm .submit-btn");
+  btn.disabled = submitting;
+  btn.querySelector("span").textContent = submitting
+    ? "Sending…"
+    : "Submit Request";
+}
+
+// Show why a request was not accepted, or hide the message with null
+function showFormError(err) {
+  const box = document.getElementById("formError");
+  if (!err) {
+    box.style.display = "none";
+    return;
+  }
+
+  const details = err.fieldErrors ? Object.values(err.fieldErrors) : [];
+  const message = err.retryable
+    ? "We could not send your request right now. Please try again in a moment."
+    : err.message;
+  document.getElementById("formErrorMessage").textContent = [
+    message,
+    ...details,
+  ].join(" ");
+  box.style.display = "flex";
+}
+
+// Tell the user which requests saved while offline the server turned down,
+// so they can send them again
+function showRejectedQueuedRequests(rejected) {
+  const reasons = rejected.map(({ request, error }) => {
+    const saved = new Date(request.createdAt).toLocaleString();
+    return `The request saved on ${saved} was not accepted: ${error.message}.`;
+  });
+  showFormError({
+    message: [...reasons, "Please submit it again."].join(" "),
+  });
+}
+
+// Replace the form with a confirmation, then bring it back empty
+function showFormSuccess(queued) {
+  document.getElementById("formSuccessMessage").textContent = queued
+    ? "You appear to be offline. Your request has been saved on this " +
+      "device and will be sent automatically once you are back online."
+    : "Thank you! Your request has been submitted successfully. We'll get " +
+      "back to you soon.";
+
+  document.getElementById("customBoxForm").style.display = "none";
+  document.getElementById("formSuccess").style.display = "flex";
+
+  setTimeout(() => {
+    document.getElementById("customBoxForm").reset();
+    showFieldErrors({});
+    updateRequestFormSections();
+    document.getElementById("customBoxForm").style.display = "block";
+    document.getElementById("formSuccess").style.display = "none";
+  }, 5000);
+}
+
+// Request form validation
+
+// Form fields checked by validateRequestForm, by element id
+const VALIDATED_FIELDS = [
+  "fullName",
+  "email",
+  "phone",
+  "boxTypeForm",
+  "brandForm",
+  "quantity",
+  ...Object.values(REQUEST_DIMENSION_FIELDS),
+  "customBrandName",
+  "logoUpload",
+];
+
+// Request fields named differently by the server than in the form
+const SERVER_FIELD_IDS = {
+  boxType: "boxTypeForm",
+  brand: "brandForm",
+};
+
+// Current values of the request form, as validateRequestForm expects them
+function readRequestForm() {
+  const value = (id) => document.getElementById(id).value;
+  return {
+    fullName: value("fullName"),
+    email: value("email"),
+    phone: value("phone"),
+    phoneCountry: value("phoneCountry"),
+    boxType: value("boxTypeForm"),
+    brand: value("brandForm"),
+    quantity: value("quantity"),
+    customDimensions: Object.fromEntries(
+      Object.entries(REQUEST_DIMENSION_FIELDS).map(([key, id]) => [
+        key,
+        value(id),
+      ])
+    ),
+    customBrandName: value("customBrandName"),
+    logoFile: document.getElementById("logoUpload").files[0] || null,
+  };
+}
+
+// Show or clear the inline error under one field
+function setFieldError(id, message) {
+  const input = document.getElementById(id);
+  const container = input.closest(".dimension-field, .form-group");
+  let error = container.querySelector(".field-error");
+
+  input.classList.toggle("invalid", Boolean(message));
+  input.setAttribute("aria-invalid", message ? "true" : "false");
+  if (!message) {
+    error?.remove();
+    return;
+  }
+  if (!error) {
+    error = document.createElement("p");
+    error.className = "field-error";
+    error.id = `${id}Error`;
+    container.appendChild(error);
+    input.setAttribute("aria-describedby", error.id);
+  }
+  error.textContent = message;
+}
+
+// Show the errors of a validation run on their fields and focus the first.
+// Returns true when there were any.
+function showFieldErrors(errors) {
+  VALIDATED_FIELDS.forEach((id) => setFieldError(id, errors[id]));
+  const first = VALIDATED_FIELDS.find((id) => errors[id]);
+  if (first) document.getElementById(first).focus();
+  return Boolean(first);
+}
+
+function mapServerFieldErrors(fieldErrors) {
+  return Object.fromEntries(
+    Object.entries(fieldErrors).map(([field, message]) => [
+      SERVER_FIELD_IDS[field] || field,
+      message,
+    ])
+  );
+}
+
+// Reveal the extra fields custom box types and brands need, and the
+// minimum order for the chosen box type
+function updateRequestFormSections() {
+  const boxType = document.getElementById("boxTypeForm").value;
+  const brand = document.getElementById("brandForm").value;
+
+  const customSize = boxType === "custom";
+  document.getElementById("requestCustomSize").style.display = customSize
+    ? "flex"
+    : "none";
+  if (customSize) {
+    // Start from the size set up in the configurator
+    const current = toMillimetres(boxDimensions.custom);
+    Object.entries(REQUEST_DIMENSION_FIELDS).forEach(([key, id]) => {
+      const input = document.getElementById(id);
+      if (input.value === "") input.value = current[key];
+    });
+  }
+
+  document.getElementById("requestCustomBrand").style.display =
+    brand === "custom" ? "grid" : "none";
+
+  const minimum = MINIMUM_ORDER_QUANTITY[boxType];
+  const quantity = document.getElementById("quantity");
+  quantity.min = minimum || 1;
+  document.getElementById("quantityHint").textContent = minimum
+    ? `Minimum order for ${
+        boxType === "custom" ? "custom size" : boxType
+      } boxes: ${minimum.toLocaleString("en")}`
+    : "";
+}
+
+// Set up the request form: calling codes, live validation and custom fields
+function initRequestForm() {
+  const phoneCountry = document.getElementById("phoneCountry");
+  Object.entries(PHONE_COUNTRIES)
+    .sort(([, a], [, b]) => a.name.localeCompare(b.name))
+    .forEach(([code, country]) => {
+      const option = document.createElement("option");
+      option.value = code;
+      option.textContent = `${country.name} (+${country.dial})`;
+      phoneCountry.appendChild(option);
+    });
+
+  // Check a field when the user leaves it, clear its error once they fix it
+  VALIDATED_FIELDS.forEach((id) => {
+    const input = document.getElementById(id);
+    const validate = () => {
+      const { errors } = validateRequestForm(readRequestForm());
+      setFieldError(id, errors[id]);
+    };
+    input.addEventListener(input.type === "file" ? "change" : "blur", validate);
+    input.addEventListener("input", () => {
+      if (input.classList.contains("invalid")) validate();
+    });
+  });
+  phoneCountry.addEventListener("change", () => {
+    if (document.getElementById("phone").value) {
+      const { errors } = validateRequestForm(readRequestForm());
+      setFieldError("phone", errors.phone);
+    }
+  });
+
+  ["boxTypeForm", "brandForm"].forEach((id) => {
+    document
+      .getElementById(id)
+      .addEventListener("change", updateRequestFormSections);
+  });
+  updateRequestFormSections();
+}
+
+// Handle window resize
+function onWindowResize() {
+  const container = document.getElementById("canvas-container");
+  camera.aspect = container.clientWidth / container.clientHeight;
+  camera.updateProjectionMatrix();
+  renderer.setSize(container.clientWidth, container.clientHeight);
+}
+
+// Animation loop
+function animate() {
+  requestAnimationFrame(animate);
+  controls.update();
+  renderer.render(scene, camera);
+}
+
+// Event Listeners
+document.addEventListener("DOMContentLoaded", () => {
+  initCustomDimensionInputs();
+  initRequestForm();
+  initCustomArtworkControls();
+  initLabelEditor();
+  initCutoutEditor();
+  initBoardGradeSelect();
+  initBoxStyleSelect();
+  initBananaControls();
+  initPackingControls();
+  initPalletControls();
+  initStackingControls();
+  initContainerControls();
+
+  // Restore a shared configuration before the first box is built
+  const urlState = readUrlState();
+  applyUrlState(urlState);
+  init();
+  if (urlState.camera) {
+    camera.position.fromArray(urlState.camera);
+  }
+  controls.addEventListener("end", () => syncUrlState({ replace: true }));
+  window.addEventListener("popstate", onPopState);
+
+  // Box type selection
+  document.getElementById("boxType").addEventListener("change", (e) => {
+    currentBoxType = e.target.value;
+    updateCustomDimensionsVisibility();
+    createBox().catch((err) => {
+      console.error("Error creating box:", err);
+    });
+  });
+
+  // Brand selection
+  document.querySelectorAll(".brand-btn").forEach((btn) => {
+    btn.addEventListener("click", () => selectBrand(btn.dataset.brand));
   });
 
   // Control buttons
@@ -1212,68 +3477,160 @@ document.addEventListener("DOMContentLoaded", () => {
     } else {
       openFlaps();
     }
+    syncUrlState();
   });
 
   const toggleLidBtn = document.getElementById("toggleLidBtn");
   if (toggleLidBtn) {
-    toggleLidBtn.addEventListener("click", toggleLid);
+    toggleLidBtn.addEventListener("click", () => {
+      toggleLid();
+      syncUrlState();
+    });
   }
 
   document
     .getElementById("toggleDimensionsBtn")
     .addEventListener("click", toggleDimensions);
 
-  // Function to update lid button visibility
-  function updateLidButtonVisibility() {
-    const btn = document.getElementById("toggleLidBtn");
-    if (btn) {
-      if (currentBrand === "FRUTALUXE") {
-        btn.style.display = "flex";
-      } else {
-        btn.style.display = "none";
-      }
-    }
-  }
+  document
+    .getElementById("flatBlankBtn")
+    .addEventListener("click", toggleFlatBlank);
 
-  // Initial visibility
-  updateLidButtonVisibility();
+  document
+    .getElementById("palletViewBtn")
+    .addEventListener("click", togglePalletView);
 
-  // Form submission
-  document.getElementById("customBoxForm").addEventListener("submit", (e) => {
-    e.preventDefault();
-
-    const formData = {
-      fullName: document.getElementById("fullName").value,
-      email: document.getElementById("email").value,
-      company: document.getElementById("company").value,
-      phone: document.getElementById("phone").value,
-      boxType: document.getElementById("boxTypeForm").value,
-      brand: document.getElementById("brandForm").value,
-      quantity: document.getElementById("quantity").value,
-      requirements: document.getElementById("requirements").value,
-      newsletter: document.getElementById("newsletter").checked,
-    };
+  document
+    .getElementById("containerViewBtn")
+    .addEventListener("click", toggleContainerView);
 
-    console.log("Form submitted:", formData);
+  document.getElementById("downloadImageBtn").addEventListener("click", () => {
+    downloadImage().catch((err) => {
+      console.error("Error rendering image:", err);
+    });
+  });
 
-    document.getElementById("customBoxForm").style.display = "none";
-    document.getElementById("formSuccess").style.display = "flex";
+  document.getElementById("batchRenderBtn").addEventListener("click", () => {
+    runBatchRender().catch((err) => {
+      console.error("Error running batch render:", err);
+    });
+  });
 
-    setTimeout(() => {
-      document.getElementById("customBoxForm").reset();
-      document.getElementById("customBoxForm").style.display = "block";
-      document.getElementById("formSuccess").style.display = "none";
-    }, 5000);
+  document.getElementById("exportModelBtn").addEventListener("click", () => {
+    exportModel().catch((err) => {
+      console.error("Error exporting model:", err);
+    });
   });
 
+  document
+    .getElementById("printCheckBtn")
+    .addEventListener("click", togglePrintCheck);
+  document
+    .getElementById("printCheckHighlight")
+    .addEventListener("change", () => {
+      if (printCheckActive) runPrintCheck();
+    });
+
+  document.getElementById("exportDielineBtn").addEventListener("click", () => {
+    try {
+      exportDieline();
+    } catch (err) {
+      console.error("Error exporting dieline:", err);
+    }
+  });
+
+  // Form submission
+  document
+    .getElementById("customBoxForm")
+    .addEventListener("submit", async (e) => {
+      e.preventDefault();
+
+      showFormError(null);
+      const values = readRequestForm();
+      const { errors, phone } = validateRequestForm(values);
+      if (showFieldErrors(errors)) return;
+
+      const formData = {
+        fullName: values.fullName.trim(),
+        email: values.email.trim(),
+        company: document.getElementById("company").value,
+        phone,
+        boxType: values.boxType,
+        brand: values.brand,
+        quantity: values.quantity === "" ? null : Number(values.quantity),
+        requirements: document.getElementById("requirements").value,
+        newsletter: document.getElementById("newsletter").checked,
+      };
+
+      // Packing ordered with the boxes, per box and in total
+      if (currentPack) {
+        formData.packingComponents = getPackingLineItems(
+          packingComponents,
+          currentPack,
+          formData.quantity
+        );
+      }
+
+      // Attach the requested custom size so we know exactly what was meant
+      if (formData.boxType === "custom") {
+        formData.customDimensions = Object.fromEntries(
+          Object.entries(values.customDimensions).map(([key, value]) => [
+            key,
+            Number(value),
+          ])
+        );
+      }
+
+      setFormSubmitting(true);
+      try {
+        if (formData.brand === "custom") {
+          formData.customBrandName = values.customBrandName.trim();
+          formData.logo = {
+            name: values.logoFile.name,
+            type: values.logoFile.type,
+            size: values.logoFile.size,
+            dataUrl: await blobToDataUrl(values.logoFile),
+          };
+        }
+        Object.assign(formData, await getConfigurationSnapshot());
+        const outcome = await submitRequest(formData);
+        showFormSuccess(outcome.status === "queued");
+      } catch (err) {
+        console.error("Error submitting request:", err);
+        showFormError(err);
+        if (err.fieldErrors) {
+          showFieldErrors(mapServerFieldErrors(err.fieldErrors));
+        }
+      } finally {
+        setFormSubmitting(false);
+      }
+    });
+
+  // Deliver requests saved while offline
+  const sendQueuedRequests = () => {
+    flushQueuedRequests()
+      .then((rejected) => {
+        if (rejected.length) showRejectedQueuedRequests(rejected);
+      })
+      .catch((err) => {
+        console.error("Error sending queued requests:", err);
+      });
+  };
+  window.addEventListener("online", sendQueuedRequests);
+  sendQueuedRequests();
+
   // Sync form selects with configurator
   document.getElementById("boxType").addEventListener("change", (e) => {
     document.getElementById("boxTypeForm").value = e.target.value;
+    updateRequestFormSections();
   });
 
-  document.querySelectorAll(".brand-btn").forEach((btn) => {
-    btn.addEventListener("click", () => {
-      document.getElementById("brandForm").value = btn.dataset.brand;
-    });
+  // Choosing a brand in the form shows it in the configurator too
+  document.getElementById("brandForm").addEventListener("change", (e) => {
+    const brand = e.target.value;
+    const hasButton = document.querySelector(
+      `.brand-btn[data-brand="${CSS.escape(brand)}"]`
+    );
+    if (hasButton && brand !== currentBrand) selectBrand(brand);
   });
 });
@@ -0,0 +1,493 @@
+// Import Three.js
+import * as THREE from "three";
+import { boxDimensions, UNITS_PER_MM } from "./boxDimensions.js";
+
+// Net fruit weight of a packed 22XU box (kg, the 40 lb trade standard).
+// Other sizes default to the same packing density.
+const STANDARD_NET_WEIGHT = { boxType: "22XU", kg: 18.14 };
+
+// Peel colour stages of the banana ripening chart
+export const RIPENESS_STAGES = [
+  { name: "All green", peel: 0x4f7d2b, ends: 0x3f6b22, spots: 0 },
+  { name: "Green, trace of yellow", peel: 0x7a9a34, ends: 0x4f7d2b, spots: 0 },
+  { name: "More green than yellow", peel: 0xa9b23c, ends: 0x5f8a2e, spots: 0 },
+  { name: "More yellow than green", peel: 0xd6c245, ends: 0x7a9a34, spots: 0 },
+  { name: "Green tip", peel: 0xeccd45, ends: 0x8fa33a, spots: 0 },
+  { name: "All yellow", peel: 0xf2d048, ends: 0xe2c244, spots: 6 },
+  { name: "Yellow, flecked brown", peel: 0xeec549, ends: 0xd9b742, spots: 70 },
+];
+export const DEFAULT_RIPENESS = 2;
+
+// Typical export finger: 200 mm long, 38 mm across (scene units)
+const FINGER_LENGTH = 200 * UNITS_PER_MM;
+const FINGER_RADIUS = 19 * UNITS_PER_MM;
+
+// Banana density (g/cm³) and cm³ per cubic scene unit
+const FRUIT_DENSITY = 0.95;
+const CM3_PER_UNIT3 = 1000;
+
+// Geometry resolution of a finger
+const LENGTH_SEGMENTS = 24;
+const RADIAL_SEGMENTS = 12;
+
+// Finger shapes shared by all hands: relative length and bend (radians)
+const FINGER_VARIANTS = [
+  { length: 1, bend: 0.36 },
+  { length: 0.92, bend: 0.44 },
+  { length: 1.06, bend: 0.3 },
+];
+
+// Fingers per row of a hand (outer row, inner row)
+const HAND_ROWS = [
+  [4, 3],
+  [4, 4],
+  [5, 4],
+];
+
+// Spacing of packed hands as a fraction of their size. Hands shingle over
+// their neighbours and nest into the curve of the layer below, as they do
+// in a hand-packed box.
+const HAND_PITCH = { along: 0.6, across: 0.8, layer: 0.5 };
+
+/**
+ * Deterministic pseudo-random value in [0, 1) for an index, so a pack
+ * looks the same every time it is built
+ */
+function jitter(index, salt) {
+  const value = Math.sin(index * 12.9898 + salt * 78.233) * 43758.5453;
+  return value - Math.floor(value);
+}
+
+const smoothstep = (edge0, edge1, x) => {
+  const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+};
+
+/**
+ * Finger radius along its length (0 at the stem, 1 at the tip) as a
+ * fraction of the full radius: a thin neck, a full body and a blunt tip
+ */
+function fingerProfile(s) {
+  const neck = 0.35 + 0.65 * smoothstep(0.06, 0.3, s);
+  const body = 1 - 0.3 * (s - 0.55) ** 2;
+  const tip =
+    s < 0.84
+      ? 1
+      : 0.3 + 0.7 * Math.sqrt(Math.max(0, 1 - ((s - 0.84) / 0.16) ** 2));
+  return neck * body * tip;
+}
+
+/**
+ * Geometry of one finger swept along a curved spline from the stem (at the
+ * origin, heading along +X) bending upward in +Y. U runs around the finger,
+ * V from stem to tip. The fruit volume is kept in userData.volume.
+ */
+function createFingerGeometry(length, radius, bend) {
+  // Points on a circular arc, smoothed into a spline
+  const arcRadius = length / bend;
+  const points = [];
+  for (let i = 0; i <= 6; i++) {
+    const angle = (bend * i) / 6;
+    points.push(
+      new THREE.Vector3(
+        arcRadius * Math.sin(angle),
+        arcRadius * (1 - Math.cos(angle)),
+        0
+      )
+    );
+  }
+  const curve = new THREE.CatmullRomCurve3(points);
+  const frames = curve.computeFrenetFrames(LENGTH_SEGMENTS, false);
+
+  const positions = [];
+  const uvs = [];
+  const indices = [];
+  const point = new THREE.Vector3();
+  let volume = 0;
+  const step = curve.getLength() / LENGTH_SEGMENTS;
+
+  for (let i = 0; i <= LENGTH_SEGMENTS; i++) {
+    const s = i / LENGTH_SEGMENTS;
+    curve.getPointAt(s, point);
+    const r = radius * fingerProfile(s);
+    if (i > 0) volume += Math.PI * r * r * step;
+    const normal = frames.normals[i];
+    const binormal = frames.binormals[i];
+
+    for (let j = 0; j <= RADIAL_SEGMENTS; j++) {
+      const theta = (j / RADIAL_SEGMENTS) * Math.PI * 2;
+      // Five shallow ridges run along the peel
+      const ridged = r * (1 + 0.05 * Math.cos(theta * 5));
+      const cos = Math.cos(theta) * ridged;
+      const sin = Math.sin(theta) * ridged;
+      positions.push(
+        point.x + normal.x * cos + binormal.x * sin,
+        point.y + normal.y * cos + binormal.y * sin,
+        point.z + normal.z * cos + binormal.z * sin
+      );
+      uvs.push(j / RADIAL_SEGMENTS, s);
+    }
+  }
+
+  const ring = RADIAL_SEGMENTS + 1;
+  for (let i = 0; i < LENGTH_SEGMENTS; i++) {
+    for (let j = 0; j < RADIAL_SEGMENTS; j++) {
+      const a = i * ring + j;
+      const b = a + ring;
+      indices.push(a, b, a + 1, b, b + 1, a + 1);
+    }
+  }
+
+  // Close the cut stem and the tip
+  [0, LENGTH_SEGMENTS].forEach((i) => {
+    const s = i / LENGTH_SEGMENTS;
+    curve.getPointAt(s, point);
+    const center = positions.length / 3;
+    positions.push(point.x, point.y, point.z);
+    uvs.push(0.5, s);
+    for (let j = 0; j < RADIAL_SEGMENTS; j++) {
+      const a = i * ring + j;
+      if (i === 0) {
+        indices.push(center, a + 1, a);
+      } else {
+        indices.push(center, a, a + 1);
+      }
+    }
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute(
+    "position",
+    new THREE.Float32BufferAttribute(positions, 3)
+  );
+  geometry.setAttribute("uv", new THREE.Float32BufferAttribute(uvs, 2));
+  geometry.setIndex(indices);
+  geometry.computeVertexNormals();
+  geometry.userData.volume = volume;
+  return geometry;
+}
+
+/**
+ * Peel texture of a ripeness stage: the peel colour, greener stem and tip
+ * ends, a dark flower tip and sugar spots. X runs around the finger and Y
+ * from stem to tip.
+ */
+function createPeelTexture(stage) {
+  const { peel, ends, spots } = RIPENESS_STAGES[stage - 1];
+  const width = 256;
+  const height = 128;
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+
+  const peelColor = new THREE.Color(peel).getStyle();
+  const endsColor = new THREE.Color(ends).getStyle();
+  const gradient = ctx.createLinearGradient(0, 0, 0, height);
+  gradient.addColorStop(0, endsColor);
+  gradient.addColorStop(0.25, peelColor);
+  gradient.addColorStop(0.8, peelColor);
+  gradient.addColorStop(0.94, endsColor);
+  gradient.addColorStop(1, "#3a2a18");
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, width, height);
+
+  // Darker lines along the ridges
+  ctx.strokeStyle = "rgba(40, 50, 10, 0.18)";
+  ctx.lineWidth = 2;
+  for (let ridge = 0; ridge < 5; ridge++) {
+    const x = ((ridge + 0.5) / 5) * width;
+    ctx.beginPath();
+    ctx.moveTo(x, height * 0.08);
+    ctx.lineTo(x, height * 0.95);
+    ctx.stroke();
+  }
+
+  // Cut stem
+  ctx.fillStyle = "rgba(90, 80, 40, 0.85)";
+  ctx.fillRect(0, 0, width, height * 0.04);
+
+  ctx.fillStyle = "rgba(80, 50, 20, 0.75)";
+  for (let i = 0; i < spots; i++) {
+    const x = jitter(i, 1) * width;
+    const y = height * (0.15 + jitter(i, 2) * 0.75);
+    const r = 1 + jitter(i, 3) * 3;
+    ctx.beginPath();
+    ctx.ellipse(x, y, r, r * 1.6, 0, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.flipY = false;
+  texture.wrapS = THREE.RepeatWrapping;
+  return texture;
+}
+
+/**
+ * Peel and crown materials for a ripeness stage (1-7)
+ */
+export function createBananaMaterials(stage = DEFAULT_RIPENESS) {
+  const peel = new THREE.MeshStandardMaterial({
+    roughness: 0.55,
+    metalness: 0,
+  });
+  const crown = new THREE.MeshStandardMaterial({
+    roughness: 0.85,
+    metalness: 0,
+  });
+  const materials = { peel, crown };
+  setBananaRipeness(materials, stage);
+  return materials;
+}
+
+/**
+ * Repaint materials from createBananaMaterials for another ripeness stage
+ */
+export function setBananaRipeness(materials, stage) {
+  const clamped = Math.min(RIPENESS_STAGES.length, Math.max(1, stage));
+  materials.peel.map?.dispose();
+  materials.peel.map = createPeelTexture(clamped);
+  materials.peel.needsUpdate = true;
+  // The crown dries from green to brown as the fruit ripens
+  materials.crown.color
+    .set(0x6b7f35)
+    .lerp(new THREE.Color(0x5a4326), (clamped - 1) / 6);
+}
+
+/**
+ * Default net weight for a box: the 22XU standard scaled by volume (kg)
+ */
+export function getDefaultNetWeight(dims) {
+  const standard = boxDimensions[STANDARD_NET_WEIGHT.boxType];
+  const volume = (d) => d.width * d.height * d.depth;
+  return (
+    Math.round(
+      ((STANDARD_NET_WEIGHT.kg * volume(dims)) / volume(standard)) * 100
+    ) / 100
+  );
+}
+
+/**
+ * Finger placements of one hand, relative to the hand's centre, with the
+ * crown towards -X and the fingers curving up towards +X.
+ * Returns { fingers: [{ variant, matrix, scale }], size: { x, y, z } }
+ */
+function layoutHand(rows, handIndex, scale) {
+  const length = FINGER_LENGTH * scale;
+  const radius = FINGER_RADIUS * scale;
+  const spacing = radius * 2.05;
+  const widest = Math.max(...rows);
+  const size = {
+    x: length * 0.95 + radius * 2,
+    y: radius * (2 + 1.6 * (rows.length - 1)) + length * 0.2,
+    z: widest * spacing,
+  };
+
+  const fingers = [];
+  const matrix = new THREE.Matrix4();
+  const rotation = new THREE.Euler();
+  const quaternion = new THREE.Quaternion();
+  const position = new THREE.Vector3();
+  const scaleVector = new THREE.Vector3();
+
+  rows.forEach((count, row) => {
+    for (let i = 0; i < count; i++) {
+      const index = handIndex * 16 + row * 8 + i;
+      const offset = (i - (count - 1) / 2) * spacing;
+      const fingerScale = scale * (0.94 + jitter(index, 4) * 0.1);
+      // Fingers fan out from the crown; the inner row rides on the outer
+      rotation.set(
+        (jitter(index, 5) - 0.5) * 0.15,
+        -offset / (length * 2.5),
+        row * 0.18 - 0.05
+      );
+      position.set(
+        -size.x / 2 + radius + row * radius * 0.6,
+        -size.y / 2 + radius + row * radius * 1.6,
+        offset * 0.9
+      );
+      quaternion.setFromEuler(rotation);
+      scaleVector.setScalar(fingerScale);
+      fingers.push({
+        variant: Math.floor(jitter(index, 6) * FINGER_VARIANTS.length),
+        matrix: matrix.compose(position, quaternion, scaleVector).clone(),
+        scale: fingerScale,
+      });
+    }
+  });
+  return { fingers, size };
+}
+
+/**
+ * Pack banana hands into a box until they reach the target net weight.
+ * Hands are laid in layers on the box floor, crowns alternating between
+ * opposite walls, and stop early if the box is full.
+ *
+ * floor raises the fruit off the box floor, e.g. for a bottom pad.
+ *
+ * Returns { group, netWeight, fingers, hands, fillHeight, layerTops, full }
+ * where netWeight is in kg, and fillHeight and layerTops are scene units
+ * from the box floor. layerTops has one height per layer where a sheet can
+ * separate it from the next: halfway into their overlap, and the fill
+ * height for the top layer.
+ */
+export function createBananaPack({
+  dims,
+  netWeight,
+  wall,
+  floor = 0,
+  materials,
+}) {
+  const group = new THREE.Group();
+  group.name = "banana";
+
+  const inner = {
+    x: dims.width - wall * 2,
+    y: dims.height - wall * 2 - floor,
+    z: dims.depth - wall * 2,
+  };
+
+  // Lay hands along whichever box side fits more of them, shrinking the
+  // fruit for boxes too small for standard fingers
+  const probe = layoutHand(HAND_ROWS[1], 0, 1).size;
+  const scale = Math.min(
+    1,
+    Math.max(inner.x, inner.z) / probe.x,
+    Math.min(inner.x, inner.z) / probe.z,
+    inner.y / probe.y
+  );
+  const hand = { x: probe.x * scale, y: probe.y * scale, z: probe.z * scale };
+  // Hands that fit along a span at the given pitch
+  const fit = (span, size, pitch) =>
+    Math.max(1, Math.floor((span - size) / (size * pitch) + 1e-6) + 1);
+  const countAlong = (along, across) =>
+    fit(along, hand.x, HAND_PITCH.along) *
+    fit(across, hand.z, HAND_PITCH.across);
+  const alongX = countAlong(inner.x, inner.z) >= countAlong(inner.z, inner.x);
+  const spanAlong = alongX ? inner.x : inner.z;
+  const spanAcross = alongX ? inner.z : inner.x;
+  const cellsAlong = fit(spanAlong, hand.x, HAND_PITCH.along);
+  const cellsAcross = fit(spanAcross, hand.z, HAND_PITCH.across);
+  const layerHeight = hand.y * HAND_PITCH.layer;
+  const maxLayers = fit(inner.y, hand.y, HAND_PITCH.layer);
+  // Spread each layer's hands evenly from wall to wall
+  const cellPosition = (index, count, span, size) =>
+    count > 1 ? -(span - size) / 2 + (index * (span - size)) / (count - 1) : 0;
+
+  const geometries = FINGER_VARIANTS.map(({ length, bend }) =>
+    createFingerGeometry(FINGER_LENGTH * length, FINGER_RADIUS, bend)
+  );
+  const placements = geometries.map(() => []);
+  const crowns = [];
+  const fingerMass = (variant, fingerScale) =>
+    (geometries[variant].userData.volume *
+      fingerScale ** 3 *
+      CM3_PER_UNIT3 *
+      FRUIT_DENSITY) /
+    1000;
+
+  let mass = 0;
+  let hands = 0;
+  let fingerCount = 0;
+  let fillHeight = 0;
+  const handMatrix = new THREE.Matrix4();
+  const crownMatrix = new THREE.Matrix4();
+  const perLayer = cellsAlong * cellsAcross;
+
+  while (mass < netWeight && hands < perLayer * maxLayers) {
+    const layer = Math.floor(hands / perLayer);
+    const cell = hands % perLayer;
+    const along = cell % cellsAlong;
+    const across = Math.floor(cell / cellsAlong);
+    // Crowns alternate between the walls, and swap sides from one layer
+    // to the next so the fingers nest into the hands below
+    const flip = (along + across + layer) % 2 === 1;
+    const alongPos = cellPosition(along, cellsAlong, spanAlong, hand.x);
+    const acrossPos = cellPosition(across, cellsAcross, spanAcross, hand.z);
+    const y = wall + floor + hand.y / 2 + layer * layerHeight;
+    const yaw = (alongX ? 0 : -Math.PI / 2) + (flip ? Math.PI : 0);
+
+    handMatrix.compose(
+      new THREE.Vector3(
+        alongX ? alongPos : acrossPos,
+        y,
+        alongX ? acrossPos : alongPos
+      ),
+      new THREE.Quaternion().setFromEuler(
+        new THREE.Euler(0, yaw + (jitter(hands, 7) - 0.5) * 0.12, 0)
+      ),
+      new THREE.Vector3(1, 1, 1)
+    );
+
+    const rows = HAND_ROWS[Math.floor(jitter(hands, 8) * HAND_ROWS.length)];
+    const layout = layoutHand(rows, hands, scale);
+    layout.fingers.forEach(({ variant, matrix, scale: fingerScale }) => {
+      placements[variant].push(handMatrix.clone().multiply(matrix));
+      mass += fingerMass(variant, fingerScale);
+      fingerCount++;
+    });
+
+    // Crown: the cut cushion the fingers grow from
+    const radius = FINGER_RADIUS * scale;
+    crownMatrix.compose(
+      new THREE.Vector3(
+        -layout.size.x / 2 + radius * 0.6,
+        -layout.size.y / 2 + radius * 1.3,
+        0
+      ),
+      new THREE.Quaternion(),
+      new THREE.Vector3(radius * 1.2, radius * 2.4, layout.size.z * 0.8)
+    );
+    crowns.push(handMatrix.clone().multiply(crownMatrix));
+
+    fillHeight = Math.max(fillHeight, y + hand.y / 2);
+    hands++;
+  }
+
+  const layers = Math.ceil(hands / perLayer);
+
+  geometries.forEach((geometry, variant) => {
+    const matrices = placements[variant];
+    if (!matrices.length) {
+      geometry.dispose();
+      return;
+    }
+    const mesh = new THREE.InstancedMesh(
+      geometry,
+      materials.peel,
+      matrices.length
+    );
+    matrices.forEach((matrix, i) => mesh.setMatrixAt(i, matrix));
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    group.add(mesh);
+  });
+
+  if (crowns.length) {
+    // Unit box, sized per hand by its instance matrix
+    const crownGeometry = new THREE.BoxGeometry(1, 1, 1);
+    const crownMesh = new THREE.InstancedMesh(
+      crownGeometry,
+      materials.crown,
+      crowns.length
+    );
+    crowns.forEach((matrix, i) => crownMesh.setMatrixAt(i, matrix));
+    crownMesh.castShadow = true;
+    group.add(crownMesh);
+  }
+
+  return {
+    group,
+    netWeight: mass,
+    fingers: fingerCount,
+    hands,
+    fillHeight: fillHeight - wall,
+    layerTops: Array.from({ length: layers }, (_, layer) =>
+      layer === layers - 1
+        ? fillHeight - wall
+        : floor + (layer + 0.5) * layerHeight + hand.y / 2
+    ),
+    full: mass < netWeight,
+  };
+}
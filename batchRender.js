@@ -0,0 +1,111 @@
+// Import Three.js
+import * as THREE from "three";
+
+// Size of each individual batch render (pixels)
+export const BATCH_IMAGE_SIZE = { width: 1600, height: 1200 };
+
+// Fixed viewpoints rendered for every configuration, as view directions
+// from the box centre. Keep these stable: batch renders double as the
+// visual regression baseline for texture orientation.
+export const BATCH_CAMERA_ANGLES = [
+  { id: "three-quarter", label: "3/4 front", direction: [1, 0.6, 1] },
+  { id: "front", label: "Front", direction: [0, 0.2, 1] },
+  { id: "side", label: "Long side", direction: [1, 0.2, 0] },
+  { id: "top", label: "Top", direction: [0.01, 1, 0.25] },
+];
+
+// Contact sheet thumbnail and layout (pixels)
+const SHEET_THUMB = { width: 400, height: 300 };
+const SHEET_LABEL_HEIGHT = 28;
+const SHEET_HEADER_HEIGHT = 60;
+const SHEET_PADDING = 16;
+
+/**
+ * Create a camera looking at an object from one of the batch angles.
+ * The distance fits the given bounding sphere into the frame, so every
+ * state of one configuration is shot with identical framing.
+ */
+export function createBatchCamera(angle, sphere, aspect) {
+  const camera = new THREE.PerspectiveCamera(45, aspect, 0.1, 1000);
+  const halfFov = THREE.MathUtils.degToRad(camera.fov / 2);
+  // Fit the sphere against whichever of the two frame axes is narrower
+  const fitAngle = Math.min(halfFov, Math.atan(Math.tan(halfFov) * aspect));
+  const distance = (sphere.radius / Math.sin(fitAngle)) * 1.05;
+
+  const direction = new THREE.Vector3(...angle.direction).normalize();
+  camera.position.copy(sphere.center).addScaledVector(direction, distance);
+  camera.lookAt(sphere.center);
+  camera.updateMatrixWorld();
+  return camera;
+}
+
+/**
+ * Decode a rendered PNG into a contact sheet thumbnail
+ */
+export function createThumbnail(blob) {
+  return createImageBitmap(blob, {
+    resizeWidth: SHEET_THUMB.width,
+    resizeHeight: SHEET_THUMB.height,
+    resizeQuality: "high",
+  });
+}
+
+/**
+ * Lay batch shots out on one PNG, one row per configuration and one
+ * column per camera angle. Rows are { label, thumbnails: [ImageBitmap] }.
+ */
+export function createContactSheet(title, rows, columnLabels) {
+  const columns = columnLabels.length;
+  const cellWidth = SHEET_THUMB.width;
+  const cellHeight = SHEET_THUMB.height + SHEET_LABEL_HEIGHT;
+  const width = SHEET_PADDING + columns * (cellWidth + SHEET_PADDING);
+  const height =
+    SHEET_HEADER_HEIGHT + rows.length * (cellHeight + SHEET_PADDING);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, width, height);
+
+  ctx.fillStyle = "#2c3e50";
+  ctx.font = "600 22px Inter, sans-serif";
+  ctx.textBaseline = "middle";
+  ctx.fillText(title, SHEET_PADDING, SHEET_HEADER_HEIGHT / 2);
+
+  rows.forEach((row, rowIndex) => {
+    const y = SHEET_HEADER_HEIGHT + rowIndex * (cellHeight + SHEET_PADDING);
+
+    row.thumbnails.forEach((thumbnail, column) => {
+      const x = SHEET_PADDING + column * (cellWidth + SHEET_PADDING);
+
+      // Light backdrop so transparent renders stay visible
+      ctx.fillStyle = "#f5f5f5";
+      ctx.fillRect(x, y, cellWidth, SHEET_THUMB.height);
+      ctx.drawImage(thumbnail, x, y, cellWidth, SHEET_THUMB.height);
+      ctx.strokeStyle = "#e0e0e0";
+      ctx.strokeRect(x + 0.5, y + 0.5, cellWidth - 1, SHEET_THUMB.height - 1);
+
+      ctx.fillStyle = "#555555";
+      ctx.font = "500 13px Inter, sans-serif";
+      ctx.fillText(
+        `${row.label} · ${columnLabels[column]}`,
+        x + 4,
+        y + SHEET_THUMB.height + SHEET_LABEL_HEIGHT / 2,
+        cellWidth - 8
+      );
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error("Could not encode the contact sheet"));
+      }
+    }, "image/png");
+  });
+}
@@ -0,0 +1,108 @@
+// Box dimensions based on type (in cm, scaled for 3D)
+// Dimensions extracted from engineering drawings in PDFs (converted from mm to cm)
+export const boxDimensions = {
+  "22XU": { width: 5.22, height: 2.36, depth: 3.87, lidHeight: 0.5 }, // 522mm x 236mm x 387mm
+  208: { width: 5.15, height: 2.13, depth: 3.42, lidHeight: 0.5 }, // 515mm x 213mm x 342mm
+  custom: { width: 5.22, height: 2.36, depth: 3.87, lidHeight: 0.5 }, // Set from the custom size inputs
+};
+
+// Scene units per millimetre (one scene unit is 100mm)
+export const UNITS_PER_MM = 0.01;
+
+// Manufacturable range for custom corrugated boxes (mm)
+export const CUSTOM_DIMENSION_LIMITS = {
+  length: { min: 200, max: 800 },
+  width: { min: 150, max: 600 },
+  height: { min: 80, max: 450 },
+  lidHeight: { min: 20, max: 200 },
+};
+
+/**
+ * Clamp custom dimensions (mm) to the corrugated board limits.
+ * The lid can never be taller than the box itself.
+ */
+function clampCustomDimensions(mm) {
+  const clamp = (value, { min, max }) =>
+    Math.round(Math.min(max, Math.max(min, Number(value) || min)));
+
+  const length = clamp(mm.length, CUSTOM_DIMENSION_LIMITS.length);
+  const width = clamp(mm.width, CUSTOM_DIMENSION_LIMITS.width);
+  const height = clamp(mm.height, CUSTOM_DIMENSION_LIMITS.height);
+  const lidHeight = Math.min(
+    clamp(mm.lidHeight, CUSTOM_DIMENSION_LIMITS.lidHeight),
+    height
+  );
+  return { length, width, height, lidHeight };
+}
+
+/**
+ * Update the "custom" box type from dimensions in millimetres.
+ * Length runs along X (width), width along Z (depth).
+ * Returns the clamped millimetre values that were applied.
+ */
+export function setCustomDimensions(mm) {
+  const clamped = clampCustomDimensions(mm);
+  Object.assign(boxDimensions.custom, {
+    width: clamped.length * UNITS_PER_MM,
+    height: clamped.height * UNITS_PER_MM,
+    depth: clamped.width * UNITS_PER_MM,
+    lidHeight: clamped.lidHeight * UNITS_PER_MM,
+  });
+  return clamped;
+}
+
+/**
+ * Convert scene-unit box dimensions to millimetres (length × width × height)
+ */
+export function toMillimetres(dims) {
+  const mm = (value) => Math.round(value / UNITS_PER_MM);
+  return {
+    length: mm(dims.width),
+    width: mm(dims.depth),
+    height: mm(dims.height),
+    lidHeight: mm(dims.lidHeight),
+  };
+}
+
+/**
+ * Physical size of the panel a texture slot is applied to, in scene units.
+ * "width" runs along the texture U axis and "height" along V, matching the
+ * BoxGeometry faces the slots are mapped onto in createBox.
+ */
+export function getSlotPanelSize(slot, dims) {
+  const flapWidth = dims.depth / 2;
+
+  if (slot === "faces.right" || slot === "faces.left") {
+    return { width: dims.depth, height: dims.height };
+  }
+  if (slot === "interiors.long") {
+    return { width: dims.depth, height: dims.height };
+  }
+  if (slot === "faces.front" || slot === "faces.back") {
+    return { width: dims.width, height: dims.height };
+  }
+  if (slot === "interiors.short") {
+    return { width: dims.width, height: dims.height };
+  }
+  if (slot === "faces.bottom") {
+    return { width: dims.width, height: dims.depth };
+  }
+  // Front/back flaps carry the "short" artwork, left/right flaps the "long" artwork
+  if (/^flaps\.(top|bottom)\.short[12]$/.test(slot)) {
+    return { width: dims.width, height: flapWidth };
+  }
+  if (/^flaps\.(top|bottom)\.long[12]$/.test(slot)) {
+    return { width: flapWidth, height: dims.depth };
+  }
+  // Telescopic lid: the top over the whole box and skirts lidHeight deep
+  if (slot === "lid.top") {
+    return { width: dims.width, height: dims.depth };
+  }
+  if (slot === "lid.right" || slot === "lid.left") {
+    return { width: dims.depth, height: dims.lidHeight };
+  }
+  if (slot === "lid.front" || slot === "lid.back") {
+    return { width: dims.width, height: dims.lidHeight };
+  }
+  return null;
+}
@@ -222,6 +222,335 @@ function calculateUnfoldedUVLayout(width, height, depth) {
   };
 }
 
+/**
+ * Calculate the physical layout of the flat (unfolded) blank, in the same
+ * units as the box dimensions. It follows the arrangement described for
+ * calculateUnfoldedUVLayout, with the four top flaps attached to the outer
+ * edge of each side panel:
+ *
+ *      |  Back flap (W×D/2)  |
+ *      |     Back (W×H)      |
+ * |Flap|Left|  Bottom (W×D) |Right|Flap|
+ *      |     Front (W×H)     |
+ *      |  Front flap (W×D/2) |
+ *
+ * Coordinates are 2D with the origin at the centre of the bottom panel,
+ * x to the right and y downwards (back panel at the top). Each panel has
+ * its rectangle (x, y = top-left corner), the panel it folds from, the
+ * shared hinge (crease) line and the direction it unfolds towards.
+ */
+export function calculateUnfoldedPanelLayout(width, height, depth) {
+  const flapWidth = depth / 2; // Same flap size as the 3D model
+  const halfW = width / 2;
+  const halfD = depth / 2;
+
+  const panels = [
+    {
+      id: "bottom",
+      slot: "faces.bottom",
+      parent: null,
+      direction: null,
+      x: -halfW,
+      y: -halfD,
+      width,
+      height: depth,
+      hinge: null,
+    },
+    {
+      id: "back",
+      slot: "faces.back",
+      parent: "bottom",
+      direction: "up",
+      x: -halfW,
+      y: -halfD - height,
+      width,
+      height,
+      hinge: { x1: -halfW, y1: -halfD, x2: halfW, y2: -halfD },
+    },
+    {
+      id: "front",
+      slot: "faces.front",
+      parent: "bottom",
+      direction: "down",
+      x: -halfW,
+      y: halfD,
+      width,
+      height,
+      hinge: { x1: -halfW, y1: halfD, x2: halfW, y2: halfD },
+    },
+    {
+      id: "left",
+      slot: "faces.left",
+      parent: "bottom",
+      direction: "left",
+      x: -halfW - height,
+      y: -halfD,
+      width: height,
+      height: depth,
+      hinge: { x1: -halfW, y1: -halfD, x2: -halfW, y2: halfD },
+    },
+    {
+      id: "right",
+      slot: "faces.right",
+      parent: "bottom",
+      direction: "right",
+      x: halfW,
+      y: -halfD,
+      width: height,
+      height: depth,
+      hinge: { x1: halfW, y1: -halfD, x2: halfW, y2: halfD },
+    },
+    {
+      id: "backFlap",
+      slot: "flaps.top.short2",
+      parent: "back",
+      direction: "up",
+      x: -halfW,
+      y: -halfD - height - flapWidth,
+      width,
+      height: flapWidth,
+      hinge: {
+        x1: -halfW,
+        y1: -halfD - height,
+        x2: halfW,
+        y2: -halfD - height,
+      },
+    },
+    {
+      id: "frontFlap",
+      slot: "flaps.top.short1",
+      parent: "front",
+      direction: "down",
+      x: -halfW,
+      y: halfD + height,
+      width,
+      height: flapWidth,
+      hinge: {
+        x1: -halfW,
+        y1: halfD + height,
+        x2: halfW,
+        y2: halfD + height,
+      },
+    },
+    {
+      id: "leftFlap",
+      slot: "flaps.top.long1",
+      parent: "left",
+      direction: "left",
+      x: -halfW - height - flapWidth,
+      y: -halfD,
+      width: flapWidth,
+      height: depth,
+      hinge: {
+        x1: -halfW - height,
+        y1: -halfD,
+        x2: -halfW - height,
+        y2: halfD,
+      },
+    },
+    {
+      id: "rightFlap",
+      slot: "flaps.top.long2",
+      parent: "right",
+      direction: "right",
+      x: halfW + height,
+      y: -halfD,
+      width: flapWidth,
+      height: depth,
+      hinge: {
+        x1: halfW + height,
+        y1: -halfD,
+        x2: halfW + height,
+        y2: halfD,
+      },
+    },
+  ];
+
+  // Length along the hinge and distance away from it, per panel
+  panels.forEach((panel) => {
+    const vertical = panel.direction === "left" || panel.direction === "right";
+    panel.hingeLength = vertical ? panel.height : panel.width;
+    panel.foldLength = vertical ? panel.width : panel.height;
+  });
+
+  const bounds = {
+    minX: Math.min(...panels.map((p) => p.x)),
+    minY: Math.min(...panels.map((p) => p.y)),
+    maxX: Math.max(...panels.map((p) => p.x + p.width)),
+    maxY: Math.max(...panels.map((p) => p.y + p.height)),
+  };
+
+  return { panels, bounds };
+}
+
+// BoxGeometry faces in material order: the outward normal and the
+// directions the face's U and V texture coordinates run in
+const BOX_FACES = [
+  { normal: [1, 0, 0], u: [0, 0, -1], v: [0, 1, 0] },
+  { normal: [-1, 0, 0], u: [0, 0, 1], v: [0, 1, 0] },
+  { normal: [0, 1, 0], u: [1, 0, 0], v: [0, 0, -1] },
+  { normal: [0, -1, 0], u: [1, 0, 0], v: [0, 0, 1] },
+  { normal: [0, 0, 1], u: [1, 0, 0], v: [0, 1, 0] },
+  { normal: [0, 0, -1], u: [-1, 0, 0], v: [0, 1, 0] },
+];
+
+const axisOf = (vector) => vector.findIndex((value) => value !== 0);
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const onFace = (face, s, t, depth) =>
+  [0, 1, 2].map((i) => face.u[i] * s + face.v[i] * t + face.normal[i] * depth);
+
+/**
+ * Same faces, material groups and UVs as a BoxGeometry of size { x, y, z },
+ * with openings cut into faces. Each cut is { face, outlines, through }:
+ * outlines are closed [s, t] point lists in the face's texture frame (from
+ * the face centre, along its U and V directions). A cut made through also
+ * opens the opposite face and lines the hole with walls, which take the
+ * material of the first face across the cut and UVs running around the
+ * hole, so a texture tiled along that face tiles around the hole too.
+ */
+export function createCutBoxGeometry(size, cuts) {
+  const dims = [size.x, size.y, size.z];
+  const holes = BOX_FACES.map(() => []);
+  const walls = [];
+  cuts.forEach(({ face, outlines, through }) => {
+    holes[face].push(...outlines);
+    if (!through) return;
+    // The same outlines in the opposite face's own frame
+    const from = BOX_FACES[face];
+    const to = BOX_FACES[face ^ 1];
+    holes[face ^ 1].push(
+      ...outlines.map((outline) =>
+        outline.map(([s, t]) => {
+          const point = onFace(from, s, t, 0);
+          return [dot(point, to.u), dot(point, to.v)];
+        })
+      )
+    );
+    walls.push({ face, outlines });
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  const positions = [];
+  const normals = [];
+  const uvs = [];
+  const indices = [];
+
+  BOX_FACES.forEach((face, index) => {
+    const width = dims[axisOf(face.u)];
+    const height = dims[axisOf(face.v)];
+    const depth = dims[axisOf(face.normal)] / 2;
+    const shape = new THREE.Shape([
+      new THREE.Vector2(-width / 2, -height / 2),
+      new THREE.Vector2(width / 2, -height / 2),
+      new THREE.Vector2(width / 2, height / 2),
+      new THREE.Vector2(-width / 2, height / 2),
+    ]);
+    holes[index].forEach((outline) => {
+      shape.holes.push(
+        new THREE.Path(outline.map(([s, t]) => new THREE.Vector2(s, t)))
+      );
+    });
+
+    const shapeGeometry = new THREE.ShapeGeometry(shape);
+    const points = shapeGeometry.attributes.position;
+    const first = positions.length / 3;
+    for (let i = 0; i < points.count; i++) {
+      const s = points.getX(i);
+      const t = points.getY(i);
+      positions.push(...onFace(face, s, t, depth));
+      normals.push(...face.normal);
+      uvs.push(s / width + 0.5, t / height + 0.5);
+    }
+    const start = indices.length;
+    shapeGeometry.index.array.forEach((i) => indices.push(first + i));
+    geometry.addGroup(start, indices.length - start, index);
+    shapeGeometry.dispose();
+  });
+
+  walls.forEach(({ face: faceIndex, outlines }) => {
+    const face = BOX_FACES[faceIndex];
+    const thicknessAxis = axisOf(face.normal);
+    const depth = dims[thicknessAxis] / 2;
+    // The first face across the cut, and which of its UVs runs along it
+    const wallFace = BOX_FACES.findIndex(
+      (other) => axisOf(other.normal) !== thicknessAxis
+    );
+    const alongV = axisOf(BOX_FACES[wallFace].u) === thicknessAxis;
+    const length = dims[axisOf(BOX_FACES[wallFace][alongV ? "v" : "u"])];
+    const start = indices.length;
+
+    outlines.forEach((outline) => {
+      const centre = outline
+        .reduce(([s, t], [ps, pt]) => [s + ps, t + pt], [0, 0])
+        .map((value) => value / outline.length);
+      let distance = 0;
+      outline.forEach(([s1, t1], i) => {
+        const [s2, t2] = outline[(i + 1) % outline.length];
+        const step = Math.hypot(s2 - s1, t2 - t1);
+        // Wall normal faces into the hole
+        let [ns, nt] = [t2 - t1, s1 - s2].map((value) => value / step);
+        if (ns * (centre[0] - s1) + nt * (centre[1] - t1) < 0) {
+          [ns, nt] = [-ns, -nt];
+        }
+        const normal = onFace(face, ns, nt, 0);
+
+        const first = positions.length / 3;
+        [
+          [s1, t1, depth, distance, 1],
+          [s2, t2, depth, distance + step, 1],
+          [s2, t2, -depth, distance + step, 0],
+          [s1, t1, -depth, distance, 0],
+        ].forEach(([s, t, d, along, across]) => {
+          positions.push(...onFace(face, s, t, d));
+          normals.push(...normal);
+          uvs.push(
+            ...(alongV ? [across, along / length] : [along / length, across])
+          );
+        });
+        // The quad's first triangle faces along the face normal × its
+        // top edge; wind it the other way when the wall normal is opposite
+        const edge = onFace(face, s2 - s1, t2 - t1, 0);
+        const n = face.normal;
+        const cross = [
+          n[1] * edge[2] - n[2] * edge[1],
+          n[2] * edge[0] - n[0] * edge[2],
+          n[0] * edge[1] - n[1] * edge[0],
+        ];
+        if (dot(cross, normal) > 0) {
+          indices.push(
+            first,
+            first + 1,
+            first + 2,
+            first,
+            first + 2,
+            first + 3
+          );
+        } else {
+          indices.push(
+            first,
+            first + 2,
+            first + 1,
+            first,
+            first + 3,
+            first + 2
+          );
+        }
+        distance += step;
+      });
+    });
+    geometry.addGroup(start, indices.length - start, wallFace);
+  });
+
+  geometry.setAttribute(
+    "position",
+    new THREE.Float32BufferAttribute(positions, 3)
+  );
+  geometry.setAttribute("normal", new THREE.Float32BufferAttribute(normals, 3));
+  geometry.setAttribute("uv", new THREE.Float32BufferAttribute(uvs, 2));
+  geometry.setIndex(indices);
+  return geometry;
+}
+
 /**
  * Helper function to set UV coordinates for a face (4 vertices)
  */
@@ -232,38 +561,3 @@ function setFaceUVs(uvAttribute, startIndex, u1, v1, u2, v2, u3, v3, u4, v4) {
   uvAttribute.setXY(startIndex + 2, u3, v3);
   uvAttribute.setXY(startIndex + 3, u4, v4);
 }
-
-/**
- * Create a single banana shape
- */
-export function createBanana(radius, length, material) {
-  const bananaGroup = new THREE.Group();
-
-  // Main body - curved cylinder
-  const bodyGeometry = new THREE.CylinderGeometry(
-    radius,
-    radius * 0.7,
-    length,
-    8
-  );
-  const body = new THREE.Mesh(bodyGeometry, material);
-  body.rotation.z = Math.PI / 2;
-  body.position.x = length / 2;
-  bananaGroup.add(body);
-
-  // Stem end - small sphere
-  const stemGeometry = new THREE.SphereGeometry(radius * 0.5, 6, 6);
-  const stem = new THREE.Mesh(stemGeometry, material);
-  stem.position.x = length;
-  bananaGroup.add(stem);
-
-  // Flower end - small sphere
-  const flowerGeometry = new THREE.SphereGeometry(radius * 0.8, 6, 6);
-  const flower = new THREE.Mesh(flowerGeometry, material);
-  bananaGroup.add(flower);
-
-  // Add slight curve
-  bananaGroup.rotation.y = 0.3;
-
-  return bananaGroup;
-}
@@ -0,0 +1,358 @@
+// Import Three.js
+import * as THREE from "three";
+import { UNITS_PER_MM } from "./boxDimensions.js";
+import { createCutBoxGeometry } from "./boxGeometry.js";
+
+// Corrugated board grades. Thickness is the combined board caliper and
+// each flute layer lists its pitch (peak to peak), outer layer first (mm).
+// ect is the edgewise crush strength (kN/m) and grammage the combined board
+// weight (g/m²) of a typical fruit-box build of the grade.
+export const BOARD_GRADES = {
+  E: {
+    label: "E flute, single wall",
+    thickness: 1.6,
+    flutes: [3.3],
+    ect: 5,
+    grammage: 520,
+  },
+  B: {
+    label: "B flute, single wall",
+    thickness: 3,
+    flutes: [6.1],
+    ect: 7,
+    grammage: 600,
+  },
+  C: {
+    label: "C flute, single wall",
+    thickness: 4,
+    flutes: [7.3],
+    ect: 8.5,
+    grammage: 680,
+  },
+  EB: {
+    label: "EB flute, double wall",
+    thickness: 4.6,
+    flutes: [3.3, 6.1],
+    ect: 10.5,
+    grammage: 900,
+  },
+  BC: {
+    label: "BC flute, double wall",
+    thickness: 7,
+    flutes: [6.1, 7.3],
+    ect: 13.5,
+    grammage: 1050,
+  },
+};
+export const DEFAULT_BOARD_GRADE = "C";
+
+// Unprinted kraft liner
+export const KRAFT_COLOR = 0xd8c3a5;
+
+// Paper grain: one tile of the normal map covers this much board (scene units)
+const GRAIN_TILE = 0.6;
+const GRAIN_SIZE = 256;
+const GRAIN_STRENGTH = { printed: 0.12, kraft: 0.35 };
+
+// Resolution of the flute section textures
+const EDGE_PIXELS_PER_MM = 16;
+const LINER_MM = 0.3;
+const EDGE_COLORS = {
+  liner: "#cdb48c",
+  fluting: "#b8976a",
+  channel: "#4f3d29",
+};
+
+// BoxGeometry faces, in material order: the axis each face looks along
+// and the axes its U and V coordinates run along
+const FACE_AXES = ["x", "x", "y", "y", "z", "z"];
+const FACE_UV_AXES = [
+  ["z", "y"],
+  ["z", "y"],
+  ["x", "z"],
+  ["x", "z"],
+  ["x", "y"],
+  ["x", "y"],
+];
+
+let grainTexture = null;
+const edgeTextures = {};
+
+/**
+ * Thickness of a board grade in scene units
+ */
+export function getBoardThickness(grade) {
+  return (
+    (BOARD_GRADES[grade] || BOARD_GRADES[DEFAULT_BOARD_GRADE]).thickness *
+    UNITS_PER_MM
+  );
+}
+
+/**
+ * Small seeded random generator, so the grain looks the same on every load
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Tileable normal map of paper grain: fine noise plus short fibres running
+ * mostly along the paper machine direction
+ */
+function getGrainTexture() {
+  if (grainTexture) return grainTexture;
+
+  const size = GRAIN_SIZE;
+  const random = createRandom(1234);
+  const index = (x, y) => ((y + size) % size) * size + ((x + size) % size);
+  let heights = new Float32Array(size * size);
+  for (let i = 0; i < heights.length; i++) heights[i] = random() * 0.6;
+
+  for (let f = 0; f < 1400; f++) {
+    const angle = (random() - 0.5) * 0.8;
+    const length = 4 + random() * 12;
+    const x0 = random() * size;
+    const y0 = random() * size;
+    for (let s = 0; s < length; s++) {
+      const x = Math.round(x0 + Math.cos(angle) * s);
+      const y = Math.round(y0 + Math.sin(angle) * s);
+      heights[index(x, y)] += 0.5;
+    }
+  }
+
+  // Soften, wrapping around so the tile repeats seamlessly
+  const blurred = new Float32Array(heights.length);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      let sum = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) sum += heights[index(x + dx, y + dy)];
+      }
+      blurred[index(x, y)] = sum / 9;
+    }
+  }
+  heights = blurred;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext("2d");
+  const image = ctx.createImageData(size, size);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const dx = heights[index(x + 1, y)] - heights[index(x - 1, y)];
+      const dy = heights[index(x, y + 1)] - heights[index(x, y - 1)];
+      const normal = new THREE.Vector3(-dx, -dy, 1).normalize();
+      const i = (y * size + x) * 4;
+      image.data[i] = (normal.x * 0.5 + 0.5) * 255;
+      image.data[i + 1] = (normal.y * 0.5 + 0.5) * 255;
+      image.data[i + 2] = (normal.z * 0.5 + 0.5) * 255;
+      image.data[i + 3] = 255;
+    }
+  }
+  ctx.putImageData(image, 0, 0);
+
+  grainTexture = new THREE.CanvasTexture(canvas);
+  grainTexture.wrapS = THREE.RepeatWrapping;
+  grainTexture.wrapT = THREE.RepeatWrapping;
+  return grainTexture;
+}
+
+/**
+ * Draw one flute pitch of a board's cut face, thickness running down the
+ * canvas. "profile" is a cut across the flutes (the wave), "side" a cut
+ * along them (the flutes seen as bands).
+ */
+function drawEdge(ctx, width, height, board, kind) {
+  const liner = Math.max(2, LINER_MM * EDGE_PIXELS_PER_MM);
+  const layers = board.flutes.length;
+  const layerHeight = (height - liner * (layers + 1)) / layers;
+
+  ctx.fillStyle = EDGE_COLORS.liner;
+  ctx.fillRect(0, 0, width, height);
+
+  board.flutes.forEach((pitch, layer) => {
+    const top = liner + layer * (layerHeight + liner);
+    ctx.fillStyle = EDGE_COLORS.channel;
+    ctx.fillRect(0, top, width, layerHeight);
+
+    if (kind === "profile") {
+      // Whole waves per tile, so the texture repeats without a seam
+      const cycles = Math.max(1, Math.round(board.flutes[0] / pitch));
+      const amplitude = layerHeight / 2 - liner / 2;
+      ctx.strokeStyle = EDGE_COLORS.fluting;
+      ctx.lineWidth = liner;
+      ctx.beginPath();
+      for (let x = 0; x <= width; x++) {
+        const y =
+          top +
+          layerHeight / 2 -
+          Math.cos((x / width) * cycles * Math.PI * 2) * amplitude;
+        if (x === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      }
+      ctx.stroke();
+    } else {
+      // The fluting shows as a band, darker where it curves away
+      const gradient = ctx.createLinearGradient(0, top, 0, top + layerHeight);
+      gradient.addColorStop(0, EDGE_COLORS.fluting);
+      gradient.addColorStop(0.5, EDGE_COLORS.channel);
+      gradient.addColorStop(1, EDGE_COLORS.fluting);
+      ctx.fillStyle = gradient;
+      ctx.fillRect(0, top, width, layerHeight);
+    }
+  });
+}
+
+/**
+ * Flute section texture of a grade, tiled along its length by the caller.
+ * Vertical textures run along V, for faces whose U axis is the thickness.
+ */
+function getEdgeTexture(grade, kind, vertical) {
+  const key = `${grade}:${kind}:${vertical}`;
+  if (edgeTextures[key]) return edgeTextures[key];
+
+  const board = BOARD_GRADES[grade];
+  const width = Math.round(board.flutes[0] * EDGE_PIXELS_PER_MM);
+  const height = Math.round(board.thickness * EDGE_PIXELS_PER_MM);
+  const canvas = document.createElement("canvas");
+  canvas.width = vertical ? height : width;
+  canvas.height = vertical ? width : height;
+  const ctx = canvas.getContext("2d");
+  if (vertical) {
+    ctx.translate(height, 0);
+    ctx.rotate(Math.PI / 2);
+  }
+  drawEdge(ctx, width, height, board, kind);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.RepeatWrapping;
+  edgeTextures[key] = texture;
+  return texture;
+}
+
+/**
+ * Copy of a shared texture with its own repeat, disposed with the material
+ * it is given to
+ */
+function tileTexture(source, material, repeatU, repeatV) {
+  const texture = source.clone();
+  texture.repeat.set(repeatU, repeatV);
+  material.addEventListener("dispose", () => texture.dispose());
+  return texture;
+}
+
+function addGrain(material, [width, height], strength) {
+  material.normalMap = tileTexture(
+    getGrainTexture(),
+    material,
+    Math.max(1, width / GRAIN_TILE),
+    Math.max(1, height / GRAIN_TILE)
+  );
+  material.normalScale.set(strength, strength);
+  return material;
+}
+
+/**
+ * Printed liner: the artwork map over a faint paper grain.
+ * size is the [width, height] of the face in scene units, which sets the
+ * grain scale; other options are passed on to the material.
+ */
+export function createPrintedBoardMaterial(map, size, options = {}) {
+  const material = new THREE.MeshStandardMaterial({
+    map,
+    roughness: 0.75,
+    metalness: 0.05,
+    ...options,
+  });
+  return addGrain(material, size, GRAIN_STRENGTH.printed);
+}
+
+/**
+ * Unprinted kraft liner with a visible paper grain
+ */
+export function createKraftMaterial(size, options = {}) {
+  const material = new THREE.MeshStandardMaterial({
+    color: KRAFT_COLOR,
+    roughness: 0.9,
+    metalness: 0.02,
+    ...options,
+  });
+  return addGrain(material, size, GRAIN_STRENGTH.kraft);
+}
+
+/**
+ * A board panel as a box mesh of the given size. The faces across the
+ * board's thickness get the outer and inner materials (functions of the
+ * face [width, height], so they can scale their grain); the four cut faces
+ * show the flute section of the grade.
+ *
+ * size: { x, y, z } of the panel, the thickness included
+ * thicknessAxis: axis of the board thickness
+ * outerSign: 1 when the outer face looks along +thicknessAxis, -1 otherwise
+ * fluteAxis: axis the flutes run along
+ * holes: outlines cut through the board, as [s, t] points in the outer
+ * face's texture frame (see createCutBoxGeometry)
+ *
+ * The outer and inner materials are kept in userData.exteriorMaterial and
+ * userData.interiorMaterial.
+ */
+export function createBoardPanel({
+  size,
+  thicknessAxis,
+  outerSign = 1,
+  fluteAxis,
+  grade,
+  outer,
+  inner,
+  holes = [],
+}) {
+  const board = BOARD_GRADES[grade] ? grade : DEFAULT_BOARD_GRADE;
+  const pitch = BOARD_GRADES[board].flutes[0] * UNITS_PER_MM;
+  const outerIndex = FACE_AXES.indexOf(thicknessAxis) + (outerSign > 0 ? 0 : 1);
+
+  const materials = FACE_AXES.map((axis, index) => {
+    const [uAxis, vAxis] = FACE_UV_AXES[index];
+    const faceSize = [size[uAxis], size[vAxis]];
+
+    if (axis === thicknessAxis) {
+      const positive = index % 2 === 0;
+      return positive === outerSign > 0 ? outer(faceSize) : inner(faceSize);
+    }
+
+    // Cut face: the flutes are seen end-on when the face looks along them
+    const kind = axis === fluteAxis ? "profile" : "side";
+    const vertical = uAxis === thicknessAxis;
+    const length = vertical ? size[vAxis] : size[uAxis];
+    const material = new THREE.MeshStandardMaterial({
+      roughness: 0.95,
+      metalness: 0,
+    });
+    const repeat = kind === "profile" ? length / pitch : 1;
+    material.map = tileTexture(
+      getEdgeTexture(board, kind, vertical),
+      material,
+      vertical ? 1 : repeat,
+      vertical ? repeat : 1
+    );
+    return material;
+  });
+
+  const geometry = holes.length
+    ? createCutBoxGeometry(size, [
+        { face: outerIndex, outlines: holes, through: true },
+      ])
+    : new THREE.BoxGeometry(size.x, size.y, size.z);
+  const mesh = new THREE.Mesh(geometry, materials);
+  mesh.userData.exteriorMaterial = materials[outerIndex];
+  mesh.userData.interiorMaterial = materials[outerIndex ^ 1];
+  return mesh;
+}
@@ -0,0 +1,378 @@
+// Import Three.js
+import * as THREE from "three";
+import { UNITS_PER_MM } from "./boxDimensions.js";
+import {
+  PALLETS,
+  PALLET_HEIGHT,
+  DEFAULT_PALLET,
+  arrangeFootprints,
+  planPalletLoad,
+} from "./palletLoad.js";
+
+// Reefer containers, inside dimensions (mm). Heights are from the
+// container floor; cargo must stay under the load line so the return air
+// can pass over it.
+export const CONTAINERS = {
+  "20RF": {
+    label: "20 ft reefer",
+    length: 5450,
+    width: 2290,
+    height: 2250,
+    loadLine: 2100,
+  },
+  "40HCRF": {
+    label: "40 ft high-cube reefer",
+    length: 11580,
+    width: 2290,
+    height: 2550,
+    loadLine: 2400,
+  },
+};
+
+export const LOADING_MODES = {
+  pallets: "Palletised",
+  loose: "Floor loaded",
+};
+
+// Door clearance is kept free at the doors; the T-floor airflow gap is the
+// height of the T-section floor the cargo stands on, so the supply air can
+// flow underneath it (mm)
+export const DEFAULT_CONTAINER = {
+  container: "40HCRF",
+  mode: "pallets",
+  doorClearance: 100,
+  floorGap: 60,
+};
+
+const SHELL_COLOR = 0xdfe6ea;
+const FLOOR_COLOR = 0x8a9197;
+const LOAD_LINE_COLOR = 0xe74c3c;
+const T_FLOOR_PITCH = 60;
+const T_FLOOR_RAIL = 20;
+
+/**
+ * Plan a container load of boxes { length, width, height } (mm), either on
+ * pallets set up as in palletSettings or stacked loose on the floor.
+ *
+ * Returns { mode, units, unit, boxesPerUnit, totalBoxes, unitHeight,
+ * usableHeight, usedLength, doorGap, volumeUse, layers, layersCapped,
+ * palletPlan } where units are the pallets or floor stacks in loading
+ * order (nose first) as { x, z, rotated }: mm from the container centre,
+ * x towards the doors. unit is the footprint of one { length, width }.
+ */
+export function planContainerLoad(box, settings = {}, palletSettings = {}) {
+  const { container, mode, doorClearance, floorGap } = {
+    ...DEFAULT_CONTAINER,
+    ...settings,
+  };
+  const size = CONTAINERS[container] || CONTAINERS[DEFAULT_CONTAINER.container];
+  const usableHeight = size.loadLine - floorGap;
+  const area = { length: size.length - doorClearance, width: size.width };
+
+  let unit;
+  let layers;
+  let boxesPerUnit;
+  let unitHeight;
+  let palletPlan = null;
+  let wanted;
+
+  if (mode === "loose") {
+    layers = Math.max(0, Math.floor(usableHeight / box.height));
+    wanted = layers;
+    unit = { length: box.length, width: box.width };
+    boxesPerUnit = layers;
+    unitHeight = layers * box.height;
+  } else {
+    const pallet = { ...DEFAULT_PALLET, ...palletSettings };
+    wanted = Math.max(1, Math.round(pallet.layers));
+    layers = Math.min(
+      wanted,
+      Math.max(0, Math.floor((usableHeight - PALLET_HEIGHT) / box.height))
+    );
+    palletPlan = planPalletLoad(box, {
+      ...pallet,
+      layers: Math.max(1, layers),
+    });
+    const palletSize = PALLETS[pallet.pallet] || PALLETS[DEFAULT_PALLET.pallet];
+    // Overhanging loads take up more floor than the pallet
+    unit = {
+      length: palletSize.length + palletPlan.overhang.length * 2,
+      width: palletSize.width + palletPlan.overhang.width * 2,
+    };
+    boxesPerUnit = layers ? palletPlan.totalBoxes : 0;
+    unitHeight = palletPlan.totalHeight;
+  }
+
+  const floor = boxesPerUnit
+    ? arrangeFootprints(unit, area)
+    : { boxes: [], sizeX: 0, sizeZ: 0 };
+  // Push the arrangement up against the nose wall
+  const shift = -size.length / 2 + floor.sizeX / 2;
+  const units = floor.boxes
+    .map((item) => ({ ...item, x: item.x + shift }))
+    .sort((a, b) => a.x - b.x || a.z - b.z);
+
+  const totalBoxes = units.length * boxesPerUnit;
+  const usedLength = Math.round(floor.sizeX);
+  return {
+    mode,
+    units,
+    unit,
+    boxesPerUnit,
+    totalBoxes,
+    unitHeight,
+    usableHeight,
+    usedLength,
+    doorGap: size.length - usedLength,
+    volumeUse:
+      (totalBoxes * box.length * box.width * box.height) /
+      (size.length * size.width * usableHeight),
+    layers,
+    layersCapped: layers < wanted,
+    palletPlan,
+  };
+}
+
+/**
+ * Rows of a CSV loading plan: a summary, then one row per pallet or stack
+ * in loading order
+ */
+export function createLoadingPlanRows(plan, { container, box, boxLabel }) {
+  const size = CONTAINERS[container] || CONTAINERS[DEFAULT_CONTAINER.container];
+  const unitName = plan.mode === "loose" ? "Stack" : "Pallet";
+  const rows = [
+    ["Container", size.label],
+    ["Loading", LOADING_MODES[plan.mode]],
+    ["Box", `${boxLabel} (${box.length} × ${box.width} × ${box.height} mm)`],
+    [`${unitName}s`, plan.units.length],
+    [`Boxes per ${unitName.toLowerCase()}`, plan.boxesPerUnit],
+    ["Total boxes", plan.totalBoxes],
+    ["Used length (mm)", plan.usedLength],
+    ["Free at doors (mm)", plan.doorGap],
+    ["Volume used (%)", Math.round(plan.volumeUse * 1000) / 10],
+    [],
+    [
+      unitName,
+      "From nose (mm)",
+      "From centre line (mm)",
+      "Orientation",
+      "Boxes",
+      "Height (mm)",
+    ],
+  ];
+  plan.units.forEach((item, i) => {
+    const length = item.rotated ? plan.unit.width : plan.unit.length;
+    rows.push([
+      i + 1,
+      Math.round(item.x + size.length / 2 - length / 2),
+      Math.round(item.z),
+      item.rotated ? "Crosswise" : "Lengthwise",
+      plan.boxesPerUnit,
+      plan.unitHeight,
+    ]);
+  });
+  return rows;
+}
+
+/**
+ * See-through container: T-floor, walls, roof and nose, the doors left
+ * open, with the load line and the door clearance marked
+ */
+function createShell(size, settings, materials) {
+  const group = new THREE.Group();
+  const mm = (value) => value * UNITS_PER_MM;
+  const { length, width, height, loadLine } = size;
+
+  const floor = new THREE.Mesh(
+    new THREE.BoxGeometry(mm(length), mm(20), mm(width)),
+    materials.floor
+  );
+  floor.position.y = -mm(10);
+  floor.receiveShadow = true;
+  group.add(floor);
+
+  // T-floor rails the cargo stands on
+  const rails = Math.floor(width / T_FLOOR_PITCH);
+  const railMesh = new THREE.InstancedMesh(
+    new THREE.BoxGeometry(mm(length), mm(settings.floorGap), mm(T_FLOOR_RAIL)),
+    materials.floor,
+    rails
+  );
+  for (let i = 0; i < rails; i++) {
+    railMesh.setMatrixAt(
+      i,
+      new THREE.Matrix4().makeTranslation(
+        0,
+        mm(settings.floorGap / 2),
+        mm(-width / 2 + (i + 0.5) * (width / rails))
+      )
+    );
+  }
+  railMesh.receiveShadow = true;
+  group.add(railMesh);
+
+  // Walls, roof and nose
+  const panels = [
+    [length, height, 1, 0, height / 2, width / 2],
+    [length, height, 1, 0, height / 2, -width / 2],
+    [length, 1, width, 0, height, 0],
+    [1, height, width, -length / 2, height / 2, 0],
+  ];
+  panels.forEach(([sx, sy, sz, x, y, z]) => {
+    const panel = new THREE.Mesh(
+      new THREE.BoxGeometry(mm(sx), mm(sy), mm(sz)),
+      materials.shell
+    );
+    panel.position.set(mm(x), mm(y), mm(z));
+    group.add(panel);
+  });
+  const outline = new THREE.LineSegments(
+    new THREE.EdgesGeometry(
+      new THREE.BoxGeometry(mm(length), mm(height), mm(width))
+    ),
+    materials.outline
+  );
+  outline.position.y = mm(height / 2);
+  group.add(outline);
+
+  // Load line along the walls and nose, and where the door clearance starts
+  const door = length / 2 - settings.doorClearance;
+  const lines = [
+    [-length / 2, loadLine, width / 2, length / 2, loadLine, width / 2],
+    [-length / 2, loadLine, -width / 2, length / 2, loadLine, -width / 2],
+    [-length / 2, loadLine, -width / 2, -length / 2, loadLine, width / 2],
+    [door, 0, -width / 2, door, 0, width / 2],
+    [door, 0, -width / 2, door, loadLine, -width / 2],
+    [door, 0, width / 2, door, loadLine, width / 2],
+  ];
+  const marks = new THREE.LineSegments(
+    new THREE.BufferGeometry().setAttribute(
+      "position",
+      new THREE.Float32BufferAttribute(lines.flat().map(mm), 3)
+    ),
+    materials.loadLine
+  );
+  group.add(marks);
+  return group;
+}
+
+/**
+ * 3D container loaded with copies of a unit, a pallet or a floor stack
+ * given as a list of InstancedMeshes (e.g. a createPalletModel group's
+ * children). The copies share the unit's geometry, materials and instance
+ * layout.
+ *
+ * Returns { group, count, setProgress(progress), dispose() }: progress runs
+ * from 0 (empty) to count (every unit loaded), each unit sliding in from
+ * the doors in loading order. dispose leaves the unit's meshes alone.
+ */
+export function createContainerModel(unitMeshes, plan, settings = {}) {
+  const options = { ...DEFAULT_CONTAINER, ...settings };
+  const size =
+    CONTAINERS[options.container] || CONTAINERS[DEFAULT_CONTAINER.container];
+  const group = new THREE.Group();
+  group.name = "containerLoad";
+
+  const materials = {
+    floor: new THREE.MeshStandardMaterial({
+      color: FLOOR_COLOR,
+      roughness: 0.6,
+      metalness: 0.4,
+    }),
+    shell: new THREE.MeshStandardMaterial({
+      color: SHELL_COLOR,
+      roughness: 0.5,
+      metalness: 0.2,
+      transparent: true,
+      opacity: 0.15,
+      depthWrite: false,
+      side: THREE.DoubleSide,
+    }),
+    outline: new THREE.LineBasicMaterial({ color: 0x7f8c8d }),
+    loadLine: new THREE.LineBasicMaterial({ color: LOAD_LINE_COLOR }),
+  };
+  group.add(createShell(size, options, materials));
+
+  const count = plan.units.length;
+  const floorY = options.floorGap * UNITS_PER_MM;
+  const targets = plan.units.map(({ x, z, rotated }) => ({
+    position: new THREE.Vector3(x, 0, z)
+      .multiplyScalar(UNITS_PER_MM)
+      .setY(floorY),
+    rotation: new THREE.Quaternion().setFromAxisAngle(
+      new THREE.Vector3(0, 1, 0),
+      rotated ? Math.PI / 2 : 0
+    ),
+  }));
+  // Units wait outside the doors until their turn
+  const doorX = (size.length / 2 + plan.unit.length) * UNITS_PER_MM;
+
+  const copies = unitMeshes.map((source) => {
+    const local = [];
+    for (let i = 0; i < source.count; i++) {
+      const matrix = new THREE.Matrix4();
+      source.getMatrixAt(i, matrix);
+      local.push(matrix);
+    }
+    const mesh = new THREE.InstancedMesh(
+      source.geometry,
+      source.material,
+      Math.max(1, local.length * count)
+    );
+    mesh.count = local.length * count;
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    // Instances move in and out of the container as it is loaded
+    mesh.frustumCulled = false;
+    group.add(mesh);
+    return { mesh, local };
+  });
+
+  const hidden = new THREE.Matrix4().makeScale(0, 0, 0);
+  const placement = new THREE.Matrix4();
+  const position = new THREE.Vector3();
+  const scale = new THREE.Vector3(1, 1, 1);
+  const shown = new Array(count).fill(null);
+
+  function setProgress(progress) {
+    targets.forEach((target, index) => {
+      const t = Math.min(1, Math.max(0, progress - index));
+      if (shown[index] === t) return;
+      shown[index] = t;
+      const eased = 1 - (1 - t) ** 3;
+      position.copy(target.position);
+      position.x = doorX + (target.position.x - doorX) * eased;
+      placement.compose(position, target.rotation, scale);
+      copies.forEach(({ mesh, local }) => {
+        local.forEach((matrix, i) => {
+          mesh.setMatrixAt(
+            index * local.length + i,
+            t > 0 ? placement.clone().multiply(matrix) : hidden
+          );
+        });
+      });
+    });
+    copies.forEach(({ mesh }) => {
+      mesh.instanceMatrix.needsUpdate = true;
+    });
+  }
+  setProgress(count);
+
+  return {
+    group,
+    count,
+    setProgress,
+    dispose() {
+      group.traverse((node) => {
+        // Copies share the unit's geometry and materials
+        if (copies.some((copy) => copy.mesh === node)) {
+          node.dispose();
+        } else if (node.geometry) {
+          node.geometry.dispose();
+          if (node.isInstancedMesh) node.dispose();
+        }
+      });
+      Object.values(materials).forEach((material) => material.dispose());
+    },
+  };
+}
@@ -0,0 +1,242 @@
+// Import Three.js
+import * as THREE from "three";
+import { TEXTURE_SLOTS, configureCroppedTexture } from "./textureLoader.js";
+import { boxDimensions, getSlotPanelSize } from "./boxDimensions.js";
+
+// Brand value of the user's own artwork, shared with the request form
+export const CUSTOM_BRAND = "custom";
+
+// Readable names of the texture slots, for the artwork controls
+export const SLOT_LABELS = {
+  "faces.right": "Long side 1",
+  "faces.left": "Long side 2",
+  "faces.front": "Short side 1",
+  "faces.back": "Short side 2",
+  "faces.bottom": "Bottom",
+  "interiors.long": "Interior, long sides",
+  "interiors.short": "Interior, short sides",
+  "flaps.top.long1": "Top flap, long side 1",
+  "flaps.top.long2": "Top flap, long side 2",
+  "flaps.top.short1": "Top flap, short side 1",
+  "flaps.top.short2": "Top flap, short side 2",
+  "flaps.bottom.long1": "Bottom flap, long side 1",
+  "flaps.bottom.long2": "Bottom flap, long side 2",
+  "flaps.bottom.short1": "Bottom flap, short side 1",
+  "flaps.bottom.short2": "Bottom flap, short side 2",
+  "lid.top": "Lid top",
+  "lid.right": "Lid, long side 1",
+  "lid.left": "Lid, long side 2",
+  "lid.front": "Lid, short side 1",
+  "lid.back": "Lid, short side 2",
+};
+
+// Placement of an image on its panel. Scale 1 fits the image to the panel
+// ("cover" fills it, "contain" shows all of it); offsets move the image by
+// a fraction of the panel size, which is how it is cropped.
+export const DEFAULT_ARTWORK_TRANSFORM = {
+  fit: "cover",
+  scale: 1,
+  rotation: 0,
+  offsetX: 0,
+  offsetY: 0,
+};
+
+// Longest side of the canvas each slot is painted on (pixels)
+const SLOT_RESOLUTION = 1024;
+
+// Unprinted board shown on slots without artwork
+const BLANK_COLOR = "#d8c3a5";
+
+// Uploaded artwork by slot: { image, name, transform }
+const artwork = {};
+
+// Texture set painted from the artwork, rebuilt when the box size changes
+let textureSet = null;
+let canvases = {};
+
+/**
+ * Decode an uploaded image file (PNG, JPG, SVG, WebP)
+ */
+function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`Could not read ${file.name} as an image`));
+    };
+    image.src = url;
+  });
+}
+
+/**
+ * Paint one slot's canvas from its artwork and mark the texture for upload
+ */
+function paintSlot(slot) {
+  const canvas = canvases[slot];
+  if (!canvas) return;
+
+  const ctx = canvas.getContext("2d");
+  const { width, height } = canvas;
+  ctx.fillStyle = BLANK_COLOR;
+  ctx.fillRect(0, 0, width, height);
+
+  const entry = artwork[slot];
+  let sourceSize = null;
+  if (entry) {
+    const { image, transform } = entry;
+    const imageWidth = image.naturalWidth || image.width;
+    const imageHeight = image.naturalHeight || image.height;
+    const angle = THREE.MathUtils.degToRad(transform.rotation);
+
+    // Fit against the bounding box of the rotated image
+    const cos = Math.abs(Math.cos(angle));
+    const sin = Math.abs(Math.sin(angle));
+    const boundsWidth = imageWidth * cos + imageHeight * sin;
+    const boundsHeight = imageWidth * sin + imageHeight * cos;
+    const fitScale =
+      transform.fit === "contain"
+        ? Math.min(width / boundsWidth, height / boundsHeight)
+        : Math.max(width / boundsWidth, height / boundsHeight);
+
+    ctx.save();
+    ctx.translate(
+      width / 2 + transform.offsetX * width,
+      height / 2 + transform.offsetY * height
+    );
+    ctx.rotate(angle);
+    ctx.scale(fitScale * transform.scale, fitScale * transform.scale);
+    ctx.drawImage(image, -imageWidth / 2, -imageHeight / 2);
+    ctx.restore();
+
+    // Image pixels spanning the panel, for the print-safety check
+    const pixelsPerCanvasPixel = 1 / (fitScale * transform.scale);
+    sourceSize = {
+      width: Math.round(width * pixelsPerCanvasPixel),
+      height: Math.round(height * pixelsPerCanvasPixel),
+    };
+  } else {
+    // Say where artwork can go
+    const fontSize = Math.round(Math.min(width, height) * 0.06);
+    ctx.fillStyle = "rgba(0, 0, 0, 0.25)";
+    ctx.font = `600 ${fontSize}px Inter, Arial, sans-serif`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(SLOT_LABELS[slot], width / 2, height / 2);
+  }
+
+  const texture = getTexture(slot);
+  if (texture) {
+    texture.userData.sourceSize = sourceSize;
+    texture.userData.blank = !entry;
+    texture.needsUpdate = true;
+  }
+}
+
+function getTexture(slot) {
+  return slot.split(".").reduce((node, key) => node?.[key], textureSet);
+}
+
+/**
+ * Dispose the current texture set
+ */
+function disposeTextureSet() {
+  if (!textureSet) return;
+  TEXTURE_SLOTS.forEach((slot) => getTexture(slot)?.dispose());
+  textureSet = null;
+  canvases = {};
+}
+
+/**
+ * Texture set for the custom brand, in the structure loadCroppedTextureSet
+ * returns, so createBox can use it unchanged. Each slot is painted on a
+ * canvas with the proportions of its panel; the set is rebuilt when the box
+ * size changes and repainted in place when artwork changes.
+ */
+export function getCustomTextureSet(boxType) {
+  const dims = boxDimensions[boxType];
+  const dimsKey = `${dims.width}x${dims.height}x${dims.depth}x${dims.lidHeight}`;
+  if (textureSet && textureSet.dimsKey === dimsKey) return textureSet;
+
+  disposeTextureSet();
+  const set = {
+    faces: {},
+    interiors: {},
+    flaps: { top: {}, bottom: {} },
+    lid: {},
+    approximateSlots: [],
+    approximateFrom: null,
+    dimsKey,
+  };
+
+  TEXTURE_SLOTS.forEach((slot) => {
+    const panel = getSlotPanelSize(slot, dims);
+    const scale = SLOT_RESOLUTION / Math.max(panel.width, panel.height);
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.max(1, Math.round(panel.width * scale));
+    canvas.height = Math.max(1, Math.round(panel.height * scale));
+    canvases[slot] = canvas;
+
+    const [group, ...rest] = slot.split(".");
+    const texture = configureCroppedTexture(new THREE.CanvasTexture(canvas));
+    if (rest.length === 2) {
+      set[group][rest[0]][rest[1]] = texture;
+    } else {
+      set[group][rest[0]] = texture;
+    }
+  });
+
+  textureSet = set;
+  TEXTURE_SLOTS.forEach(paintSlot);
+  return set;
+}
+
+/**
+ * Use an uploaded image file for a slot, with the default placement
+ */
+export async function setSlotArtwork(slot, file) {
+  const image = await loadImage(file);
+  artwork[slot] = {
+    image,
+    name: file.name,
+    transform: { ...DEFAULT_ARTWORK_TRANSFORM },
+  };
+  paintSlot(slot);
+}
+
+/**
+ * Change how a slot's image is placed (any of the transform fields)
+ */
+export function setSlotTransform(slot, changes) {
+  const entry = artwork[slot];
+  if (!entry) return;
+  entry.transform = { ...entry.transform, ...changes };
+  paintSlot(slot);
+}
+
+/**
+ * Remove a slot's image, leaving plain board
+ */
+export function clearSlotArtwork(slot) {
+  delete artwork[slot];
+  paintSlot(slot);
+}
+
+/**
+ * File name and placement of a slot's artwork, or null when it has none
+ */
+export function getSlotArtwork(slot) {
+  const entry = artwork[slot];
+  return entry ? { name: entry.name, transform: { ...entry.transform } } : null;
+}
+
+/**
+ * Whether any slot has artwork uploaded
+ */
+export function hasCustomArtwork() {
+  return Object.keys(artwork).length > 0;
+}
@@ -0,0 +1,312 @@
+import { calculateUnfoldedPanelLayout } from "./boxGeometry.js";
+import { toMillimetres, UNITS_PER_MM } from "./boxDimensions.js";
+
+// Shapes a cut-out can take
+export const CUTOUT_SHAPES = {
+  round: "Round",
+  slot: "Slot",
+  rect: "Rectangle",
+};
+
+// Panels of the blank that can be cut, by their dieline id
+export const CUTOUT_PANELS = {
+  front: "Front",
+  back: "Back",
+  left: "Left",
+  right: "Right",
+  bottom: "Bottom",
+  frontFlap: "Front flap",
+  backFlap: "Back flap",
+  leftFlap: "Left flap",
+  rightFlap: "Right flap",
+};
+
+// Starting shape and size (mm) of a new vent or hand-hole
+export const CUTOUT_PRESETS = {
+  vent: { name: "Vent", shape: "round", width: 35, height: 35 },
+  handHole: { name: "Hand-hole", shape: "slot", width: 110, height: 45 },
+};
+
+// Cut-outs of a new design: a hand-hole and two vents in the front and
+// back, two vents in each end. Positions are the centre as a fraction of
+// the panel, seen from the printed side with the panel's top away from
+// the bottom (or from the hinge, for flaps); sizes are in mm.
+const DEFAULT_CUTOUTS = [
+  ...["front", "back"].flatMap((panel) => [
+    { panel, kind: "handHole", x: 0.5, y: 0.37 },
+    { panel, kind: "vent", x: 0.19, y: 0.61, shape: "slot", width: 60 },
+    { panel, kind: "vent", x: 0.81, y: 0.61, shape: "slot", width: 60 },
+  ]),
+  ...["left", "right"].flatMap((panel) => [
+    { panel, kind: "vent", x: 0.25, y: 0.6 },
+    { panel, kind: "vent", x: 0.75, y: 0.6 },
+  ]),
+];
+
+// Board left between a cut-out and a panel edge or another cut-out (mm)
+const CUTOUT_MARGIN_MM = 10;
+const CUTOUT_GAP_MM = 5;
+
+// Outline resolution: segments around a round cut-out, per rounded corner
+const ROUND_SEGMENTS = 48;
+const CORNER_SEGMENTS = 8;
+const RECT_CORNER_MM = 3;
+
+// How a flap's panel coordinates (along the hinge, away from it) lie on
+// the outer face of its closed 3D flap
+const FLAP_FRAMES = {
+  frontFlap: ([x, y]) => [x, y],
+  backFlap: ([x, y]) => [-x, -y],
+  leftFlap: ([x, y]) => [-y, x],
+  rightFlap: ([x, y]) => [y, -x],
+};
+
+// Cut-outs in placement order
+let cutouts = [];
+let nextCutoutId = 1;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * All cut-outs as { id, panel, kind, shape, x, y, width, height }
+ */
+export function getCutouts() {
+  return cutouts.map((cutout) => ({ ...cutout }));
+}
+
+/**
+ * Add a vent or hand-hole (a CUTOUT_PRESETS key) to a panel, in its middle
+ * unless values say otherwise. Returns the new cut-out's id.
+ */
+export function addCutout(panel, kind, values = {}) {
+  const { name, ...preset } = CUTOUT_PRESETS[kind];
+  const cutout = {
+    ...preset,
+    x: 0.5,
+    y: 0.5,
+    ...values,
+    id: nextCutoutId++,
+    panel,
+    kind,
+  };
+  cutouts.push(cutout);
+  return cutout.id;
+}
+
+export function updateCutout(id, values) {
+  const cutout = cutouts.find((item) => item.id === id);
+  if (cutout) Object.assign(cutout, values);
+}
+
+export function removeCutout(id) {
+  cutouts = cutouts.filter((cutout) => cutout.id !== id);
+}
+
+/**
+ * Go back to the default cut-outs
+ */
+export function resetCutouts() {
+  cutouts = [];
+  DEFAULT_CUTOUTS.forEach(({ panel, kind, ...values }) =>
+    addCutout(panel, kind, values)
+  );
+}
+
+/**
+ * Size of each blank panel (mm): width along its hinge, height away from it
+ */
+function getPanelSizes(dims) {
+  const mm = toMillimetres(dims);
+  const { panels } = calculateUnfoldedPanelLayout(
+    mm.length,
+    mm.height,
+    mm.width
+  );
+  return Object.fromEntries(
+    panels.map((panel) => [
+      panel.id,
+      { width: panel.hingeLength, height: panel.foldLength },
+    ])
+  );
+}
+
+/**
+ * Cut-outs placed on the box: each is shrunk and moved to keep a margin of
+ * board to the panel edges, and given its centre in mm from the panel
+ * centre (y up). Cut-outs that would run into an earlier one on the same
+ * panel are left out and listed in rejected.
+ *
+ * Returns { holes, rejected, sizes } with the panel sizes from
+ * getPanelSizes.
+ */
+export function placeCutouts(dims) {
+  const sizes = getPanelSizes(dims);
+  const holes = [];
+  const rejected = [];
+  cutouts.forEach((cutout) => {
+    const panel = sizes[cutout.panel];
+    const room = {
+      width: panel.width - CUTOUT_MARGIN_MM * 2,
+      height: panel.height - CUTOUT_MARGIN_MM * 2,
+    };
+    const width = Math.min(cutout.width, room.width);
+    const height = Math.min(cutout.height, room.height);
+    if (width <= 0 || height <= 0) {
+      rejected.push(cutout);
+      return;
+    }
+    const hole = {
+      id: cutout.id,
+      panel: cutout.panel,
+      shape: cutout.shape,
+      width,
+      height,
+      x: clamp(
+        (cutout.x - 0.5) * panel.width,
+        (width - room.width) / 2,
+        (room.width - width) / 2
+      ),
+      y: clamp(
+        (0.5 - cutout.y) * panel.height,
+        (height - room.height) / 2,
+        (room.height - height) / 2
+      ),
+    };
+    const overlaps = holes.some(
+      (other) =>
+        other.panel === hole.panel &&
+        Math.abs(other.x - hole.x) * 2 <
+          other.width + hole.width + CUTOUT_GAP_MM * 2 &&
+        Math.abs(other.y - hole.y) * 2 <
+          other.height + hole.height + CUTOUT_GAP_MM * 2
+    );
+    if (overlaps) rejected.push(cutout);
+    else holes.push(hole);
+  });
+  return { holes, rejected, sizes };
+}
+
+/**
+ * Points around a rounded rectangle, counter-clockwise
+ */
+function roundedRectOutline(x, y, width, height, radius) {
+  const points = [];
+  const corners = [
+    [width / 2 - radius, height / 2 - radius, 0],
+    [-width / 2 + radius, height / 2 - radius, Math.PI / 2],
+    [-width / 2 + radius, -height / 2 + radius, Math.PI],
+    [width / 2 - radius, -height / 2 + radius, (Math.PI * 3) / 2],
+  ];
+  corners.forEach(([cx, cy, start]) => {
+    for (let i = 0; i <= CORNER_SEGMENTS; i++) {
+      const angle = start + (i / CORNER_SEGMENTS) * (Math.PI / 2);
+      points.push([
+        x + cx + Math.cos(angle) * radius,
+        y + cy + Math.sin(angle) * radius,
+      ]);
+    }
+  });
+  return points;
+}
+
+/**
+ * Outline of a placed cut-out as [x, y] points (mm), counter-clockwise
+ */
+function getCutoutOutline({ shape, x, y, width, height }) {
+  if (shape === "round") {
+    return Array.from({ length: ROUND_SEGMENTS }, (_, i) => {
+      const angle = (i / ROUND_SEGMENTS) * Math.PI * 2;
+      return [
+        x + (Math.cos(angle) * width) / 2,
+        y + (Math.sin(angle) * height) / 2,
+      ];
+    });
+  }
+  const radius =
+    shape === "slot"
+      ? Math.min(width, height) / 2
+      : Math.min(RECT_CORNER_MM, width / 2, height / 2);
+  return roundedRectOutline(x, y, width, height, radius);
+}
+
+/**
+ * Area enclosed by an outline
+ */
+function outlineArea(points) {
+  let twice = 0;
+  points.forEach(([x1, y1], i) => {
+    const [x2, y2] = points[(i + 1) % points.length];
+    twice += x1 * y2 - x2 * y1;
+  });
+  return Math.abs(twice) / 2;
+}
+
+/**
+ * Cut-out outlines by panel id, in mm from each panel's centre as seen on
+ * the printed side of the blank
+ */
+export function getDielineCutouts(dims) {
+  const outlines = {};
+  placeCutouts(dims).holes.forEach((hole) => {
+    (outlines[hole.panel] = outlines[hole.panel] || []).push(
+      getCutoutOutline(hole)
+    );
+  });
+  return outlines;
+}
+
+/**
+ * Cut-out outlines by panel id for the 3D box, in scene units in the
+ * texture frame of the face they are cut through: the body faces and lid
+ * sides for the walls and bottom, the outer face of each closed flap
+ */
+export function getModelCutouts(dims) {
+  const outlines = getDielineCutouts(dims);
+  return Object.fromEntries(
+    Object.keys(CUTOUT_PANELS).map((panel) => {
+      const frame = FLAP_FRAMES[panel] || ((point) => point);
+      return [
+        panel,
+        (outlines[panel] || []).map((outline) =>
+          outline.map((point) =>
+            frame(point).map((value) => value * UNITS_PER_MM)
+          )
+        ),
+      ];
+    })
+  );
+}
+
+/**
+ * Board area and open area (mm²) of every panel, and of the four walls
+ * and the bottom together, which is what the cooling air passes through
+ */
+export function getOpenArea(dims) {
+  const { holes, rejected, sizes } = placeCutouts(dims);
+  const panels = Object.fromEntries(
+    Object.entries(sizes).map(([id, size]) => [
+      id,
+      { area: size.width * size.height, open: 0 },
+    ])
+  );
+  holes.forEach((hole) => {
+    panels[hole.panel].open += outlineArea(getCutoutOutline(hole));
+  });
+
+  const sum = (ids) =>
+    ids.reduce(
+      (total, id) => ({
+        area: total.area + panels[id].area,
+        open: total.open + panels[id].open,
+      }),
+      { area: 0, open: 0 }
+    );
+  return {
+    panels,
+    walls: sum(["front", "back", "left", "right"]),
+    bottom: sum(["bottom"]),
+    rejected,
+  };
+}
+
+resetCutouts();
@@ -0,0 +1,173 @@
+// Import Three.js
+import * as THREE from "three";
+import { calculateUnfoldedPanelLayout } from "./boxGeometry.js";
+import {
+  createPrintedBoardMaterial,
+  createKraftMaterial,
+} from "./cardboardMaterial.js";
+
+// Outward direction of each unfolded panel, as a rotation around Y.
+// The flat blank lies print-side up, mirrored front-to-back, so that folding
+// the panels down and flipping the result over gives the assembled box.
+const PANEL_YAW = {
+  up: Math.PI,
+  down: 0,
+  left: Math.PI / 2,
+  right: -Math.PI / 2,
+};
+
+// Share of the fold progress spent on each step: body panels, flaps, flip
+const SIDE_PHASE = [0, 0.45];
+const FLAP_PHASE = [0.45, 0.7];
+const FLIP_PHASE = [0.7, 1];
+
+/**
+ * Eased progress of one phase of the fold
+ */
+function phaseProgress(progress, [start, end]) {
+  const t = Math.min(1, Math.max(0, (progress - start) / (end - start)));
+  return t * t * (3 - 2 * t);
+}
+
+/**
+ * Get a texture from a cropped texture set using a dotted slot path
+ */
+function getSlotTexture(textureSet, slot) {
+  return slot.split(".").reduce((node, key) => node?.[key], textureSet);
+}
+
+/**
+ * Create the printed and unprinted sides of one flat panel.
+ * The geometry lies in the XZ plane with the printed side facing +Y.
+ */
+function createPanelMeshes(geometry, texture, isMajorFlap) {
+  const size = [geometry.parameters.width, geometry.parameters.height];
+  const printedMaterial = texture
+    ? createPrintedBoardMaterial(texture, size, { side: THREE.FrontSide })
+    : createKraftMaterial(size, { side: THREE.FrontSide });
+  const plainMaterial = createKraftMaterial(size, { side: THREE.BackSide });
+
+  // Long flaps close over the short ones, keep them from z-fighting
+  if (isMajorFlap) {
+    [printedMaterial, plainMaterial].forEach((material) => {
+      material.polygonOffset = true;
+      material.polygonOffsetFactor = -1;
+      material.polygonOffsetUnits = -1;
+    });
+  }
+
+  const printed = new THREE.Mesh(geometry, printedMaterial);
+  const plain = new THREE.Mesh(geometry, plainMaterial);
+  [printed, plain].forEach((mesh) => {
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+  });
+  return [printed, plain];
+}
+
+/**
+ * Build the flat blank (dieline) of the box as a foldable 3D model.
+ * Each panel hangs from a hinge group placed on its crease line, so folding
+ * is a single rotation per panel.
+ *
+ * Returns { group, setProgress(progress), dispose() } where progress 0 is
+ * the flat blank and 1 the assembled box, standing where createBox puts it.
+ */
+export function createDielineModel(dims, textureSet) {
+  const layout = calculateUnfoldedPanelLayout(
+    dims.width,
+    dims.height,
+    dims.depth
+  );
+
+  const group = new THREE.Group();
+  group.name = "dieline";
+
+  // Flip pivot sits at the centre of the assembled box
+  const flipGroup = new THREE.Group();
+  flipGroup.position.y = dims.height / 2;
+  group.add(flipGroup);
+
+  const blank = new THREE.Group();
+  flipGroup.add(blank);
+
+  const hinges = { sides: [], flaps: [] };
+  const nodes = { bottom: blank };
+
+  layout.panels.forEach((panel) => {
+    const texture = textureSet ? getSlotTexture(textureSet, panel.slot) : null;
+
+    if (!panel.parent) {
+      const geometry = new THREE.PlaneGeometry(panel.width, panel.height);
+      geometry.rotateX(-Math.PI / 2);
+      createPanelMeshes(geometry, texture, false).forEach((mesh) =>
+        blank.add(mesh)
+      );
+      return;
+    }
+
+    const parentNode = nodes[panel.parent];
+    const parentPanel = layout.panels.find((p) => p.id === panel.parent);
+
+    // Oriented frame for the panel: local X along the hinge, -Z outward
+    const frame = new THREE.Group();
+    if (parentPanel.parent) {
+      // Flaps continue outward from the far edge of their side panel
+      frame.position.set(0, 0, -parentPanel.foldLength);
+    } else {
+      const hingeX = (panel.hinge.x1 + panel.hinge.x2) / 2;
+      const hingeY = (panel.hinge.y1 + panel.hinge.y2) / 2;
+      frame.position.set(hingeX, 0, -hingeY);
+      frame.rotation.y = PANEL_YAW[panel.direction];
+    }
+    parentNode.add(frame);
+
+    const hinge = new THREE.Group();
+    frame.add(hinge);
+
+    const geometry = new THREE.PlaneGeometry(
+      panel.hingeLength,
+      panel.foldLength
+    );
+    geometry.rotateX(-Math.PI / 2);
+    geometry.translate(0, 0, -panel.foldLength / 2);
+    const isMajorFlap = panel.id === "frontFlap" || panel.id === "backFlap";
+    createPanelMeshes(geometry, texture, isMajorFlap).forEach((mesh) =>
+      hinge.add(mesh)
+    );
+
+    nodes[panel.id] = hinge;
+    (parentPanel.parent ? hinges.flaps : hinges.sides).push(hinge);
+  });
+
+  function setProgress(progress) {
+    const side = phaseProgress(progress, SIDE_PHASE);
+    const flap = phaseProgress(progress, FLAP_PHASE);
+    const flip = phaseProgress(progress, FLIP_PHASE);
+
+    // Panels fold away from the printed side
+    hinges.sides.forEach((hinge) => {
+      hinge.rotation.x = (-side * Math.PI) / 2;
+    });
+    hinges.flaps.forEach((hinge) => {
+      hinge.rotation.x = (-flap * Math.PI) / 2;
+    });
+
+    // Raise the blank while the sides fold down so they clear the ground,
+    // then turn the folded box over onto its bottom
+    const bottomY =
+      0.01 * (1 - side) + dims.height * Math.sin((side * Math.PI) / 2);
+    blank.position.y = bottomY - flipGroup.position.y;
+    flipGroup.rotation.x = flip * Math.PI;
+  }
+
+  function dispose() {
+    group.traverse((child) => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+  }
+
+  setProgress(0);
+  return { group, setProgress, dispose };
+}
@@ -0,0 +1,476 @@
+import { calculateUnfoldedPanelLayout } from "./boxGeometry.js";
+import { toMillimetres } from "./boxDimensions.js";
+
+// Blank space around the dieline (mm)
+const MARGIN_MM = 15;
+
+// Drawing layers, bottom to top. Colours follow the usual dieline
+// convention: red cut, blue dashed crease.
+const LAYERS = [
+  { id: "artwork", label: "Artwork" },
+  { id: "cut", label: "Cut", color: [227, 6, 19] },
+  { id: "crease", label: "Crease", color: [0, 160, 227], dash: [6, 3] },
+  { id: "flaps", label: "Flap outlines", color: [0, 150, 64], dash: [2, 2] },
+  { id: "labels", label: "Labels", color: [0, 0, 0] },
+];
+
+const PANEL_NAMES = {
+  bottom: "BOTTOM",
+  back: "BACK",
+  front: "FRONT",
+  left: "LEFT",
+  right: "RIGHT",
+  backFlap: "BACK FLAP",
+  frontFlap: "FRONT FLAP",
+  leftFlap: "LEFT FLAP",
+  rightFlap: "RIGHT FLAP",
+};
+
+// Clockwise rotation of each panel's artwork in the drawing, by the
+// direction the panel unfolds in; the artwork top always points away
+// from the bottom panel
+const ARTWORK_ROTATION = { down: 0, up: 180, left: -90, right: 90 };
+
+const LINE_WIDTH_MM = 0.25;
+
+/**
+ * Build the dieline drawing for a box, in millimetres at 1:1 scale.
+ * The blank is seen from the printed (outside) side, front panel at the top.
+ * cutouts holds the vent and hand-hole outlines of each panel, as from
+ * getDielineCutouts.
+ *
+ * Returns { width, height, title, panels, cut, holes, crease, flaps, labels }
+ * where cut and crease are line segments { x1, y1, x2, y2 } and holes are
+ * closed outlines of [x, y] points.
+ */
+export function buildDieline(dims, title = "", cutouts = {}) {
+  const mm = toMillimetres(dims);
+  const layout = calculateUnfoldedPanelLayout(mm.length, mm.height, mm.width);
+  const { bounds } = layout;
+
+  // Layout y runs towards the front panel; the drawing is mirrored so the
+  // printed side faces the viewer
+  const toX = (x) => x - bounds.minX + MARGIN_MM;
+  const toY = (y) => bounds.maxY - y + MARGIN_MM;
+
+  const panels = layout.panels.map((panel) => ({
+    id: panel.id,
+    slot: panel.slot,
+    name: PANEL_NAMES[panel.id],
+    x: toX(panel.x),
+    y: toY(panel.y + panel.height),
+    width: panel.width,
+    height: panel.height,
+    isFlap: panel.id.endsWith("Flap"),
+    rotation: ARTWORK_ROTATION[panel.direction] || 0,
+    sizeLabel: `${Math.round(panel.hingeLength)} × ${Math.round(
+      panel.foldLength
+    )} mm`,
+  }));
+
+  // Hinges are creases, every other panel edge is cut
+  const segmentKey = ({ x1, y1, x2, y2 }) =>
+    [
+      [x1, y1],
+      [x2, y2],
+    ]
+      .map(([x, y]) => `${x.toFixed(3)},${y.toFixed(3)}`)
+      .sort()
+      .join("|");
+
+  const crease = layout.panels
+    .filter((panel) => panel.hinge)
+    .map(({ hinge }) => ({
+      x1: toX(hinge.x1),
+      y1: toY(hinge.y1),
+      x2: toX(hinge.x2),
+      y2: toY(hinge.y2),
+    }));
+  const creaseKeys = new Set(crease.map(segmentKey));
+
+  const cut = [];
+  const cutKeys = new Set();
+  panels.forEach(({ x, y, width, height }) => {
+    [
+      { x1: x, y1: y, x2: x + width, y2: y },
+      { x1: x + width, y1: y, x2: x + width, y2: y + height },
+      { x1: x, y1: y + height, x2: x + width, y2: y + height },
+      { x1: x, y1: y, x2: x, y2: y + height },
+    ].forEach((segment) => {
+      const key = segmentKey(segment);
+      if (!creaseKeys.has(key) && !cutKeys.has(key)) {
+        cutKeys.add(key);
+        cut.push(segment);
+      }
+    });
+  });
+
+  // Cut-outs are drawn in the panel's artwork frame (y up), turned with it
+  const holes = panels.flatMap((panel) => {
+    const angle = (panel.rotation * Math.PI) / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const cx = panel.x + panel.width / 2;
+    const cy = panel.y + panel.height / 2;
+    return (cutouts[panel.id] || []).map((outline) =>
+      outline.map(([x, y]) => [cx + x * cos + y * sin, cy + x * sin - y * cos])
+    );
+  });
+
+  const flaps = panels.filter((panel) => panel.isFlap);
+
+  const labels = panels.map((panel) => {
+    const size = Math.min(
+      14,
+      Math.max(4, Math.min(panel.width, panel.height) * 0.1)
+    );
+    return {
+      x: panel.x + panel.width / 2,
+      y: panel.y + panel.height / 2,
+      size,
+      lines: [panel.name, panel.sizeLabel],
+    };
+  });
+  labels.push({
+    x: MARGIN_MM,
+    y: MARGIN_MM / 2,
+    size: 4,
+    align: "start",
+    lines: [
+      `${title} ${mm.length} × ${mm.width} × ${mm.height} mm, scale 1:1`.trim(),
+    ],
+  });
+
+  return {
+    width: bounds.maxX - bounds.minX + MARGIN_MM * 2,
+    height: bounds.maxY - bounds.minY + MARGIN_MM * 2,
+    title,
+    panels,
+    cut,
+    holes,
+    crease,
+    flaps,
+    labels,
+  };
+}
+
+/**
+ * Read a texture's image into a JPEG for embedding as dieline artwork
+ */
+function textureToArtwork(texture) {
+  const image = texture?.image;
+  if (!image || !image.width || !image.height) return null;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = image.width;
+  canvas.height = image.height;
+  const ctx = canvas.getContext("2d");
+  // JPEG has no alpha, so flatten onto white
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(image, 0, 0);
+
+  return {
+    dataUrl: canvas.toDataURL("image/jpeg", 0.9),
+    width: canvas.width,
+    height: canvas.height,
+  };
+}
+
+/**
+ * Collect the artwork for each dieline panel from a cropped texture set
+ */
+export function collectDielineArtwork(drawing, textureSet) {
+  const artwork = {};
+  drawing.panels.forEach((panel) => {
+    const texture = panel.slot
+      .split(".")
+      .reduce((node, key) => node?.[key], textureSet);
+    const image = textureToArtwork(texture);
+    if (image) artwork[panel.id] = image;
+  });
+  return artwork;
+}
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const rgb = ([r, g, b]) => `rgb(${r}, ${g}, ${b})`;
+
+/**
+ * Serialise a dieline drawing as an SVG document (1 user unit = 1 mm).
+ * Each layer is an Inkscape/Illustrator-compatible layer group.
+ */
+export function createDielineSvg(drawing, artwork = null) {
+  const layer = ({ id, label }, content) =>
+    `  <g id="${id}" inkscape:groupmode="layer" inkscape:label="${label}">\n` +
+    content.join("\n") +
+    "\n  </g>";
+  const stroke = ({ color, dash }) =>
+    `fill="none" stroke="${rgb(color)}" stroke-width="${LINE_WIDTH_MM}"` +
+    (dash ? ` stroke-dasharray="${dash.join(" ")}"` : "");
+  const line = (s) =>
+    `    <line x1="${s.x1}" y1="${s.y1}" x2="${s.x2}" y2="${s.y2}" />`;
+
+  const content = {
+    artwork: artwork
+      ? drawing.panels
+          .filter((panel) => artwork[panel.id])
+          .map((panel) => {
+            const quarterTurn = Math.abs(panel.rotation) === 90;
+            const w = quarterTurn ? panel.height : panel.width;
+            const h = quarterTurn ? panel.width : panel.height;
+            const cx = panel.x + panel.width / 2;
+            const cy = panel.y + panel.height / 2;
+            return (
+              `    <image href="${artwork[panel.id].dataUrl}" ` +
+              `x="${-w / 2}" y="${-h / 2}" width="${w}" height="${h}" ` +
+              `preserveAspectRatio="none" ` +
+              `transform="translate(${cx} ${cy}) rotate(${panel.rotation})" />`
+            );
+          })
+      : [],
+    cut: [
+      ...drawing.cut.map(line),
+      ...drawing.holes.map(
+        (points) =>
+          `    <polygon points="${points
+            .map(([x, y]) => `${x},${y}`)
+            .join(" ")}" />`
+      ),
+    ],
+    crease: drawing.crease.map(line),
+    flaps: drawing.flaps.map(
+      (panel) =>
+        `    <rect x="${panel.x}" y="${panel.y}" width="${panel.width}" height="${panel.height}" />`
+    ),
+    labels: drawing.labels.map((label) =>
+      label.lines
+        .map((text, index) => {
+          const dy = (index - (label.lines.length - 1) / 2) * label.size * 1.3;
+          return (
+            `    <text x="${label.x}" y="${label.y + dy}" ` +
+            `font-size="${index === 0 ? label.size : label.size * 0.7}" ` +
+            `text-anchor="${label.align || "middle"}" ` +
+            `dominant-baseline="middle">${escapeXml(text)}</text>`
+          );
+        })
+        .join("\n")
+    ),
+  };
+
+  const groups = LAYERS.map((def) => {
+    const body = layer(def, content[def.id]);
+    if (def.id === "labels") {
+      return body.replace(
+        "<g ",
+        `<g fill="${rgb(
+          def.color
+        )}" font-family="Helvetica, Arial, sans-serif" `
+      );
+    }
+    return def.color ? body.replace("<g ", `<g ${stroke(def)} `) : body;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" ` +
+      `xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" ` +
+      `width="${drawing.width}mm" height="${drawing.height}mm" ` +
+      `viewBox="0 0 ${drawing.width} ${drawing.height}">`,
+    `  <title>${escapeXml(drawing.title)} dieline</title>`,
+    ...groups,
+    "</svg>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Decode the base64 payload of a data URL
+ */
+function dataUrlToBytes(dataUrl) {
+  const binary = atob(dataUrl.slice(dataUrl.indexOf(",") + 1));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Serialise a dieline drawing as a single-page PDF at 1:1 scale.
+ * Layers become optional content groups so they can be toggled in
+ * Acrobat and most prepress tools; artwork is embedded as JPEG.
+ */
+export function createDielinePdf(drawing, artwork = null) {
+  const pt = (mm) => (mm * 72) / 25.4;
+  const n = (value) => Number(value.toFixed(3)).toString();
+  const X = (mm) => n(pt(mm));
+  const Y = (mm) => n(pt(drawing.height - mm));
+  // Standard PDF fonts only cover Latin-1, keep labels to plain ASCII
+  const pdfText = (text) =>
+    String(text)
+      .replace(/×/g, "x")
+      .replace(/[^\x20-\x7e]/g, "?")
+      .replace(/([\\()])/g, "\\$1");
+
+  const images = artwork
+    ? drawing.panels
+        .filter((panel) => artwork[panel.id])
+        .map((panel, index) => ({
+          name: `Im${index + 1}`,
+          panel,
+          ...artwork[panel.id],
+        }))
+    : [];
+
+  // Object numbers: 1 catalog, 2 pages, 3 page, 4 content, 5 font,
+  // then one per layer and one per image
+  const layerObject = (index) => 6 + index;
+  const imageObject = (index) => 6 + LAYERS.length + index;
+
+  const ops = [];
+  LAYERS.forEach((def, layerIndex) => {
+    ops.push(`/OC /L${layerIndex} BDC`, "q");
+    if (def.color) {
+      const [r, g, b] = def.color.map((c) => n(c / 255));
+      ops.push(`${r} ${g} ${b} RG`, `${r} ${g} ${b} rg`);
+    }
+    ops.push(`${n(pt(LINE_WIDTH_MM))} w`);
+    ops.push(
+      def.dash ? `[${def.dash.map((d) => n(pt(d))).join(" ")}] 0 d` : "[] 0 d"
+    );
+
+    if (def.id === "artwork") {
+      images.forEach(({ name, panel }) => {
+        const quarterTurn = Math.abs(panel.rotation) === 90;
+        const w = pt(quarterTurn ? panel.height : panel.width);
+        const h = pt(quarterTurn ? panel.width : panel.height);
+        // PDF rotates counter-clockwise with y up
+        const angle = (-panel.rotation * Math.PI) / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const cx = pt(panel.x + panel.width / 2);
+        const cy = pt(drawing.height - panel.y - panel.height / 2);
+        const e = cx - (w / 2) * cos + (h / 2) * sin;
+        const f = cy - (w / 2) * sin - (h / 2) * cos;
+        ops.push(
+          "q",
+          [w * cos, w * sin, -h * sin, h * cos, e, f].map(n).join(" ") + " cm",
+          `/${name} Do`,
+          "Q"
+        );
+      });
+    }
+    if (def.id === "cut" || def.id === "crease") {
+      drawing[def.id].forEach((s) => {
+        ops.push(`${X(s.x1)} ${Y(s.y1)} m ${X(s.x2)} ${Y(s.y2)} l S`);
+      });
+    }
+    if (def.id === "cut") {
+      drawing.holes.forEach((points) => {
+        ops.push(
+          points
+            .map(([x, y], i) => `${X(x)} ${Y(y)} ${i ? "l" : "m"}`)
+            .join(" ") + " h S"
+        );
+      });
+    }
+    if (def.id === "flaps") {
+      drawing.flaps.forEach((panel) => {
+        ops.push(
+          `${X(panel.x)} ${Y(panel.y + panel.height)} ` +
+            `${n(pt(panel.width))} ${n(pt(panel.height))} re S`
+        );
+      });
+    }
+    if (def.id === "labels") {
+      drawing.labels.forEach((label) => {
+        label.lines.forEach((text, index) => {
+          const size = index === 0 ? label.size : label.size * 0.7;
+          const dy = (index - (label.lines.length - 1) / 2) * label.size * 1.3;
+          // Helvetica averages roughly half an em per character
+          const width = label.align === "start" ? 0 : text.length * size * 0.5;
+          ops.push(
+            "BT",
+            `/F1 ${n(pt(size))} Tf`,
+            `${X(label.x - width / 2)} ${Y(label.y + dy + size * 0.35)} Td`,
+            `(${pdfText(text)}) Tj`,
+            "ET"
+          );
+        });
+      });
+    }
+    ops.push("Q", "EMC");
+  });
+  const contentStream = ops.join("\n");
+
+  const layerRefs = LAYERS.map((_, i) => `${layerObject(i)} 0 R`).join(" ");
+  const objects = [
+    `<< /Type /Catalog /Pages 2 0 R /OCProperties << /OCGs [${layerRefs}] ` +
+      `/D << /Order [${layerRefs}] /ON [${layerRefs}] >> >> >>`,
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    `<< /Type /Page /Parent 2 0 R ` +
+      `/MediaBox [0 0 ${n(pt(drawing.width))} ${n(pt(drawing.height))}] ` +
+      `/Contents 4 0 R /Resources << /Font << /F1 5 0 R >> ` +
+      `/Properties << ${LAYERS.map(
+        (_, i) => `/L${i} ${layerObject(i)} 0 R`
+      ).join(" ")} >> ` +
+      `/XObject << ${images
+        .map((image, i) => `/${image.name} ${imageObject(i)} 0 R`)
+        .join(" ")} >> >> >>`,
+    [
+      `<< /Length ${contentStream.length} >>\nstream\n`,
+      contentStream,
+      "\nendstream",
+    ],
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    ...LAYERS.map((def) => `<< /Type /OCG /Name (${def.label}) >>`),
+    ...images.map((image) => {
+      const bytes = dataUrlToBytes(image.dataUrl);
+      return [
+        `<< /Type /XObject /Subtype /Image /Width ${image.width} ` +
+          `/Height ${image.height} /ColorSpace /DeviceRGB ` +
+          `/BitsPerComponent 8 /Filter /DCTDecode /Length ${bytes.length} >>\nstream\n`,
+        bytes,
+        "\nendstream",
+      ];
+    }),
+  ];
+
+  // Assemble the file, tracking byte offsets for the cross-reference table
+  const encoder = new TextEncoder();
+  const chunks = [];
+  let length = 0;
+  const write = (part) => {
+    const bytes = typeof part === "string" ? encoder.encode(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+
+  write("%PDF-1.5\n");
+  write(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]));
+  const offsets = objects.map((object, index) => {
+    const offset = length;
+    write(`${index + 1} 0 obj\n`);
+    [].concat(object).forEach(write);
+    write("\nendobj\n");
+    return offset;
+  });
+
+  const xrefOffset = length;
+  write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+  offsets.forEach((offset) => {
+    write(`${String(offset).padStart(10, "0")} 00000 n \n`);
+  });
+  write(
+    `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\n` +
+      `startxref\n${xrefOffset}\n%%EOF\n`
+  );
+
+  return new Blob(chunks, { type: "application/pdf" });
+}
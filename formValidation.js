@@ -0,0 +1,213 @@
+import { CUSTOM_DIMENSION_LIMITS } from "./boxDimensions.js";
+
+// Minimum order quantity (boxes) per box type. Custom sizes need their own
+// cutting die, so they only pay off on larger runs.
+export const MINIMUM_ORDER_QUANTITY = {
+  "22XU": 1000,
+  208: 1000,
+  custom: 5000,
+};
+
+// Request form inputs holding a custom size, keyed like CUSTOM_DIMENSION_LIMITS
+export const REQUEST_DIMENSION_FIELDS = {
+  length: "requestLength",
+  width: "requestWidth",
+  height: "requestHeight",
+  lidHeight: "requestLidHeight",
+};
+
+// Largest logo file accepted with a request (bytes)
+const MAX_LOGO_BYTES = 8 * 1024 * 1024;
+const LOGO_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/svg+xml",
+  "application/pdf",
+];
+
+// Calling codes of the countries we ship to and buy from, with the length
+// range of their national numbers and the trunk prefix dialled before them
+// nationally (the 0 in "020 7946 0958"), which is dropped when normalising.
+// Numbers from other countries are accepted in international format.
+export const PHONE_COUNTRIES = {
+  EC: { name: "Ecuador", dial: "593", min: 8, max: 9, trunk: "0" },
+  CO: { name: "Colombia", dial: "57", min: 10, max: 10, trunk: "" },
+  CR: { name: "Costa Rica", dial: "506", min: 8, max: 8, trunk: "" },
+  GT: { name: "Guatemala", dial: "502", min: 8, max: 8, trunk: "" },
+  PA: { name: "Panama", dial: "507", min: 7, max: 8, trunk: "" },
+  PH: { name: "Philippines", dial: "63", min: 9, max: 10, trunk: "0" },
+  US: {
+    name: "United States / Canada",
+    dial: "1",
+    min: 10,
+    max: 10,
+    trunk: "",
+  },
+  MX: { name: "Mexico", dial: "52", min: 10, max: 10, trunk: "" },
+  GB: { name: "United Kingdom", dial: "44", min: 9, max: 10, trunk: "0" },
+  DE: { name: "Germany", dial: "49", min: 6, max: 13, trunk: "0" },
+  NL: { name: "Netherlands", dial: "31", min: 9, max: 9, trunk: "0" },
+  BE: { name: "Belgium", dial: "32", min: 8, max: 9, trunk: "0" },
+  FR: { name: "France", dial: "33", min: 9, max: 9, trunk: "0" },
+  ES: { name: "Spain", dial: "34", min: 9, max: 9, trunk: "" },
+  IT: { name: "Italy", dial: "39", min: 6, max: 11, trunk: "" },
+  PL: { name: "Poland", dial: "48", min: 9, max: 9, trunk: "" },
+  RU: { name: "Russia", dial: "7", min: 10, max: 10, trunk: "8" },
+  TR: { name: "Türkiye", dial: "90", min: 10, max: 10, trunk: "0" },
+  AE: { name: "United Arab Emirates", dial: "971", min: 8, max: 9, trunk: "0" },
+  SA: { name: "Saudi Arabia", dial: "966", min: 9, max: 9, trunk: "0" },
+  CN: { name: "China", dial: "86", min: 10, max: 11, trunk: "0" },
+  JP: { name: "Japan", dial: "81", min: 9, max: 10, trunk: "0" },
+  KR: { name: "South Korea", dial: "82", min: 8, max: 10, trunk: "0" },
+};
+
+const EMAIL_PATTERN =
+  /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*@([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/i;
+
+/**
+ * Error message for an email address, or null when it looks deliverable
+ */
+function validateEmail(value) {
+  const email = value.trim();
+  if (!email) return "Email address is required";
+  if (email.length > 254 || !EMAIL_PATTERN.test(email)) {
+    return "Enter a valid email address, e.g. name@company.com";
+  }
+  return null;
+}
+
+/**
+ * Parse a phone number typed in national or international format.
+ * "+" or "00" starts an international number; anything else is read as a
+ * national number of the selected country. Spaces, dots, dashes and
+ * brackets are ignored.
+ *
+ * Returns { e164 } with the normalised number (e.g. "+59342345678"),
+ * or { error } explaining what is wrong.
+ */
+function parsePhoneNumber(value, countryCode) {
+  const raw = value.trim();
+  if (!raw) return { error: "Phone number is required" };
+  if (/[^\d\s().+-]/.test(raw) || raw.lastIndexOf("+") > 0) {
+    return { error: "Use digits only, optionally starting with +" };
+  }
+
+  let digits = raw.replace(/\D/g, "");
+  const international = raw.startsWith("+") || digits.startsWith("00");
+  if (!raw.startsWith("+") && digits.startsWith("00")) {
+    digits = digits.slice(2);
+  }
+
+  let country;
+  let national;
+  if (international) {
+    // Calling codes are prefix-free, so at most one can match
+    country = Object.values(PHONE_COUNTRIES).find((c) =>
+      digits.startsWith(c.dial)
+    );
+    national = country ? digits.slice(country.dial.length) : null;
+  } else {
+    country = PHONE_COUNTRIES[countryCode];
+    if (!country) {
+      return { error: "Choose a country or enter the number with +" };
+    }
+    national =
+      country.trunk && digits.startsWith(country.trunk)
+        ? digits.slice(country.trunk.length)
+        : digits;
+  }
+
+  if (country) {
+    if (national.length < country.min || national.length > country.max) {
+      return {
+        error: `${country.name} numbers have ${
+          country.min === country.max
+            ? country.min
+            : `${country.min}–${country.max}`
+        } digits after +${country.dial}`,
+      };
+    }
+    return { e164: `+${country.dial}${national}` };
+  }
+
+  // Other countries: only the E.164 length limits can be checked
+  if (digits.length < 8 || digits.length > 15) {
+    return { error: "International numbers have 8–15 digits after the +" };
+  }
+  return { e164: `+${digits}` };
+}
+
+/**
+ * Check the request form values.
+ * Returns { errors, phone } where errors maps field ids to messages (empty
+ * when the form can be sent) and phone is the normalised E.164 number.
+ */
+export function validateRequestForm(values) {
+  const errors = {};
+
+  if (!values.fullName.trim()) {
+    errors.fullName = "Full name is required";
+  }
+
+  const emailError = validateEmail(values.email);
+  if (emailError) errors.email = emailError;
+
+  const phone = parsePhoneNumber(values.phone, values.phoneCountry);
+  if (phone.error) errors.phone = phone.error;
+
+  if (!values.boxType) {
+    errors.boxTypeForm = "Choose a box type";
+  }
+  if (!values.brand) {
+    errors.brandForm = "Choose a brand";
+  }
+
+  // Quantity is optional, but when given it has to meet the minimum run
+  if (values.quantity !== "") {
+    const quantity = Number(values.quantity);
+    const minimum = MINIMUM_ORDER_QUANTITY[values.boxType] || 1;
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.quantity = "Enter a whole number of boxes";
+    } else if (quantity < minimum) {
+      errors.quantity = `The minimum order for ${
+        values.boxType === "custom" ? "custom size" : values.boxType
+      } boxes is ${minimum.toLocaleString("en")}`;
+    }
+  }
+
+  if (values.boxType === "custom") {
+    Object.entries(values.customDimensions).forEach(([key, value]) => {
+      const { min, max } = CUSTOM_DIMENSION_LIMITS[key];
+      const number = Number(value);
+      const field = REQUEST_DIMENSION_FIELDS[key];
+      if (value === "" || !Number.isFinite(number)) {
+        errors[field] = "Required for custom boxes";
+      } else if (number < min || number > max) {
+        errors[field] = `Between ${min} and ${max} mm`;
+      }
+    });
+    const { height, lidHeight } = values.customDimensions;
+    if (Number(lidHeight) > Number(height)) {
+      errors[REQUEST_DIMENSION_FIELDS.lidHeight] =
+        "The lid cannot be taller than the box";
+    }
+  }
+
+  if (values.brand === "custom") {
+    if (!values.customBrandName.trim()) {
+      errors.customBrandName = "Tell us the brand name to print";
+    }
+    const logo = values.logoFile;
+    if (!logo) {
+      errors.logoUpload = "Upload your logo (PNG, JPG, SVG or PDF)";
+    } else if (!LOGO_TYPES.includes(logo.type)) {
+      errors.logoUpload = "The logo must be a PNG, JPG, SVG or PDF file";
+    } else if (logo.size > MAX_LOGO_BYTES) {
+      errors.logoUpload = `The logo must be smaller than ${
+        MAX_LOGO_BYTES / 1024 / 1024
+      } MB`;
+    }
+  }
+
+  return { errors, phone: phone.e164 || null };
+}
@@ -0,0 +1,103 @@
+// Import Three.js
+import * as THREE from "three";
+
+// Output sizes offered for image downloads (pixels)
+export const IMAGE_RESOLUTIONS = {
+  hd: { width: 1920, height: 1080 },
+  qhd: { width: 2560, height: 1440 },
+  "4k": { width: 3840, height: 2160 },
+  square: { width: 2048, height: 2048 },
+};
+
+// Background options for image downloads
+const IMAGE_BACKGROUNDS = {
+  transparent: null,
+  white: 0xffffff,
+};
+
+/**
+ * Create a renderer that draws the scene to its own canvas, never attached
+ * to the page, so exports can use any size without touching the live view.
+ * Render settings are copied from the live renderer so shots match it.
+ *
+ * Returns { render(scene, camera, options) → Promise<Blob>, dispose() }.
+ */
+export function createSnapshotRenderer(sourceRenderer) {
+  const canvas = document.createElement("canvas");
+  const renderer = new THREE.WebGLRenderer({
+    canvas,
+    antialias: true,
+    alpha: true,
+    preserveDrawingBuffer: true,
+  });
+  renderer.setPixelRatio(1);
+  renderer.outputColorSpace = sourceRenderer.outputColorSpace;
+  renderer.toneMapping = sourceRenderer.toneMapping;
+  renderer.toneMappingExposure = sourceRenderer.toneMappingExposure;
+  renderer.shadowMap.enabled = sourceRenderer.shadowMap.enabled;
+  renderer.shadowMap.type = sourceRenderer.shadowMap.type;
+
+  const maxSize = renderer.capabilities.maxTextureSize;
+
+  /**
+   * Render one PNG of the scene as seen from the camera.
+   * Objects with userData.excludeFromSnapshot (helpers such as the grid)
+   * are hidden for the shot. Background is "transparent" or "white".
+   */
+  function render(scene, camera, { width, height, background = "white" }) {
+    // Stay inside what the GPU can draw, keeping the aspect ratio
+    const scale = Math.min(1, maxSize / Math.max(width, height));
+    const outputWidth = Math.floor(width * scale);
+    const outputHeight = Math.floor(height * scale);
+    renderer.setSize(outputWidth, outputHeight, false);
+
+    // Same viewpoint as the live camera, reframed for the output aspect
+    const shotCamera = camera.clone();
+    shotCamera.aspect = outputWidth / outputHeight;
+    shotCamera.updateProjectionMatrix();
+
+    const hidden = [];
+    scene.traverse((object) => {
+      if (object.userData.excludeFromSnapshot && object.visible) {
+        object.visible = false;
+        hidden.push(object);
+      }
+    });
+
+    const sceneBackground = scene.background;
+    const backgroundColor = IMAGE_BACKGROUNDS[background] ?? null;
+    scene.background = null;
+    if (backgroundColor === null) {
+      renderer.setClearColor(0x000000, 0);
+    } else {
+      renderer.setClearColor(backgroundColor, 1);
+    }
+
+    try {
+      renderer.render(scene, shotCamera);
+    } finally {
+      // Put the live scene back before its next frame
+      scene.background = sceneBackground;
+      hidden.forEach((object) => {
+        object.visible = true;
+      });
+    }
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob((blob) => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error("Could not encode the render as PNG"));
+        }
+      }, "image/png");
+    });
+  }
+
+  function dispose() {
+    renderer.dispose();
+    renderer.forceContextLoss();
+  }
+
+  return { render, dispose };
+}
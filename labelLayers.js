@@ -0,0 +1,339 @@
+// Import Three.js
+import * as THREE from "three";
+import { TEXTURE_SLOTS, configureCroppedTexture } from "./textureLoader.js";
+
+// Format marker and version of saved label designs
+const DESIGN_FORMAT = "banana-box-labels";
+const DESIGN_VERSION = 1;
+
+// Layer kinds the editor can place on a panel
+const LAYER_TYPES = ["text", "image", "rect", "ellipse"];
+
+// Fonts offered for text layers, by the name stored in designs
+export const LABEL_FONTS = {
+  Sans: "Inter, Arial, sans-serif",
+  Serif: "Georgia, 'Times New Roman', serif",
+  Condensed: "'Arial Narrow', Arial, sans-serif",
+  Script: "'Brush Script MT', 'Segoe Script', cursive",
+};
+
+// Starting values of a new layer. Positions are the layer centre as a
+// fraction of the panel, size is the layer height as a fraction of the
+// panel height, and aspect is the width/height ratio of shapes.
+const LAYER_DEFAULTS = {
+  text: {
+    text: "Your farm name",
+    font: "Sans",
+    bold: true,
+    color: "#ffffff",
+    size: 0.12,
+  },
+  image: { src: "", size: 0.3 },
+  rect: { color: "#ffffff", size: 0.2, aspect: 3 },
+  ellipse: { color: "#ffffff", size: 0.25, aspect: 1 },
+};
+const COMMON_DEFAULTS = { x: 0.5, y: 0.5, rotation: 0, opacity: 1 };
+
+// Longest side of a composited panel canvas (pixels)
+const MAX_CANVAS_SIZE = 2048;
+
+// Unprinted board, drawn under labels on panels without artwork
+const BOARD_COLOR = "#d8c3a5";
+
+// Layers by slot, bottom layer first
+let design = {};
+let nextLayerId = 1;
+
+// Composited panels by slot: { canvas, texture, base, baseVersion, dirty }
+const composites = {};
+
+// Decoded logo images by source URL
+const images = new Map();
+
+function getSlot(source, slot) {
+  return slot.split(".").reduce((node, key) => node?.[key], source);
+}
+
+function setSlot(target, slot, value) {
+  const keys = slot.split(".");
+  const last = keys.pop();
+  let node = target;
+  keys.forEach((key) => {
+    node[key] = { ...node[key] };
+    node = node[key];
+  });
+  node[last] = value;
+}
+
+function markDirty(slot) {
+  if (composites[slot]) composites[slot].dirty = true;
+}
+
+/**
+ * Dispose a slot's composited panel when its layers are removed or replaced
+ */
+function releaseComposite(slot) {
+  composites[slot]?.texture.dispose();
+  delete composites[slot];
+}
+
+/**
+ * Decoded image for a logo layer, or null while it is still loading.
+ * Panels using it are repainted once it has loaded.
+ */
+function getLayerImage(src) {
+  if (images.has(src)) {
+    const image = images.get(src);
+    return image.complete && image.naturalWidth ? image : null;
+  }
+  const image = new Image();
+  image.onload = () => {
+    Object.entries(design).forEach(([slot, layers]) => {
+      if (layers.some((layer) => layer.src === src)) {
+        markDirty(slot);
+        paintComposite(slot);
+      }
+    });
+  };
+  image.onerror = () => console.warn("Could not decode a label image");
+  image.src = src;
+  images.set(src, image);
+  return null;
+}
+
+/**
+ * Draw one layer centred on its position
+ */
+function drawLayer(ctx, layer, width, height) {
+  const layerHeight = layer.size * height;
+  ctx.save();
+  ctx.globalAlpha = layer.opacity;
+  ctx.translate(layer.x * width, layer.y * height);
+  ctx.rotate(THREE.MathUtils.degToRad(layer.rotation));
+  ctx.fillStyle = layer.color;
+
+  if (layer.type === "text") {
+    // Size is the height of the whole block, shared between its lines
+    const lines = layer.text.split("\n");
+    const fontSize = layerHeight / lines.length;
+    ctx.font = `${layer.bold ? "bold " : ""}${fontSize}px ${
+      LABEL_FONTS[layer.font] || LABEL_FONTS.Sans
+    }`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    lines.forEach((line, i) => {
+      ctx.fillText(line, 0, (i - (lines.length - 1) / 2) * fontSize);
+    });
+  } else if (layer.type === "image") {
+    const image = layer.src && getLayerImage(layer.src);
+    if (image) {
+      const layerWidth =
+        (layerHeight * image.naturalWidth) / image.naturalHeight;
+      ctx.drawImage(
+        image,
+        -layerWidth / 2,
+        -layerHeight / 2,
+        layerWidth,
+        layerHeight
+      );
+    }
+  } else {
+    const layerWidth = layerHeight * layer.aspect;
+    ctx.beginPath();
+    if (layer.type === "ellipse") {
+      ctx.ellipse(0, 0, layerWidth / 2, layerHeight / 2, 0, 0, Math.PI * 2);
+    } else {
+      ctx.rect(-layerWidth / 2, -layerHeight / 2, layerWidth, layerHeight);
+    }
+    ctx.fill();
+  }
+  ctx.restore();
+}
+
+/**
+ * Repaint a panel from its base artwork and layers if anything changed
+ */
+function paintComposite(slot) {
+  const composite = composites[slot];
+  if (!composite) return;
+  const { canvas, base } = composite;
+  if (!composite.dirty && composite.baseVersion === base.version) return;
+
+  const ctx = canvas.getContext("2d");
+  const { width, height } = canvas;
+  ctx.clearRect(0, 0, width, height);
+  if (base.userData.blank || !base.image) {
+    ctx.fillStyle = BOARD_COLOR;
+    ctx.fillRect(0, 0, width, height);
+  } else {
+    ctx.drawImage(base.image, 0, 0, width, height);
+  }
+  (design[slot] || []).forEach((layer) => drawLayer(ctx, layer, width, height));
+
+  composite.dirty = false;
+  composite.baseVersion = base.version;
+  // Keep the base's print-check data (resolution, resampling) on the label
+  composite.texture.userData = { ...base.userData, blank: false };
+  composite.texture.needsUpdate = true;
+}
+
+/**
+ * Composited panel for a slot on top of a base texture, reusing the
+ * previous canvas while the base stays the same
+ */
+function getComposite(slot, base) {
+  const existing = composites[slot];
+  if (existing && existing.base === base) return existing;
+  existing?.texture.dispose();
+
+  const image = base.image;
+  const baseWidth = image?.naturalWidth || image?.width || 1024;
+  const baseHeight = image?.naturalHeight || image?.height || 1024;
+  const scale = Math.min(1, MAX_CANVAS_SIZE / Math.max(baseWidth, baseHeight));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(baseWidth * scale));
+  canvas.height = Math.max(1, Math.round(baseHeight * scale));
+
+  const texture = configureCroppedTexture(new THREE.CanvasTexture(canvas));
+  composites[slot] = { canvas, texture, base, baseVersion: -1, dirty: true };
+  return composites[slot];
+}
+
+/**
+ * Texture set with label layers composited onto the panels that have them.
+ * Other slots keep the base texture, so the result can replace the set in
+ * createBox unchanged.
+ */
+export function applyLabelLayers(textureSet) {
+  if (!textureSet) return textureSet;
+  let result = textureSet;
+  TEXTURE_SLOTS.forEach((slot) => {
+    const base = getSlot(textureSet, slot);
+    if (!base || !design[slot]?.length) return;
+    getComposite(slot, base);
+    paintComposite(slot);
+    if (result === textureSet) result = { ...textureSet };
+    setSlot(result, slot, composites[slot].texture);
+  });
+  return result;
+}
+
+/**
+ * Copy of a slot's layers, bottom layer first
+ */
+export function getLayers(slot) {
+  return (design[slot] || []).map((layer) => ({ ...layer }));
+}
+
+/**
+ * Add a layer on top of a slot's others; returns its id
+ */
+export function addLayer(slot, type, values = {}) {
+  const layer = {
+    ...COMMON_DEFAULTS,
+    ...LAYER_DEFAULTS[type],
+    ...values,
+    type,
+    id: nextLayerId++,
+  };
+  design[slot] = [...(design[slot] || []), layer];
+  markDirty(slot);
+  return layer.id;
+}
+
+/**
+ * Change any of a layer's values
+ */
+export function updateLayer(slot, id, changes) {
+  design[slot] = (design[slot] || []).map((layer) =>
+    layer.id === id ? { ...layer, ...changes, id, type: layer.type } : layer
+  );
+  markDirty(slot);
+}
+
+export function removeLayer(slot, id) {
+  design[slot] = (design[slot] || []).filter((layer) => layer.id !== id);
+  if (design[slot].length) {
+    markDirty(slot);
+  } else {
+    releaseComposite(slot);
+  }
+}
+
+/**
+ * Move a layer up (+1, towards the front) or down (-1) the stack
+ */
+export function moveLayer(slot, id, direction) {
+  const layers = [...(design[slot] || [])];
+  const index = layers.findIndex((layer) => layer.id === id);
+  const target = index + direction;
+  if (index < 0 || target < 0 || target >= layers.length) return;
+  [layers[index], layers[target]] = [layers[target], layers[index]];
+  design[slot] = layers;
+  markDirty(slot);
+}
+
+/**
+ * The whole design as JSON, logo images included as data URLs
+ */
+export function serializeLabelDesign() {
+  const slots = {};
+  Object.entries(design).forEach(([slot, layers]) => {
+    // Ids are session-local; the stacking order is the array order
+    if (layers.length) slots[slot] = layers.map(({ id, ...layer }) => layer);
+  });
+  return JSON.stringify(
+    { format: DESIGN_FORMAT, version: DESIGN_VERSION, slots },
+    null,
+    2
+  );
+}
+
+/**
+ * Bring a layer from a saved design back to a known shape, or null when it
+ * cannot be used
+ */
+function readLayer(value) {
+  if (!value || !LAYER_TYPES.includes(value.type)) return null;
+  const defaults = { ...COMMON_DEFAULTS, ...LAYER_DEFAULTS[value.type] };
+  const layer = { type: value.type };
+  Object.entries(defaults).forEach(([key, fallback]) => {
+    layer[key] = typeof value[key] === typeof fallback ? value[key] : fallback;
+  });
+  if (layer.type === "image" && !/^data:image\//.test(layer.src)) return null;
+  return layer;
+}
+
+/**
+ * Replace the design with one saved by serializeLabelDesign.
+ * Throws when the text is not a label design; unknown slots and layers
+ * are skipped.
+ */
+export function loadLabelDesign(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("The file is not a label design (invalid JSON)");
+  }
+  if (
+    data?.format !== DESIGN_FORMAT ||
+    !data.slots ||
+    typeof data.slots !== "object"
+  ) {
+    throw new Error("The file is not a label design");
+  }
+  if (data.version > DESIGN_VERSION) {
+    throw new Error("The design was saved by a newer version of the editor");
+  }
+
+  design = {};
+  TEXTURE_SLOTS.forEach(releaseComposite);
+  TEXTURE_SLOTS.forEach((slot) => {
+    const layers = Array.isArray(data.slots[slot]) ? data.slots[slot] : [];
+    layers.forEach((value) => {
+      const layer = readLayer(value);
+      if (layer) addLayer(slot, layer.type, layer);
+    });
+  });
+}
@@ -0,0 +1,123 @@
+// Import Three.js modules
+import * as THREE from "three";
+import { GLTFExporter } from "three/addons/exporters/GLTFExporter.js";
+
+// Keyframes per animation clip
+const CLIP_SAMPLES = 24;
+
+/**
+ * Same curve as gsap's "power2.inOut", so clips play like the live tweens
+ */
+function easeInOut(t) {
+  return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+}
+
+/**
+ * Pose a fraction t of the way along a path of { position, rotation }
+ * poses, easing in and out of each one. Rotations are interpolated as
+ * Euler angles so large swings (a closing flap turns through 210°) keep
+ * their direction instead of taking the shortest path through the box.
+ * Writes into and returns target.
+ */
+export function samplePosePath(path, t, target) {
+  const segments = path.length - 1;
+  const index = Math.min(segments - 1, Math.floor(t * segments));
+  const from = path[index];
+  const to = path[index + 1];
+  const local = easeInOut(t * segments - index);
+
+  target.position.lerpVectors(from.position, to.position, local);
+  target.rotation.set(
+    THREE.MathUtils.lerp(from.rotation.x, to.rotation.x, local),
+    THREE.MathUtils.lerp(from.rotation.y, to.rotation.y, local),
+    THREE.MathUtils.lerp(from.rotation.z, to.rotation.z, local),
+    from.rotation.order
+  );
+  return target;
+}
+
+/**
+ * Build an animation clip that moves named nodes between poses.
+ * Poses are { node, from: { position, rotation }, to: { position, rotation } }
+ * with full Vector3/Euler values, or { node, path: [pose, ...] } for a
+ * move through several poses, taking equal time over each step.
+ */
+export function createPoseClip(name, poses, duration) {
+  const times = [];
+  for (let i = 0; i <= CLIP_SAMPLES; i++) {
+    times.push((i / CLIP_SAMPLES) * duration);
+  }
+
+  const tracks = [];
+  poses.forEach(({ node, from, to, path = [from, to] }) => {
+    const positions = [];
+    const quaternions = [];
+    const pose = { position: new THREE.Vector3(), rotation: new THREE.Euler() };
+    const quaternion = new THREE.Quaternion();
+
+    times.forEach((time) => {
+      samplePosePath(path, time / duration, pose);
+      quaternion.setFromEuler(pose.rotation);
+      positions.push(...pose.position.toArray());
+      quaternions.push(...quaternion.toArray());
+    });
+
+    tracks.push(
+      new THREE.VectorKeyframeTrack(`${node}.position`, times, positions),
+      new THREE.QuaternionKeyframeTrack(
+        `${node}.quaternion`,
+        times,
+        quaternions
+      )
+    );
+  });
+
+  return new THREE.AnimationClip(name, duration, tracks);
+}
+
+/**
+ * Copy of the box ready for export, in its current transforms.
+ * Bananas are left out unless asked for. userData is left behind because
+ * it holds live materials that would bloat the file as glTF extras.
+ */
+export function cloneForExport(boxGroup, { includeBananas = false } = {}) {
+  // Object3D.clone deep-copies userData through JSON, so set it aside first
+  const userData = new Map();
+  boxGroup.traverse((child) => {
+    userData.set(child, child.userData);
+    child.userData = {};
+  });
+  let root;
+  try {
+    root = boxGroup.clone(true);
+  } finally {
+    userData.forEach((data, child) => {
+      child.userData = data;
+    });
+  }
+  root.visible = true;
+
+  if (!includeBananas) {
+    const bananas = [];
+    root.traverse((child) => {
+      if (child.name === "banana") bananas.push(child);
+    });
+    bananas.forEach((banana) => banana.removeFromParent());
+  }
+  return root;
+}
+
+/**
+ * Export an object and its animation clips as a self-contained binary
+ * glTF (GLB) Blob, with textures embedded
+ */
+export async function exportGlb(root, animations = []) {
+  const exporter = new GLTFExporter();
+  const glb = await exporter.parseAsync(root, {
+    binary: true,
+    animations,
+    onlyVisible: true,
+    maxTextureSize: 4096,
+  });
+  return new Blob([glb], { type: "model/gltf-binary" });
+}
@@ -0,0 +1,269 @@
+// Import Three.js
+import * as THREE from "three";
+import { UNITS_PER_MM } from "./boxDimensions.js";
+import { createKraftMaterial } from "./cardboardMaterial.js";
+
+// Interior packing that can be ordered with the boxes, in the order it
+// goes into a box
+export const PACKING_COMPONENTS = {
+  pad: { name: "Bottom pad" },
+  polybag: { name: "Perforated polybag liner" },
+  slipSheets: { name: "Slip sheets" },
+};
+
+// Bottom pad: a kraft pad on the box floor (mm)
+const PAD_THICKNESS_MM = 3;
+
+// Polybag: film kept this far off the walls, its vent holes, and the
+// folds pressed into it when it is tucked in (mm)
+const BAG_CLEARANCE_MM = 2;
+const VENT_DIAMETER_MM = 10;
+const VENT_PITCH_MM = 50;
+const BAG_FOLDS = 22;
+const BAG_FOLD_DEPTH_MM = 4;
+const BAG_COLOR = 0xe4edf2;
+
+// Slip sheets: paler paper, inset from the walls (mm)
+const SHEET_COLOR = 0xeee3cf;
+const SHEET_INSET_MM = 6;
+
+// Resolution of the polybag around the box and along its drape
+const BAG_AROUND_SEGMENTS = 96;
+const BAG_PROFILE_SEGMENTS = { floor: 6, wall: 10, fold: 14 };
+
+let ventTexture = null;
+
+/**
+ * Height the bottom pad adds under the fruit, in scene units
+ */
+export function getPackingFloorHeight(components) {
+  return components.includes("pad") ? PAD_THICKNESS_MM * UNITS_PER_MM : 0;
+}
+
+/**
+ * Pieces of each component one box takes. A slip sheet goes on every
+ * layer of hands.
+ */
+function getPiecesPerBox(id, pack) {
+  return id === "slipSheets" ? pack.layerTops.length : 1;
+}
+
+/**
+ * Order lines for the chosen components: { id, name, perBox, quantity }.
+ * quantity is the total for the ordered boxes, or null without a box count.
+ */
+export function getPackingLineItems(components, pack, boxes) {
+  return Object.keys(PACKING_COMPONENTS)
+    .filter((id) => components.includes(id))
+    .map((id) => {
+      const perBox = getPiecesPerBox(id, pack);
+      return {
+        id,
+        name: PACKING_COMPONENTS[id].name,
+        perBox,
+        quantity: boxes ? perBox * boxes : null,
+      };
+    });
+}
+
+/**
+ * Alpha map tile of the film: opaque with one vent hole in the middle
+ */
+function getVentTexture() {
+  if (ventTexture) return ventTexture;
+  const size = 64;
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, size, size);
+  ctx.fillStyle = "#000000";
+  ctx.beginPath();
+  ctx.arc(
+    size / 2,
+    size / 2,
+    ((VENT_DIAMETER_MM / VENT_PITCH_MM) * size) / 2,
+    0,
+    Math.PI * 2
+  );
+  ctx.fill();
+
+  ventTexture = new THREE.CanvasTexture(canvas);
+  ventTexture.wrapS = THREE.RepeatWrapping;
+  ventTexture.wrapT = THREE.RepeatWrapping;
+  return ventTexture;
+}
+
+/**
+ * Drape of the bag from the middle of its floor, up the walls and folded
+ * back in over the fruit, as [r, y] points: r is the fraction of the way
+ * out to the walls and y the height in scene units
+ */
+function getBagProfile(floorY, topY, fruitY) {
+  const profile = [];
+  for (let i = 0; i <= BAG_PROFILE_SEGMENTS.floor; i++) {
+    profile.push([i / BAG_PROFILE_SEGMENTS.floor, floorY]);
+  }
+  for (let i = 1; i <= BAG_PROFILE_SEGMENTS.wall; i++) {
+    profile.push([
+      1,
+      floorY + ((topY - floorY) * i) / BAG_PROFILE_SEGMENTS.wall,
+    ]);
+  }
+  // The mouth is folded over and settles onto the fruit
+  for (let i = 1; i <= BAG_PROFILE_SEGMENTS.fold; i++) {
+    const r = 1 - i / BAG_PROFILE_SEGMENTS.fold;
+    profile.push([r, fruitY + (topY - fruitY) * r ** 3]);
+  }
+  return profile;
+}
+
+/**
+ * Polybag lining the inside of the box and folded over the fruit, with
+ * vent holes cut through the film by its alpha map
+ */
+function createPolybag(inner, floorY, topY, fruitY) {
+  const clearance = BAG_CLEARANCE_MM * UNITS_PER_MM;
+  const halfX = inner.x / 2 - clearance;
+  const halfZ = inner.z / 2 - clearance;
+  const foldDepth = BAG_FOLD_DEPTH_MM * UNITS_PER_MM;
+  const pitch = VENT_PITCH_MM * UNITS_PER_MM;
+  const profile = getBagProfile(floorY, topY, fruitY);
+
+  // Distance along the drape, for the vent hole spacing
+  const distances = [0];
+  for (let i = 1; i < profile.length; i++) {
+    const [r0, y0] = profile[i - 1];
+    const [r1, y1] = profile[i];
+    distances.push(
+      distances[i - 1] + Math.hypot((r1 - r0) * Math.max(halfX, halfZ), y1 - y0)
+    );
+  }
+  const perimeter = 2 * (inner.x + inner.z);
+
+  const positions = [];
+  const uvs = [];
+  const indices = [];
+  for (let j = 0; j <= BAG_AROUND_SEGMENTS; j++) {
+    const angle = (j / BAG_AROUND_SEGMENTS) * Math.PI * 2;
+    // Rounded rectangle (superellipse) following the walls
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const x = halfX * Math.sign(cos) * Math.abs(cos) ** 0.25;
+    const z = halfZ * Math.sign(sin) * Math.abs(sin) ** 0.25;
+    const fold = Math.sin(angle * BAG_FOLDS);
+
+    profile.forEach(([r, y], i) => {
+      // Folds stand off the walls and ripple the film lying on the fruit
+      const onWall = r === 1 && y > floorY ? 1 : 0;
+      const inset = 1 - ((0.5 + 0.5 * fold) * foldDepth * onWall) / halfX;
+      const ripple = i > BAG_PROFILE_SEGMENTS.floor ? fold * r * (1 - r) : 0;
+      positions.push(x * r * inset, y + ripple * foldDepth * 4, z * r * inset);
+      uvs.push(
+        ((j / BAG_AROUND_SEGMENTS) * perimeter) / pitch,
+        distances[i] / pitch
+      );
+    });
+  }
+
+  const ring = profile.length;
+  for (let j = 0; j < BAG_AROUND_SEGMENTS; j++) {
+    for (let i = 0; i < ring - 1; i++) {
+      const a = j * ring + i;
+      const b = a + ring;
+      indices.push(a, a + 1, b, b, a + 1, b + 1);
+    }
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute(
+    "position",
+    new THREE.Float32BufferAttribute(positions, 3)
+  );
+  geometry.setAttribute("uv", new THREE.Float32BufferAttribute(uvs, 2));
+  geometry.setIndex(indices);
+  geometry.computeVertexNormals();
+
+  const material = new THREE.MeshStandardMaterial({
+    color: BAG_COLOR,
+    alphaMap: getVentTexture(),
+    transparent: true,
+    opacity: 0.5,
+    alphaTest: 0.05,
+    depthWrite: false,
+    roughness: 0.3,
+    metalness: 0,
+    side: THREE.DoubleSide,
+  });
+  const bag = new THREE.Mesh(geometry, material);
+  bag.name = "polybag";
+  // Draw the film after the fruit it wraps
+  bag.renderOrder = 1;
+  return bag;
+}
+
+/**
+ * Flat paper sheet lying at a height
+ */
+function createSheet(width, depth, y, options) {
+  const mesh = new THREE.Mesh(
+    new THREE.PlaneGeometry(width, depth),
+    createKraftMaterial([width, depth], { side: THREE.DoubleSide, ...options })
+  );
+  mesh.rotation.x = -Math.PI / 2;
+  mesh.position.y = y;
+  mesh.receiveShadow = true;
+  return mesh;
+}
+
+/**
+ * Interior packing of a box around a pack from createBananaPack:
+ * components lists the ids of PACKING_COMPONENTS to include, wall is the
+ * board thickness. Returns a group named "packing".
+ */
+export function createPackingComponents({ dims, wall, components, pack }) {
+  const group = new THREE.Group();
+  group.name = "packing";
+
+  const inner = {
+    x: dims.width - wall * 2,
+    z: dims.depth - wall * 2,
+  };
+  const padHeight = getPackingFloorHeight(components);
+
+  if (components.includes("pad")) {
+    const pad = new THREE.Mesh(
+      new THREE.BoxGeometry(inner.x, padHeight, inner.z),
+      createKraftMaterial([inner.x, inner.z])
+    );
+    pad.name = "bottomPad";
+    pad.position.y = wall + padHeight / 2;
+    pad.receiveShadow = true;
+    group.add(pad);
+  }
+
+  if (components.includes("slipSheets")) {
+    const inset = SHEET_INSET_MM * UNITS_PER_MM * 2;
+    pack.layerTops.forEach((top, i) => {
+      const sheet = createSheet(inner.x - inset, inner.z - inset, wall + top, {
+        color: SHEET_COLOR,
+      });
+      sheet.name = `slipSheet${i + 1}`;
+      group.add(sheet);
+    });
+  }
+
+  if (components.includes("polybag")) {
+    const floorY = wall + padHeight + UNITS_PER_MM;
+    const topY = dims.height - wall - UNITS_PER_MM;
+    // Just over the fruit, or a loose fold in an empty bag
+    const fruitY = Math.min(
+      topY,
+      Math.max(wall + pack.fillHeight, floorY) + 5 * UNITS_PER_MM
+    );
+    group.add(createPolybag(inner, floorY, topY, fruitY));
+  }
+
+  return group;
+}
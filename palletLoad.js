@@ -0,0 +1,477 @@
+// Import Three.js
+import * as THREE from "three";
+import { UNITS_PER_MM } from "./boxDimensions.js";
+import { KRAFT_COLOR } from "./cardboardMaterial.js";
+
+// Standard pallets (mm); height is the pallet itself, deck to floor
+export const PALLETS = {
+  "1200x1000": { label: "ISO 1200 × 1000 mm", length: 1200, width: 1000 },
+  "1200x800": { label: "EUR 1200 × 800 mm", length: 1200, width: 800 },
+};
+export const PALLET_HEIGHT = 144;
+
+// Layer patterns. Brick layers alternate with their mirror image so the
+// boxes of one layer bridge the joints of the layer below.
+export const PALLET_PATTERNS = {
+  column: "Column stack",
+  brick: "Brick (interlocked)",
+};
+
+export const DEFAULT_PALLET = {
+  pallet: "1200x1000",
+  pattern: "column",
+  layers: 8,
+  maxOverhang: 0,
+  cornerBoards: true,
+  strapping: true,
+};
+
+// Pallet timber (mm): deck boards, bearers and blocks
+const DECK_BOARD = { width: 100, thickness: 22 };
+const BLOCK = { size: 145, height: 78 };
+const WOOD_COLOR = 0xc49a6c;
+
+// Corner boards: L-section edge protectors (mm)
+const CORNER_BOARD = { leg: 50, thickness: 4 };
+
+// Polyester strapping (mm)
+const STRAP = { width: 12, thickness: 1 };
+const STRAP_COLOR = 0x2f6fb0;
+
+/**
+ * Box positions of one layer for a single split of the pallet: a block of
+ * boxes lengthwise on the pallet, and the rest of the pallet filled with
+ * boxes turned 90°. split is the length of the pallet side given to the
+ * first block; across says which pallet side is split.
+ */
+function fillSplit(box, area, split, across) {
+  // Work on a pallet turned so the split runs along "a"
+  const a = across ? area.width : area.length;
+  const b = across ? area.length : area.width;
+  const first = across
+    ? { a: box.width, b: box.length, rotated: false }
+    : { a: box.length, b: box.width, rotated: false };
+  const second = across
+    ? { a: box.length, b: box.width, rotated: true }
+    : { a: box.width, b: box.length, rotated: true };
+
+  const boxes = [];
+  const addBlock = (item, start, span) => {
+    const countA = Math.floor(span / item.a);
+    const countB = Math.floor(b / item.b);
+    for (let i = 0; i < countA; i++) {
+      for (let j = 0; j < countB; j++) {
+        boxes.push({
+          a: start + (i + 0.5) * item.a,
+          b: (j + 0.5) * item.b,
+          sizeA: item.a,
+          sizeB: item.b,
+          rotated: item.rotated,
+        });
+      }
+    }
+    return countA * item.a;
+  };
+  const used = addBlock(first, 0, split);
+  addBlock(second, used, a - used);
+
+  return boxes.map((item) => ({
+    x: across ? item.b : item.a,
+    z: across ? item.a : item.b,
+    sizeX: across ? item.sizeB : item.sizeA,
+    sizeZ: across ? item.sizeA : item.sizeB,
+    rotated: item.rotated,
+  }));
+}
+
+/**
+ * Centre a layer on the pallet; positions become offsets from the pallet
+ * centre
+ */
+function centreLayer(boxes) {
+  if (!boxes.length) return { boxes, sizeX: 0, sizeZ: 0 };
+  const minX = Math.min(...boxes.map((box) => box.x - box.sizeX / 2));
+  const maxX = Math.max(...boxes.map((box) => box.x + box.sizeX / 2));
+  const minZ = Math.min(...boxes.map((box) => box.z - box.sizeZ / 2));
+  const maxZ = Math.max(...boxes.map((box) => box.z + box.sizeZ / 2));
+  return {
+    boxes: boxes.map((box) => ({
+      x: box.x - (minX + maxX) / 2,
+      z: box.z - (minZ + maxZ) / 2,
+      rotated: box.rotated,
+    })),
+    sizeX: maxX - minX,
+    sizeZ: maxZ - minZ,
+  };
+}
+
+function layerKey(boxes) {
+  return boxes
+    .map((box) => `${Math.round(box.x)},${Math.round(box.z)},${box.rotated}`)
+    .sort()
+    .join(";");
+}
+
+/**
+ * Every distinct layer the box fits in on an area, most boxes first. Each
+ * split of either pallet side between straight and turned boxes is tried.
+ */
+function findLayers(box, area) {
+  const layers = new Map();
+  [false, true].forEach((across) => {
+    const side = across ? area.width : area.length;
+    const step = across ? box.width : box.length;
+    for (let count = 0; count * step <= side; count++) {
+      const layer = centreLayer(fillSplit(box, area, count * step, across));
+      if (layer.boxes.length) layers.set(layerKey(layer.boxes), layer);
+    }
+  });
+  return [...layers.values()].sort(
+    (a, b) =>
+      b.boxes.length - a.boxes.length || a.sizeX * a.sizeZ - b.sizeX * b.sizeZ
+  );
+}
+
+/**
+ * Best arrangement of items { length, width } on an area { length, width }
+ * (mm): { boxes: [{ x, z, rotated }], sizeX, sizeZ }, with positions from
+ * the centre of the arrangement and sizeX, sizeZ its overall size
+ */
+export function arrangeFootprints(item, area) {
+  return findLayers(item, area)[0] || { boxes: [], sizeX: 0, sizeZ: 0 };
+}
+
+function mirrorLayer(layer) {
+  return {
+    ...layer,
+    boxes: layer.boxes.map((box) => ({ ...box, x: -box.x, z: -box.z })),
+  };
+}
+
+/**
+ * Plan a pallet load of boxes of size box { length, width, height } (mm).
+ * Boxes may overhang each pallet edge by up to maxOverhang mm.
+ *
+ * Returns { layers, boxesPerLayer, totalBoxes, loadHeight, totalHeight,
+ * overhang: { length, width }, interlocked } where layers holds the box
+ * positions of each layer ({ x, z, rotated }, mm from the pallet centre,
+ * rotated boxes turned 90°), heights are mm and overhang is the most the
+ * load sticks out past each end and side of the pallet.
+ */
+export function planPalletLoad(box, options = {}) {
+  const { pallet, pattern, layers, maxOverhang } = {
+    ...DEFAULT_PALLET,
+    ...options,
+  };
+  const size = PALLETS[pallet] || PALLETS[DEFAULT_PALLET.pallet];
+  const area = {
+    length: size.length + maxOverhang * 2,
+    width: size.width + maxOverhang * 2,
+  };
+
+  const candidates = findLayers(box, area);
+  const base = candidates[0] || { boxes: [], sizeX: 0, sizeZ: 0 };
+  let alternate = base;
+  if (pattern === "brick" && base.boxes.length) {
+    // The mirror image, or another layout of as many boxes when the
+    // pattern is symmetric
+    const key = layerKey(base.boxes);
+    alternate = [mirrorLayer(base), ...candidates.slice(1)].find(
+      (layer) =>
+        layer.boxes.length === base.boxes.length &&
+        layerKey(layer.boxes) !== key
+    );
+    alternate = alternate || base;
+  }
+
+  const count = Math.max(1, Math.round(layers));
+  const planned = Array.from({ length: count }, (_, i) =>
+    i % 2 ? alternate : base
+  );
+  const loadHeight = count * box.height;
+  const overhang = (span, palletSpan) =>
+    Math.max(0, Math.round((span - palletSpan) / 2));
+
+  return {
+    layers: planned.map((layer) => layer.boxes),
+    boxesPerLayer: base.boxes.length,
+    totalBoxes: base.boxes.length * count,
+    loadHeight,
+    totalHeight: PALLET_HEIGHT + loadHeight,
+    overhang: {
+      length: Math.max(
+        ...planned.map((layer) => overhang(layer.sizeX, size.length))
+      ),
+      width: Math.max(
+        ...planned.map((layer) => overhang(layer.sizeZ, size.width))
+      ),
+    },
+    interlocked: alternate !== base,
+  };
+}
+
+/**
+ * Instanced copies of a set of unit boxes, sized and placed by their
+ * matrices
+ */
+function createBlocks(matrices, material) {
+  const mesh = new THREE.InstancedMesh(
+    new THREE.BoxGeometry(1, 1, 1),
+    material,
+    matrices.length
+  );
+  matrices.forEach((matrix, i) => mesh.setMatrixAt(i, matrix));
+  mesh.castShadow = true;
+  mesh.receiveShadow = true;
+  return mesh;
+}
+
+/**
+ * Matrix of a unit box scaled to size and centred on a point (mm)
+ */
+function blockMatrix(x, y, z, sizeX, sizeY, sizeZ) {
+  return new THREE.Matrix4().compose(
+    new THREE.Vector3(x, y, z).multiplyScalar(UNITS_PER_MM),
+    new THREE.Quaternion(),
+    new THREE.Vector3(sizeX, sizeY, sizeZ).multiplyScalar(UNITS_PER_MM)
+  );
+}
+
+/**
+ * Block pallet: top deck boards, bearers on nine blocks and bottom boards
+ */
+function createPallet(size, material) {
+  const blocks = [];
+  const top = PALLET_HEIGHT - DECK_BOARD.thickness / 2;
+  const bearer = DECK_BOARD.thickness + BLOCK.height + DECK_BOARD.thickness / 2;
+
+  // Deck boards run the pallet length, spread across its width
+  const boards = size.width >= 1000 ? 7 : 5;
+  for (let i = 0; i < boards; i++) {
+    const z =
+      -size.width / 2 +
+      DECK_BOARD.width / 2 +
+      (i * (size.width - DECK_BOARD.width)) / (boards - 1);
+    blocks.push(
+      blockMatrix(
+        0,
+        top,
+        z,
+        size.length,
+        DECK_BOARD.thickness,
+        DECK_BOARD.width
+      )
+    );
+  }
+
+  [-1, 0, 1].forEach((row) => {
+    const x = row * (size.length / 2 - BLOCK.size / 2);
+    blocks.push(
+      blockMatrix(x, bearer, 0, BLOCK.size, DECK_BOARD.thickness, size.width),
+      blockMatrix(
+        x,
+        DECK_BOARD.thickness / 2,
+        0,
+        BLOCK.size,
+        DECK_BOARD.thickness,
+        size.width
+      )
+    );
+    [-1, 0, 1].forEach((column) => {
+      blocks.push(
+        blockMatrix(
+          x,
+          DECK_BOARD.thickness + BLOCK.height / 2,
+          column * (size.width / 2 - BLOCK.size / 2),
+          BLOCK.size,
+          BLOCK.height,
+          BLOCK.size
+        )
+      );
+    });
+  });
+
+  const mesh = createBlocks(blocks, material);
+  mesh.name = "pallet";
+  return mesh;
+}
+
+/**
+ * L-section boards up the four vertical edges of the load
+ */
+function createCornerBoards(extent, height, material) {
+  const { leg, thickness } = CORNER_BOARD;
+  const y = PALLET_HEIGHT + height / 2;
+  const blocks = [];
+  [-1, 1].forEach((sx) => {
+    [-1, 1].forEach((sz) => {
+      const x = sx * (extent.x / 2 + thickness / 2);
+      const z = sz * (extent.z / 2 + thickness / 2);
+      blocks.push(
+        blockMatrix(x, y, z - (sz * leg) / 2, thickness, height, leg),
+        blockMatrix(x - (sx * leg) / 2, y, z, leg, height, thickness)
+      );
+    });
+  });
+  const mesh = createBlocks(blocks, material);
+  mesh.name = "cornerBoards";
+  return mesh;
+}
+
+/**
+ * Two straps over the load and under the pallet's top deck, across the
+ * pallet width, and bands around the load holding the corner boards
+ */
+function createStrapping(extent, height, outset, material) {
+  const { width, thickness } = STRAP;
+  const halfX = extent.x / 2 + outset + thickness / 2;
+  const halfZ = extent.z / 2 + outset + thickness / 2;
+  const top = PALLET_HEIGHT + height + thickness / 2;
+  const bottom = PALLET_HEIGHT - DECK_BOARD.thickness - thickness / 2;
+  const blocks = [];
+  [-1, 1].forEach((side) => {
+    const x = (side * extent.x) / 4;
+    blocks.push(
+      blockMatrix(x, top, 0, width, thickness, halfZ * 2),
+      blockMatrix(x, bottom, 0, width, thickness, halfZ * 2),
+      blockMatrix(x, (top + bottom) / 2, halfZ, width, top - bottom, thickness),
+      blockMatrix(x, (top + bottom) / 2, -halfZ, width, top - bottom, thickness)
+    );
+  });
+  [0.15, 0.5, 0.85].forEach((share) => {
+    const y = PALLET_HEIGHT + height * share;
+    blocks.push(
+      blockMatrix(0, y, halfZ, halfX * 2, width, thickness),
+      blockMatrix(0, y, -halfZ, halfX * 2, width, thickness),
+      blockMatrix(halfX, y, 0, thickness, width, halfZ * 2),
+      blockMatrix(-halfX, y, 0, thickness, width, halfZ * 2)
+    );
+  });
+  const mesh = createBlocks(blocks, material);
+  mesh.name = "strapping";
+  return mesh;
+}
+
+/**
+ * Copies of a box, one per placement matrix: an InstancedMesh for each
+ * mesh of boxGroup in its current pose, sharing its geometry and
+ * materials, so close the box first for a load of closed boxes. Nodes
+ * named "banana" and "packing" are left out.
+ */
+export function instanceBoxGroup(boxGroup, placements) {
+  if (!placements.length) return [];
+  const excluded = new Set();
+  boxGroup.traverse((node) => {
+    if (node.name === "banana" || node.name === "packing") excluded.add(node);
+    if (node.parent && excluded.has(node.parent)) excluded.add(node);
+  });
+  boxGroup.updateMatrixWorld(true);
+  const toBox = boxGroup.matrixWorld.clone().invert();
+  const meshes = [];
+  boxGroup.traverse((node) => {
+    if (!node.isMesh || excluded.has(node)) return;
+    const local = toBox.clone().multiply(node.matrixWorld);
+    const mesh = new THREE.InstancedMesh(
+      node.geometry,
+      node.material,
+      placements.length
+    );
+    placements.forEach((placement, i) =>
+      mesh.setMatrixAt(i, placement.clone().multiply(local))
+    );
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    meshes.push(mesh);
+  });
+  return meshes;
+}
+
+/**
+ * 3D pallet load from a plan of planPalletLoad, the boxes drawn by
+ * instanceBoxGroup from boxGroup's current pose. box is the box size in mm.
+ *
+ * Returns { group, dispose() }; dispose leaves boxGroup's geometry and
+ * materials alone.
+ */
+export function createPalletModel(boxGroup, plan, box, options = {}) {
+  const { pallet, cornerBoards, strapping } = { ...DEFAULT_PALLET, ...options };
+  const size = PALLETS[pallet] || PALLETS[DEFAULT_PALLET.pallet];
+  const group = new THREE.Group();
+  group.name = "palletLoad";
+  const ownMaterials = [];
+  const material = (color, roughness) => {
+    const created = new THREE.MeshStandardMaterial({
+      color,
+      roughness,
+      metalness: 0,
+    });
+    ownMaterials.push(created);
+    return created;
+  };
+
+  group.add(createPallet(size, material(WOOD_COLOR, 0.85)));
+
+  // Box placements on the pallet, in scene units
+  const placements = [];
+  const rotation = new THREE.Quaternion();
+  const up = new THREE.Vector3(0, 1, 0);
+  plan.layers.forEach((layer, i) => {
+    layer.forEach(({ x, z, rotated }) => {
+      rotation.setFromAxisAngle(up, rotated ? Math.PI / 2 : 0);
+      placements.push(
+        new THREE.Matrix4().compose(
+          new THREE.Vector3(
+            x,
+            PALLET_HEIGHT + i * box.height,
+            z
+          ).multiplyScalar(UNITS_PER_MM),
+          rotation,
+          new THREE.Vector3(1, 1, 1)
+        )
+      );
+    });
+  });
+
+  instanceBoxGroup(boxGroup, placements).forEach((mesh) => group.add(mesh));
+
+  // Outline of the load, for the corner boards and straps
+  const extent = { x: 0, z: 0 };
+  plan.layers.forEach((layer) => {
+    layer.forEach(({ x, z, rotated }) => {
+      const sizeX = rotated ? box.width : box.length;
+      const sizeZ = rotated ? box.length : box.width;
+      extent.x = Math.max(extent.x, Math.abs(x) * 2 + sizeX);
+      extent.z = Math.max(extent.z, Math.abs(z) * 2 + sizeZ);
+    });
+  });
+
+  if (placements.length && cornerBoards) {
+    group.add(
+      createCornerBoards(extent, plan.loadHeight, material(KRAFT_COLOR, 0.9))
+    );
+  }
+  if (placements.length && strapping) {
+    const outset = cornerBoards ? CORNER_BOARD.thickness : 0;
+    group.add(
+      createStrapping(
+        extent,
+        plan.loadHeight,
+        outset,
+        material(STRAP_COLOR, 0.4)
+      )
+    );
+  }
+
+  return {
+    group,
+    dispose() {
+      group.children.forEach((child) => {
+        // Box meshes share the live box's geometry; only the unit blocks
+        // belong to the pallet
+        if (ownMaterials.includes(child.material)) child.geometry.dispose();
+        child.dispose();
+      });
+      ownMaterials.forEach((created) => created.dispose());
+    },
+  };
+}
@@ -0,0 +1,228 @@
+import { TEXTURE_SLOTS } from "./textureLoader.js";
+import { UNITS_PER_MM, getSlotPanelSize } from "./boxDimensions.js";
+
+// Artwork resolution at print size (dots per inch)
+const PRINT_DPI = { minimum: 150, recommended: 300 };
+
+// Keep text and logos this far from creases and cut edges (mm)
+const SAFE_MARGIN_MM = 5;
+
+// Allowed difference between artwork and panel proportions
+const ASPECT_TOLERANCE = 0.02;
+
+// Margin analysis runs on a downscaled copy of the artwork
+const ANALYSIS_PIXELS_PER_MM = 2;
+const ANALYSIS_MAX_SIZE = 1200;
+
+// A margin holds content when more than this share of it differs from the
+// background colour
+const MARGIN_CONTENT_SHARE = 0.015;
+
+// Margin analysis by texture, keyed by texture version and panel size so
+// repainted textures are analysed again
+const analysisCache = new WeakMap();
+
+/**
+ * Pixel size of the artwork that spans the panel. Painted textures (custom
+ * uploads) record the source pixels they were drawn from, since their
+ * canvas size says nothing about the uploaded image.
+ */
+function getSourceSize(texture) {
+  if (texture.userData.sourceSize) return texture.userData.sourceSize;
+  const image = texture.image;
+  return {
+    width: image?.naturalWidth || image?.width || 0,
+    height: image?.naturalHeight || image?.height || 0,
+  };
+}
+
+/**
+ * Find the panel edges whose safety margin contains artwork rather than
+ * background. The background is the most common colour of the outermost
+ * pixels, so full-bleed background colour is allowed up to the edge.
+ */
+function findMarginContent(texture, panelMm) {
+  // One texture can cover panels of several sizes
+  const key = `${texture.version}:${panelMm.width}x${panelMm.height}`;
+  let cached = analysisCache.get(texture);
+  if (cached?.has(key)) return cached.get(key);
+
+  const image = texture.image;
+  const scale = Math.min(
+    ANALYSIS_PIXELS_PER_MM,
+    ANALYSIS_MAX_SIZE / Math.max(panelMm.width, panelMm.height)
+  );
+  const width = Math.max(8, Math.round(panelMm.width * scale));
+  const height = Math.max(8, Math.round(panelMm.height * scale));
+  const margin = Math.max(1, Math.round(SAFE_MARGIN_MM * scale));
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(image, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+
+  const pixel = (x, y) => {
+    const i = (y * width + x) * 4;
+    return [data[i], data[i + 1], data[i + 2], data[i + 3]];
+  };
+  const isTransparent = (p) => p[3] < 32;
+
+  // Most common (quantised) colour around the outer frame
+  const counts = new Map();
+  const frame = [];
+  for (let x = 0; x < width; x++) frame.push([x, 0], [x, height - 1]);
+  for (let y = 1; y < height - 1; y++) frame.push([0, y], [width - 1, y]);
+  frame.forEach(([x, y]) => {
+    const p = pixel(x, y);
+    if (isTransparent(p)) return;
+    const key = (p[0] >> 4) * 256 + (p[1] >> 4) * 16 + (p[2] >> 4);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  let background = null;
+  let best = 0;
+  counts.forEach((count, key) => {
+    if (count > best) {
+      best = count;
+      background = [
+        ((key >> 8) << 4) + 8,
+        (((key >> 4) & 15) << 4) + 8,
+        ((key & 15) << 4) + 8,
+      ];
+    }
+  });
+
+  const isContent = (p) =>
+    !isTransparent(p) &&
+    (!background ||
+      Math.abs(p[0] - background[0]) +
+        Math.abs(p[1] - background[1]) +
+        Math.abs(p[2] - background[2]) >
+        64);
+
+  const bands = {
+    top: [0, 0, width, margin],
+    bottom: [0, height - margin, width, height],
+    left: [0, 0, margin, height],
+    right: [width - margin, 0, width, height],
+  };
+  const edges = Object.entries(bands)
+    .filter(([, [x0, y0, x1, y1]]) => {
+      let content = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          if (isContent(pixel(x, y))) content++;
+        }
+      }
+      return content / ((x1 - x0) * (y1 - y0)) > MARGIN_CONTENT_SHARE;
+    })
+    .map(([edge]) => edge);
+
+  if (!cached) {
+    cached = new Map();
+    analysisCache.set(texture, cached);
+  }
+  cached.set(key, edges);
+  return edges;
+}
+
+/**
+ * Check every slot of a texture set against the physical panel it is
+ * printed on. Returns one entry per slot:
+ * { slot, texture, dpi, issues: [{ level: "error" | "warning", message }] }
+ */
+export function checkTextureSet(textureSet, dims) {
+  return TEXTURE_SLOTS.map((slot) => {
+    const texture = slot
+      .split(".")
+      .reduce((node, key) => node?.[key], textureSet);
+    const panel = getSlotPanelSize(slot, dims);
+    const issues = [];
+    // Panels left as plain board have nothing to print
+    if (!texture || !panel || texture.userData.blank) {
+      return { slot, texture, dpi: null, issues };
+    }
+
+    const panelMm = {
+      width: panel.width / UNITS_PER_MM,
+      height: panel.height / UNITS_PER_MM,
+    };
+    const source = getSourceSize(texture);
+    if (!source.width || !source.height) {
+      return { slot, texture, dpi: null, issues };
+    }
+
+    // Resolution along the less detailed axis
+    const dpi = Math.round(
+      Math.min(
+        source.width / (panelMm.width / 25.4),
+        source.height / (panelMm.height / 25.4)
+      )
+    );
+    if (dpi < PRINT_DPI.minimum) {
+      issues.push({
+        level: "error",
+        message: `${dpi} DPI at print size, needs at least ${PRINT_DPI.minimum}`,
+      });
+    } else if (dpi < PRINT_DPI.recommended) {
+      issues.push({
+        level: "warning",
+        message: `${dpi} DPI at print size, ${PRINT_DPI.recommended} recommended`,
+      });
+    }
+
+    const aspect = source.width / source.height;
+    const panelAspect = panelMm.width / panelMm.height;
+    const stretch = aspect / panelAspect;
+    if (Math.abs(stretch - 1) > ASPECT_TOLERANCE) {
+      const percent = Math.round(Math.abs(stretch - 1) * 100);
+      issues.push({
+        level: "error",
+        message:
+          `Artwork is ${source.width}×${source.height} px, panel is ` +
+          `${Math.round(panelMm.width)}×${Math.round(panelMm.height)} mm: ` +
+          `printed ${percent}% ${stretch > 1 ? "squashed" : "stretched"} ` +
+          "horizontally",
+      });
+    }
+
+    // Resampled artwork carries a marker border, so its margins are not
+    // checked; the artwork itself has to be supplied for this box type
+    if (texture.userData.approximate) {
+      issues.push({
+        level: "error",
+        message: `Resampled from ${
+          textureSet.approximateFrom || "another box type's"
+        } artwork and cropped to fit`,
+      });
+      return { slot, texture, dpi, issues };
+    }
+
+    try {
+      const edges = findMarginContent(texture, panelMm);
+      if (edges.length) {
+        issues.push({
+          level: "warning",
+          message: `Artwork within ${SAFE_MARGIN_MM} mm of the ${edges.join(
+            ", "
+          )} crease/cut edge${edges.length > 1 ? "s" : ""}`,
+        });
+      }
+    } catch (err) {
+      // Cross-origin artwork cannot be read back; skip the margin check
+      console.warn(`Could not analyse ${slot} artwork margins`, err);
+    }
+
+    return { slot, texture, dpi, issues };
+  });
+}
+
+/**
+ * Worst issue level of a check result, or null when it passed
+ */
+export function getWorstLevel(result) {
+  if (result.issues.some((issue) => issue.level === "error")) return "error";
+  if (result.issues.length) return "warning";
+  return null;
+}
@@ -0,0 +1,203 @@
+// Endpoint used when the page does not configure one with
+// <meta name="request-endpoint" content="...">
+const DEFAULT_ENDPOINT = "/api/requests";
+
+// Attempts per submission, and the delay before the first retry (ms).
+// Each further retry waits twice as long.
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY = 800;
+
+// IndexedDB store holding requests that could not be sent yet
+const DB_NAME = "banana-box";
+const DB_VERSION = 1;
+const QUEUE_STORE = "pendingRequests";
+
+/**
+ * A request the server did not accept.
+ * retryable is true for network failures and temporary server errors;
+ * offline is true when the server could not be reached at all;
+ * fieldErrors maps form fields to messages when the server rejected input.
+ */
+export class SubmissionError extends Error {
+  constructor(
+    message,
+    { status = 0, retryable = false, offline = false, fieldErrors = null } = {}
+  ) {
+    super(message);
+    this.name = "SubmissionError";
+    this.status = status;
+    this.retryable = retryable;
+    this.offline = offline;
+    this.fieldErrors = fieldErrors;
+  }
+}
+
+/**
+ * Where custom box requests are POSTed
+ */
+export function getRequestEndpoint() {
+  const meta = document.querySelector('meta[name="request-endpoint"]');
+  return meta?.content || DEFAULT_ENDPOINT;
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function createRequestId() {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+  return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+// Network
+
+async function postRequest(endpoint, request) {
+  let response;
+  try {
+    response = await fetch(endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(request),
+    });
+  } catch (err) {
+    // fetch rejects with a TypeError when the network is unreachable
+    throw new SubmissionError("Could not reach the server", {
+      retryable: true,
+      offline: err instanceof TypeError,
+    });
+  }
+
+  const body = await response.json().catch(() => ({}));
+  if (response.ok) return body;
+
+  const { status } = response;
+  throw new SubmissionError(
+    body.error || `The server responded with status ${status}`,
+    {
+      status,
+      retryable: status >= 500 || status === 408 || status === 429,
+      fieldErrors: body.fieldErrors || null,
+    }
+  );
+}
+
+async function postWithRetry(endpoint, request, attempts = MAX_ATTEMPTS) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await postRequest(endpoint, request);
+    } catch (err) {
+      if (!err.retryable || attempt >= attempts) throw err;
+      await wait(RETRY_DELAY * 2 ** (attempt - 1));
+    }
+  }
+}
+
+// Offline queue
+
+function openQueue() {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+    const open = window.indexedDB.open(DB_NAME, DB_VERSION);
+    open.onupgradeneeded = () => {
+      open.result.createObjectStore(QUEUE_STORE, {
+        keyPath: "queueId",
+        autoIncrement: true,
+      });
+    };
+    open.onsuccess = () => resolve(open.result);
+    open.onerror = () => reject(open.error);
+  });
+}
+
+/**
+ * Run one operation on the queue store and resolve with its result once
+ * the transaction has completed
+ */
+async function withQueueStore(mode, operation) {
+  const db = await openQueue();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(QUEUE_STORE, mode);
+    const request = operation(transaction.objectStore(QUEUE_STORE));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+function queueRequest(request) {
+  return withQueueStore("readwrite", (store) => store.add(request));
+}
+
+function getQueuedRequests() {
+  return withQueueStore("readonly", (store) => store.getAll());
+}
+
+function removeQueuedRequest(queueId) {
+  return withQueueStore("readwrite", (store) => store.delete(queueId));
+}
+
+/**
+ * Submit a custom box request.
+ * Resolves with { status: "sent", result } once the server has stored it, or
+ * { status: "queued" } when the network is unreachable and the request was
+ * kept on this device to be sent later by flushQueuedRequests.
+ * Throws a SubmissionError when the server rejects the request or is still
+ * failing after the retries.
+ */
+export async function submitRequest(payload) {
+  const request = {
+    ...payload,
+    clientRequestId: createRequestId(),
+    createdAt: new Date().toISOString(),
+  };
+
+  if (navigator.onLine === false) {
+    await queueRequest(request);
+    return { status: "queued" };
+  }
+
+  try {
+    const result = await postWithRetry(getRequestEndpoint(), request);
+    return { status: "sent", result };
+  } catch (err) {
+    if (!err.offline) throw err;
+    try {
+      await queueRequest(request);
+    } catch (queueErr) {
+      console.error("Could not queue request:", queueErr);
+      throw err;
+    }
+    return { status: "queued" };
+  }
+}
+
+/**
+ * Send requests queued while offline, oldest first.
+ * Stops at the first one that still cannot be delivered. Requests the
+ * server rejects outright are taken off the queue so they do not block it.
+ * Resolves with those rejected requests as [{ request, error }], for the
+ * user to send again.
+ */
+export async function flushQueuedRequests() {
+  const queued = await getQueuedRequests();
+  const rejected = [];
+
+  for (const { queueId, ...request } of queued) {
+    try {
+      await postWithRetry(getRequestEndpoint(), request, 1);
+    } catch (error) {
+      if (error.retryable) break;
+      rejected.push({ request, error });
+    }
+    await removeQueuedRequest(queueId);
+  }
+  return rejected;
+}
@@ -0,0 +1,266 @@
+// Local stand-in for the CRM that receives custom box requests.
+// It serves the configurator and stores requests in a JSON file, so the
+// whole submission flow can be developed without the production backend:
+//
+//   node server/mockServer.mjs
+//   open http://localhost:8787
+//
+// Environment:
+//   PORT               port to listen on (default 8787)
+//   REQUESTS_FILE      where requests are stored (default server/data/requests.json)
+//   MOCK_FAILURE_RATE  share of POSTs answered with 503, e.g. 0.5, to exercise
+//                      retries and the "try again" message (default 0)
+
+import http from "node:http";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const SERVER_DIR = path.dirname(fileURLToPath(import.meta.url));
+const SITE_ROOT = path.resolve(SERVER_DIR, "..");
+const PORT = Number(process.env.PORT) || 8787;
+const REQUESTS_FILE =
+  process.env.REQUESTS_FILE || path.join(SERVER_DIR, "data", "requests.json");
+const FAILURE_RATE = Number(process.env.MOCK_FAILURE_RATE) || 0;
+
+// Requests carry thumbnails and artwork, so allow generous bodies
+const MAX_BODY_BYTES = 25 * 1024 * 1024;
+
+const API_PATH = "/api/requests";
+
+const REQUIRED_FIELDS = {
+  fullName: "Full name is required",
+  email: "Email address is required",
+  phone: "Phone number is required",
+  boxType: "Box type is required",
+  brand: "Brand is required",
+};
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".svg": "image/svg+xml",
+  ".pdf": "application/pdf",
+};
+
+// Storage
+
+async function readRequests() {
+  try {
+    return JSON.parse(await fs.readFile(REQUESTS_FILE, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+// Writes go through one chain so concurrent POSTs cannot lose each other
+let writeChain = Promise.resolve();
+
+function updateRequests(update) {
+  const next = writeChain.then(async () => {
+    const requests = await readRequests();
+    const result = update(requests);
+    await fs.mkdir(path.dirname(REQUESTS_FILE), { recursive: true });
+    const tempFile = `${REQUESTS_FILE}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(requests, null, 2));
+    await fs.rename(tempFile, REQUESTS_FILE);
+    return result;
+  });
+  writeChain = next.catch(() => {});
+  return next;
+}
+
+// HTTP helpers
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // Stop reading; the 413 is sent before the connection is dropped
+        req.removeAllListeners("data");
+        req.pause();
+        reject(
+          Object.assign(new Error("Request body too large"), { status: 413 })
+        );
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function validateRequest(payload) {
+  const fieldErrors = {};
+  Object.entries(REQUIRED_FIELDS).forEach(([field, message]) => {
+    if (!String(payload[field] ?? "").trim()) fieldErrors[field] = message;
+  });
+  if (payload.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(payload.email)) {
+    fieldErrors.email = "Email address is not valid";
+  }
+  return fieldErrors;
+}
+
+// Routes
+
+async function handleCreate(req, res) {
+  if (Math.random() < FAILURE_RATE) {
+    sendJson(res, 503, { error: "Simulated outage, please retry" });
+    return;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(await readBody(req));
+  } catch (err) {
+    if (err.status === 413) {
+      // Drop the rest of the upload once the client has the answer
+      res.setHeader("Connection", "close");
+      res.on("finish", () => req.destroy());
+    }
+    sendJson(res, err.status || 400, {
+      error: err.status ? err.message : "Request body must be JSON",
+    });
+    return;
+  }
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    sendJson(res, 400, { error: "Request body must be a JSON object" });
+    return;
+  }
+
+  const fieldErrors = validateRequest(payload);
+  if (Object.keys(fieldErrors).length > 0) {
+    sendJson(res, 422, { error: "Some fields need attention", fieldErrors });
+    return;
+  }
+
+  const { record, created } = await updateRequests((requests) => {
+    // Retried and queued submissions reuse their id, store them only once
+    const existing =
+      payload.clientRequestId &&
+      requests.find((r) => r.clientRequestId === payload.clientRequestId);
+    if (existing) return { record: existing, created: false };
+
+    const record = {
+      id: `REQ-${String(requests.length + 1).padStart(5, "0")}`,
+      receivedAt: new Date().toISOString(),
+      ...payload,
+    };
+    requests.push(record);
+    return { record, created: true };
+  });
+
+  console.log(
+    `${created ? "Stored" : "Already had"} ${record.id} from ${record.email}`
+  );
+  sendJson(res, created ? 201 : 200, {
+    id: record.id,
+    receivedAt: record.receivedAt,
+  });
+}
+
+async function handleApi(req, res, pathname) {
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+      "Access-Control-Allow-Headers": "Content-Type",
+    });
+    res.end();
+    return;
+  }
+
+  if (pathname === API_PATH && req.method === "POST") {
+    await handleCreate(req, res);
+    return;
+  }
+  if (pathname === API_PATH && req.method === "GET") {
+    sendJson(res, 200, await readRequests());
+    return;
+  }
+  if (req.method === "GET") {
+    const id = decodeURIComponent(pathname.slice(API_PATH.length + 1));
+    const record = (await readRequests()).find((r) => r.id === id);
+    if (record) {
+      sendJson(res, 200, record);
+    } else {
+      sendJson(res, 404, { error: `No request ${id}` });
+    }
+    return;
+  }
+  sendJson(res, 405, { error: `${req.method} not allowed` });
+}
+
+async function handleStatic(req, res, pathname) {
+  const filePath = path.join(
+    SITE_ROOT,
+    decodeURIComponent(pathname === "/" ? "/index.html" : pathname)
+  );
+  // Never serve anything outside the site, dot files or the stored requests
+  if (
+    !filePath.startsWith(SITE_ROOT + path.sep) ||
+    filePath.startsWith(path.dirname(REQUESTS_FILE)) ||
+    path
+      .relative(SITE_ROOT, filePath)
+      .split(path.sep)
+      .some((part) => part.startsWith("."))
+  ) {
+    res.writeHead(403).end();
+    return;
+  }
+
+  try {
+    const data = await fs.readFile(filePath);
+    res.writeHead(200, {
+      "Content-Type":
+        CONTENT_TYPES[path.extname(filePath).toLowerCase()] ||
+        "application/octet-stream",
+    });
+    res.end(req.method === "HEAD" ? undefined : data);
+  } catch {
+    res.writeHead(404).end("Not found");
+  }
+}
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  try {
+    if (pathname === API_PATH || pathname.startsWith(`${API_PATH}/`)) {
+      await handleApi(req, res, pathname);
+    } else {
+      await handleStatic(req, res, pathname);
+    }
+  } catch (err) {
+    // decodeURIComponent throws on malformed escapes in the path
+    if (err instanceof URIError) {
+      if (!res.headersSent) sendJson(res, 400, { error: "Malformed URL" });
+      return;
+    }
+    console.error(err);
+    if (!res.headersSent) sendJson(res, 500, { error: "Internal error" });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock request server on http://localhost:${PORT}`);
+  console.log(`Storing requests in ${REQUESTS_FILE}`);
+});
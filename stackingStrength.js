@@ -0,0 +1,116 @@
+import { BOARD_GRADES, DEFAULT_BOARD_GRADE } from "./cardboardMaterial.js";
+
+// Storage conditions the estimate is derated for: relative humidity (%)
+// and days from packing to the end of the cold chain
+export const DEFAULT_STACKING = { humidity: 90, days: 21 };
+export const STACKING_LIMITS = {
+  humidity: { min: 50, max: 95 },
+  days: { min: 1, max: 180 },
+};
+
+// Strength left after long exposure to humidity, against board at 50% RH
+const HUMIDITY_FACTORS = [
+  [50, 1],
+  [60, 0.9],
+  [70, 0.8],
+  [80, 0.68],
+  [90, 0.5],
+  [95, 0.4],
+];
+
+// Strength left after carrying a load for this many days (board creep)
+const TIME_FACTORS = [
+  [1, 0.7],
+  [10, 0.63],
+  [30, 0.59],
+  [90, 0.55],
+  [180, 0.5],
+];
+
+// Interlocked layers leave the walls resting on the joints below
+const INTERLOCK_FACTOR = 0.6;
+
+// Strength lost for each millimetre of overhang past the pallet edge, and
+// the most it is taken to cost
+const OVERHANG_LOSS_PER_MM = 0.01;
+const MAX_OVERHANG_LOSS = 0.4;
+
+// McKee constant for BCT in N from ECT in kN/m and caliper and perimeter
+// in mm
+const MCKEE_CONSTANT = 5.87;
+const GRAVITY = 9.81;
+
+/**
+ * Linear interpolation in a table of [x, factor] rows, held at its ends
+ */
+function lookupFactor(table, x) {
+  if (x <= table[0][0]) return table[0][1];
+  for (let i = 1; i < table.length; i++) {
+    const [x1, f1] = table[i];
+    if (x <= x1) {
+      const [x0, f0] = table[i - 1];
+      return f0 + ((f1 - f0) * (x - x0)) / (x1 - x0);
+    }
+  }
+  return table[table.length - 1][1];
+}
+
+/**
+ * Weight of the board in an empty box (kg): the four walls, plus the
+ * bottom and top flaps, each pair closing over the full footprint
+ */
+function getBoxWeight(box, board) {
+  const area =
+    (2 * (box.length + box.width) * box.height + 2 * box.length * box.width) /
+    1e6;
+  return (area * board.grammage) / 1000;
+}
+
+/**
+ * Compression strength and safe stack of a box, in mm and kg.
+ *
+ * box: { length, width, height } outside sizes (mm)
+ * options: netWeight (kg of fruit), humidity (%), days, and from the
+ * pallet plan interlocked and overhang ({ length, width } in mm)
+ *
+ * Returns the McKee BCT (N and kgf), the derating factors and the load
+ * a bottom box can carry with them applied, the gross weight of a packed
+ * box, and the layers and stack height that load allows.
+ */
+export function estimateStacking(box, grade, options) {
+  const board = BOARD_GRADES[grade] || BOARD_GRADES[DEFAULT_BOARD_GRADE];
+  const perimeter = 2 * (box.length + box.width);
+  const bct =
+    MCKEE_CONSTANT * board.ect * Math.sqrt(board.thickness * perimeter);
+
+  const overhang = options.overhang
+    ? Math.max(options.overhang.length, options.overhang.width)
+    : 0;
+  const factors = {
+    humidity: lookupFactor(HUMIDITY_FACTORS, options.humidity),
+    time: lookupFactor(TIME_FACTORS, options.days),
+    pattern: options.interlocked ? INTERLOCK_FACTOR : 1,
+    overhang: 1 - Math.min(MAX_OVERHANG_LOSS, overhang * OVERHANG_LOSS_PER_MM),
+  };
+  const safeLoad = Object.values(factors).reduce(
+    (load, factor) => load * factor,
+    bct
+  );
+
+  const boxWeight = getBoxWeight(box, board);
+  const grossWeight = options.netWeight + boxWeight;
+  // The bottom box carries every layer above it
+  const maxLayers = Math.floor(safeLoad / (grossWeight * GRAVITY)) + 1;
+
+  return {
+    bct,
+    bctKgf: bct / GRAVITY,
+    factors,
+    safeLoad,
+    safeLoadKgf: safeLoad / GRAVITY,
+    boxWeight,
+    grossWeight,
+    maxLayers,
+    stackHeight: maxLayers * box.height,
+  };
+}
@@ -0,0 +1,152 @@
+// Import Three.js
+import * as THREE from "three";
+import { UNITS_PER_MM } from "./boxDimensions.js";
+import {
+  createBoardPanel,
+  createKraftMaterial,
+  createPrintedBoardMaterial,
+  getBoardThickness,
+} from "./cardboardMaterial.js";
+
+// Ways a banana box is made up: a regular slotted container closed by its
+// top flaps, or an open tray under a separate telescopic lid
+export const BOX_STYLES = {
+  rsc: { name: "Slotted container (flaps)" },
+  telescope: { name: "Tray + telescopic lid" },
+};
+export const DEFAULT_BOX_STYLE = "rsc";
+
+// Play between the tray walls and the lid skirts (mm)
+const LID_CLEARANCE_MM = 2;
+
+// Height the lid is lifted over the tray rim before it is moved, and the
+// gap it is set down at beside the box (mm)
+const LID_LIFT_MM = 60;
+const LID_ASIDE_GAP_MM = 80;
+
+/**
+ * Outside size of the lid in scene units: it slides over the tray with a
+ * little play and covers lidHeight of its walls
+ */
+function getLidSize(dims, grade) {
+  const wall = getBoardThickness(grade);
+  const play = LID_CLEARANCE_MM * UNITS_PER_MM;
+  return {
+    width: dims.width + (wall + play) * 2,
+    depth: dims.depth + (wall + play) * 2,
+    height: dims.lidHeight,
+  };
+}
+
+/**
+ * Telescopic lid of board panels: a printed top and four printed skirts,
+ * plain kraft inside. textureFor(slot) gives the artwork of a "lid.*"
+ * texture slot. The group's origin is the middle of the lid, so it turns
+ * over about its own centre; place it with getLidPath.
+ */
+export function createTelescopicLid({ dims, grade, textureFor }) {
+  const group = new THREE.Group();
+  const wall = getBoardThickness(grade);
+  const size = getLidSize(dims, grade);
+  const skirtHeight = size.height - wall;
+
+  const createPanel = (slot, panelSize, thicknessAxis, outerSign, fluteAxis) =>
+    createBoardPanel({
+      size: panelSize,
+      thicknessAxis,
+      outerSign,
+      fluteAxis,
+      grade,
+      outer: (faceSize) =>
+        createPrintedBoardMaterial(textureFor(slot), faceSize),
+      inner: (faceSize) => createKraftMaterial(faceSize),
+    });
+
+  const top = createPanel(
+    "lid.top",
+    { x: size.width, y: wall, z: size.depth },
+    "y",
+    1,
+    "z"
+  );
+  top.position.y = (size.height - wall) / 2;
+
+  // Skirts hang from under the top; the long skirts run the full width and
+  // the short skirts fit between them. Skirt flutes run vertically.
+  const front = createPanel(
+    "lid.front",
+    { x: size.width, y: skirtHeight, z: wall },
+    "z",
+    1,
+    "y"
+  );
+  front.position.set(0, -wall / 2, (size.depth - wall) / 2);
+
+  const back = createPanel(
+    "lid.back",
+    { x: size.width, y: skirtHeight, z: wall },
+    "z",
+    -1,
+    "y"
+  );
+  back.position.set(0, -wall / 2, -(size.depth - wall) / 2);
+
+  const right = createPanel(
+    "lid.right",
+    { x: wall, y: skirtHeight, z: size.depth - wall * 2 },
+    "x",
+    1,
+    "y"
+  );
+  right.position.set((size.width - wall) / 2, -wall / 2, 0);
+
+  const left = createPanel(
+    "lid.left",
+    { x: wall, y: skirtHeight, z: size.depth - wall * 2 },
+    "x",
+    -1,
+    "y"
+  );
+  left.position.set(-(size.width - wall) / 2, -wall / 2, 0);
+
+  [top, front, back, right, left].forEach((panel) => {
+    panel.castShadow = true;
+    panel.receiveShadow = true;
+    group.add(panel);
+  });
+  return group;
+}
+
+/**
+ * Poses of the lid's centre, from closed on the tray to set down beside
+ * the box: lifted clear of the tray, carried aside, turned over and laid
+ * top down on the ground. Each is { position, rotation } in the box group.
+ */
+export function getLidPath(dims, grade) {
+  const wall = getBoardThickness(grade);
+  const size = getLidSize(dims, grade);
+  const pose = (x, y, turn) => ({
+    position: new THREE.Vector3(x, y, 0),
+    rotation: new THREE.Euler(turn, 0, 0),
+  });
+
+  // Resting on the tray rim
+  const closedY = dims.height + wall - size.height / 2;
+  // Clear of the rim, and high enough to turn over without the skirts
+  // touching the ground
+  const lift = LID_LIFT_MM * UNITS_PER_MM;
+  const liftY = Math.max(
+    dims.height + size.height / 2 + lift,
+    Math.hypot(size.depth, size.height) / 2 + lift
+  );
+  const asideX =
+    (dims.width + size.width) / 2 + LID_ASIDE_GAP_MM * UNITS_PER_MM;
+
+  return [
+    pose(0, closedY, 0),
+    pose(0, liftY, 0),
+    pose(asideX, liftY, 0),
+    pose(asideX, liftY, Math.PI),
+    pose(asideX, size.height / 2, Math.PI),
+  ];
+}
@@ -1,5 +1,7 @@
 // Import Three.js
 import * as THREE from 'three';
+import { boxDimensions, getSlotPanelSize } from "./boxDimensions.js";
+import { KRAFT_COLOR } from "./cardboardMaterial.js";
 
 // Texture cache to avoid reloading the same texture
 const textureCache = {};
@@ -112,540 +114,458 @@ export async function loadTexture(brand, boxType) {
   });
 }
 
+// Manifest describing every brand × box type cropped texture set
+const MANIFEST_PATH = "assets/textures/manifest.json";
+let manifestPromise = null;
+
+// Longest side of a canvas artwork is fitted onto (pixels)
+const FITTED_TEXTURE_SIZE = 2048;
+
 /**
- * Load per-face cropped textures for FRUTALUXE (22XU)
- * Returns an object with textures for each exterior face and for flaps.
- *
- * Structure:
- * {
- *   faces: { right, left, front, back, top?, bottom? },
- *   flaps: {
- *     top: { long1, long2, short1, short2 },
- *     bottom: { long1, long2, short1, short2 }
- *   }
- * }
+ * Every slot of a cropped texture set, as dotted paths into the set object
  */
-export async function loadFrutaluxeCroppedTextures22XU() {
-  const cacheKey = `FRUTALUXE_22XU_CROPPED_SET`;
-  if (textureCache[cacheKey]) return textureCache[cacheKey];
-
-  const base = `assets/textures/cropped pngs/22xu/FRUTALUXE/`;
-  const files = {
-    // Exterior sides
-    right: `long side 1.png`,
-    left: `long side 2.png`,
-    front: `short side 1.png`,
-    back: `short side 2.png`,
-    
-    // Interior sides (cardboard color)
-    interior_long: `long side interior.png`,
-    interior_short: `short side interior.png`,
-
-    // Top flap faces
-    flap_long1: `long 1 flap.png`,
-    flap_long2: `long 2 flap.png`,
-    flap_short1: `short 1 flap.png`,
-    flap_short2: `short flap 2.png`,
-
-    // Bottom flap faces
-    flap_bottom_long1: `long 1 flap bottom.png`,
-    flap_bottom_long2: `long 2 flap bottom.png`,
-    flap_bottom_short1: `short 1 flap bottom.png`,
-    flap_bottom_short2: `short 2 flap bottom.png`,
-  };
-
-  const loader = new THREE.TextureLoader();
-  const entries = Object.entries(files);
+export const TEXTURE_SLOTS = [
+  "faces.right",
+  "faces.left",
+  "faces.front",
+  "faces.back",
+  "faces.bottom",
+  "interiors.long",
+  "interiors.short",
+  "flaps.top.long1",
+  "flaps.top.long2",
+  "flaps.top.short1",
+  "flaps.top.short2",
+  "flaps.bottom.long1",
+  "flaps.bottom.long2",
+  "flaps.bottom.short1",
+  "flaps.bottom.short2",
+  "lid.top",
+  "lid.right",
+  "lid.left",
+  "lid.front",
+  "lid.back",
+];
 
-  const loadOne = (key, path) =>
-    new Promise((resolve) => {
-      loader.load(
-        base + path,
-        (tex) => {
-          tex.flipY = false;
-          tex.wrapS = THREE.RepeatWrapping;
-          tex.wrapT = THREE.ClampToEdgeWrapping;
-          tex.colorSpace = THREE.SRGBColorSpace;
-          // Flip texture horizontally
-          tex.repeat.set(-1, 1);
-          tex.offset.set(1, 0);
-          // Rotate 180 degrees clockwise
-          tex.rotation = Math.PI;
-          tex.center.set(0.5, 0.5);
-          // Enable alpha channel for interior textures (needed for holes transparency)
-          if (key.includes('interior')) {
-            tex.format = THREE.RGBAFormat;
-          }
-          resolve([key, tex]);
-        },
-        undefined,
-        () => {
-          // Fail gracefully with a neutral placeholder
-          const placeholder = createFallbackTexture("FRUTALUXE");
-          resolve([key, placeholder]);
+/**
+ * Load the texture manifest (fetched once and shared by all callers)
+ */
+function loadTextureManifest() {
+  if (!manifestPromise) {
+    manifestPromise = fetch(MANIFEST_PATH)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
         }
-      );
-    });
+        return response.json();
+      })
+      .catch((error) => {
+        console.warn(
+          `Failed to load texture manifest: ${MANIFEST_PATH}`,
+          error
+        );
+        manifestPromise = null;
+        return { boxTypes: {}, brands: {} };
+      });
+  }
+  return manifestPromise;
+}
+
+/**
+ * Resolve the manifest entry for a brand and box type.
+ * Box types with a "fallbackBoxType" fill missing artwork from that box
+ * type's set, so a brand without its own set there still gets one.
+ * Returns null when the brand has no cropped set for the box type.
+ */
+function resolveSetEntry(manifest, brand, boxType) {
+  const boxTypeEntry = manifest.boxTypes?.[boxType];
+  if (!boxTypeEntry) return null;
+
+  const defaults = manifest.defaults || {};
+  const fallbackBoxType = boxTypeEntry.fallbackBoxType || null;
+  const setEntry = manifest.brands?.[brand]?.sets?.[boxType];
+
+  if (!setEntry) {
+    if (!fallbackBoxType) return null;
+    if (!resolveSetEntry(manifest, brand, fallbackBoxType)) return null;
+    return {
+      boxType,
+      fallbackBoxType,
+      base: "",
+      files: {},
+      fallbacks: { ...defaults.fallbacks },
+    };
+  }
 
-  const results = await Promise.all(entries.map(([k, v]) => loadOne(k, v)));
-  const map = Object.fromEntries(results);
-
-  const set = {
-    faces: {
-      right: map.right,
-      left: map.left,
-      front: map.front,
-      back: map.back,
-      bottom: map.flap_bottom_long1, // Use bottom flap texture for bottom face
-    },
-    interiors: {
-      long: map.interior_long,   // For long sides (right and left)
-      short: map.interior_short,  // For short sides (front and back)
-    },
-    flaps: {
-      top: {
-        long1: map.flap_long1,
-        long2: map.flap_long2,
-        short1: map.flap_short1,
-        short2: map.flap_short2,
-      },
-      bottom: {
-        long1: map.flap_bottom_long1,
-        long2: map.flap_bottom_long2,
-        short1: map.flap_bottom_short1,
-        short2: map.flap_bottom_short2,
-      },
-    },
+  return {
+    boxType,
+    fallbackBoxType,
+    base: `${manifest.basePath}/${boxTypeEntry.folder}/${setEntry.folder}/`,
+    files: { ...defaults.files, ...setEntry.files },
+    fallbacks: { ...defaults.fallbacks, ...setEntry.fallbacks },
   };
+}
 
-  textureCache[cacheKey] = set;
-  return set;
+/**
+ * Find the slot a missing slot falls back to, using the longest matching
+ * prefix in the fallbacks table (e.g. "flaps.bottom" -> "flaps.top" maps
+ * "flaps.bottom.long1" to "flaps.top.long1").
+ */
+function resolveFallbackSlot(slot, fallbacks) {
+  let prefix = slot;
+  while (prefix) {
+    if (fallbacks[prefix]) {
+      return fallbacks[prefix] + slot.slice(prefix.length);
+    }
+    const dot = prefix.lastIndexOf(".");
+    prefix = dot === -1 ? "" : prefix.slice(0, dot);
+  }
+  return null;
 }
 
 /**
- * Load per-face cropped textures for FRUTANA JOY (22XU)
- * Returns an object with textures for each exterior face and for flaps.
+ * Apply the orientation settings shared by all cropped face textures.
+ * Artwork drawn upright, as it reads on the printed panel, shows upright
+ * on the box once configured this way.
  */
-export async function loadFrutanaJoyCroppedTextures22XU() {
-  const cacheKey = `FRUTANA_JOY_22XU_CROPPED_SET`;
-  if (textureCache[cacheKey]) return textureCache[cacheKey];
-
-  const base = `assets/textures/cropped pngs/22xu/FRUTANA JOY/`;
-  const files = {
-    // Exterior sides
-    right: `long side 1.png`,
-    left: `long side 2.png`,
-    front: `short side 1.png`,
-    back: `short side 2.png`,
-    
-    // Interior sides (cardboard color)
-    interior_long: `long side interior.png`,
-    interior_short: `short side interior.png`,
-
-    // Top flap faces
-    flap_long1: `long side 1 flap.png`,
-    flap_long2: `long side 2 flap.png`,
-    flap_short1: `short side 1 flap.png`,
-    flap_short2: `short side 2 flap.png`,
-
-    // Bottom flap faces
-    flap_bottom_long1: `long side bottom flap.png`,
-    flap_bottom_long2: `long side 2 bottom flap.png`,
-    flap_bottom_short1: `short side bottom flap.png`,
-    flap_bottom_short2: `short side 2 bottom flap.png`,
-  };
+export function configureCroppedTexture(tex) {
+  tex.flipY = false;
+  tex.wrapS = THREE.RepeatWrapping;
+  tex.wrapT = THREE.ClampToEdgeWrapping;
+  tex.colorSpace = THREE.SRGBColorSpace;
+  // Flip texture horizontally
+  tex.repeat.set(-1, 1);
+  tex.offset.set(1, 0);
+  // Rotate 180 degrees clockwise
+  tex.rotation = Math.PI;
+  tex.center.set(0.5, 0.5);
+  return tex;
+}
 
-  const loader = new THREE.TextureLoader();
-  const entries = Object.entries(files);
+/**
+ * Interior artwork made opaque. Vents and hand-holds are cut into the box
+ * geometry, so holes left transparent in the artwork are filled with
+ * plain board instead of showing through.
+ */
+function fillTransparentAreas(texture) {
+  const image = texture.image;
+  if (!image || !image.width) return texture;
+  const canvas = document.createElement("canvas");
+  canvas.width = image.width;
+  canvas.height = image.height;
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = `#${new THREE.Color(KRAFT_COLOR).getHexString()}`;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(image, 0, 0);
 
-  const loadOne = (key, path) =>
-    new Promise((resolve) => {
-      loader.load(
-        base + path,
-        (tex) => {
-          tex.flipY = false;
-          tex.wrapS = THREE.RepeatWrapping;
-          tex.wrapT = THREE.ClampToEdgeWrapping;
-          tex.colorSpace = THREE.SRGBColorSpace;
-          // Flip texture horizontally
-          tex.repeat.set(-1, 1);
-          tex.offset.set(1, 0);
-          // Rotate 180 degrees clockwise
-          tex.rotation = Math.PI;
-          tex.center.set(0.5, 0.5);
-          // Enable alpha channel for interior textures (needed for holes transparency)
-          if (key.includes('interior')) {
-            tex.format = THREE.RGBAFormat;
-          }
-          resolve([key, tex]);
-        },
-        undefined,
-        () => {
-          // Fail gracefully with a neutral placeholder
-          const placeholder = createFallbackTexture("FRUTANA JOY");
-          resolve([key, placeholder]);
-        }
-      );
-    });
+  const filled = configureCroppedTexture(new THREE.CanvasTexture(canvas));
+  filled.userData = { ...texture.userData };
+  return filled;
+}
 
-  const results = await Promise.all(entries.map(([k, v]) => loadOne(k, v)));
-  const map = Object.fromEntries(results);
-
-  const set = {
-    faces: {
-      right: map.right,
-      left: map.left,
-      front: map.front,
-      back: map.back,
-      bottom: map.flap_bottom_long1, // Use bottom flap texture for bottom face
-    },
-    interiors: {
-      long: map.interior_long,   // For long sides (right and left)
-      short: map.interior_short,  // For short sides (front and back)
-    },
-    flaps: {
-      top: {
-        long1: map.flap_long1,
-        long2: map.flap_long2,
-        short1: map.flap_short1,
-        short2: map.flap_short2,
-      },
-      bottom: {
-        long1: map.flap_bottom_long1,
-        long2: map.flap_bottom_long2,
-        short1: map.flap_bottom_short1,
-        short2: map.flap_bottom_short2,
-      },
-    },
-  };
+/**
+ * Set a value in a nested object using a dotted path
+ */
+function setSlot(target, slot, value) {
+  const keys = slot.split(".");
+  const last = keys.pop();
+  let node = target;
+  keys.forEach((key) => {
+    node[key] = node[key] || {};
+    node = node[key];
+  });
+  node[last] = value;
+}
 
-  textureCache[cacheKey] = set;
-  return set;
+/**
+ * Read a value from a nested object using a dotted path
+ */
+function getSlot(source, slot) {
+  return slot.split(".").reduce((node, key) => node?.[key], source);
 }
 
 /**
- * Load per-face cropped textures for FRUTANA (22XU)
- * Returns an object with textures for each exterior face and for flaps.
- * Note: The folder is named "FURTANA OUT" but it's for the FRUTANA brand.
+ * Resample a texture cropped for another box type onto a panel of a
+ * different aspect ratio. The artwork is scaled uniformly to cover the
+ * target panel and centre-cropped, so the print keeps its proportions
+ * instead of being stretched, and it is stamped with an
+ * "approximate artwork" marker.
  */
-export async function loadFrutanaCroppedTextures22XU() {
-  const cacheKey = `FRUTANA_22XU_CROPPED_SET`;
-  // Clear cache to force reload with new rotation settings
-  if (textureCache[cacheKey]) {
-    // Dispose of old textures
-    const oldSet = textureCache[cacheKey];
-    Object.values(oldSet.faces || {}).forEach(tex => tex?.dispose?.());
-    Object.values(oldSet.interiors || {}).forEach(tex => tex?.dispose?.());
-    Object.values(oldSet.flaps?.top || {}).forEach(tex => tex?.dispose?.());
-    Object.values(oldSet.flaps?.bottom || {}).forEach(tex => tex?.dispose?.());
-    delete textureCache[cacheKey];
+function resampleTexture(source, slot, sourceDims, targetDims) {
+  const image = source?.image;
+  const sourcePanel = getSlotPanelSize(slot, sourceDims);
+  const targetPanel = getSlotPanelSize(slot, targetDims);
+  if (!image || !image.width || !sourcePanel || !targetPanel) {
+    return null;
   }
 
-  const base = `assets/textures/cropped pngs/22xu/FURTANA OUT/`;
-  const files = {
-    // Exterior sides
-    right: `long side 1.png`,
-    left: `long side 2.png`,
-    front: `short side 1.png`,
-    back: `short side 2.png`,
-    
-    // Interior sides (cardboard color)
-    // Note: FRUTANA uses "long side 2 interior.png" for long sides
-    interior_long: `long side 2 interior.png`,
-    interior_short: `short side interior.png`,
-
-    // Top flap faces
-    flap_long1: `long side 1 flap.png`,
-    flap_long2: `long side 2 flap.png`,
-    flap_short1: `short side 1 flap.png`,
-    flap_short2: `short side 2 flap.png`,
-
-    // Bottom flap faces
-    flap_bottom_long1: `long side 1 flap bottom.png`,
-    flap_bottom_long2: `long side 2 flap bottom.png`,
-    flap_bottom_short1: `short side1 flap bottom.png`,
-    flap_bottom_short2: `short side 2 flap bottom.png`,
-  };
-
-  const loader = new THREE.TextureLoader();
-  const entries = Object.entries(files);
+  // Fraction of the source artwork that covers the target panel
+  const scale = Math.max(
+    targetPanel.width / sourcePanel.width,
+    targetPanel.height / sourcePanel.height
+  );
+  const cropU = targetPanel.width / scale / sourcePanel.width;
+  const cropV = targetPanel.height / scale / sourcePanel.height;
+  const sw = image.width * cropU;
+  const sh = image.height * cropV;
+  const sx = (image.width - sw) / 2;
+  const sy = (image.height - sh) / 2;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(sw));
+  canvas.height = Math.max(1, Math.round(sh));
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(image, sx, sy, sw, sh, 0, 0, canvas.width, canvas.height);
+  drawApproximateMarker(ctx, canvas.width, canvas.height);
+
+  const texture = configureCroppedTexture(new THREE.CanvasTexture(canvas));
+  texture.userData.approximate = true;
+  return texture;
+}
 
-  const loadOne = (key, path) =>
-    new Promise((resolve) => {
-      loader.load(
-        base + path,
-        (tex) => {
-          tex.flipY = false; // Changed to false to match other brands
-          tex.wrapS = THREE.RepeatWrapping;
-          tex.wrapT = THREE.ClampToEdgeWrapping;
-          tex.colorSpace = THREE.SRGBColorSpace;
-          // Flip horizontally
-          tex.repeat.set(-1, 1);
-          tex.offset.set(1, 0);
-          // Rotate 180 degrees clockwise
-          tex.rotation = Math.PI;
-          tex.center.set(0.5, 0.5);
-          // Enable alpha channel for interior textures (needed for holes transparency)
-          if (key.includes('interior')) {
-            tex.format = THREE.RGBAFormat;
-          }
-          resolve([key, tex]);
-        },
-        undefined,
-        () => {
-          // Fail gracefully with a neutral placeholder
-          const placeholder = createFallbackTexture("FRUTANA");
-          resolve([key, placeholder]);
-        }
-      );
-    });
+/**
+ * Artwork of another panel fitted whole onto a slot's panel: scaled
+ * uniformly to fit inside it, centred, and padded with the colour of the
+ * artwork's corner so the print reads as one background
+ */
+function fitTextureToPanel(source, sourcePanel, targetPanel) {
+  const image = source?.image;
+  if (!image || !image.width || !sourcePanel || !targetPanel) {
+    return source;
+  }
 
-  const results = await Promise.all(entries.map(([k, v]) => loadOne(k, v)));
-  const map = Object.fromEntries(results);
-
-  const set = {
-    faces: {
-      right: map.right,
-      left: map.left,
-      front: map.front,
-      back: map.back,
-      bottom: map.flap_bottom_long1, // Use bottom flap texture for bottom face
-    },
-    interiors: {
-      long: map.interior_long,   // For long sides (right and left)
-      short: map.interior_short,  // For short sides (front and back)
-    },
-    flaps: {
-      top: {
-        long1: map.flap_long1,
-        long2: map.flap_long2,
-        short1: map.flap_short1,
-        short2: map.flap_short2,
-      },
-      bottom: {
-        long1: map.flap_bottom_long1,
-        long2: map.flap_bottom_long2,
-        short1: map.flap_bottom_short1,
-        short2: map.flap_bottom_short2,
-      },
-    },
-  };
+  const scale = Math.min(
+    targetPanel.width / sourcePanel.width,
+    targetPanel.height / sourcePanel.height
+  );
+  // Pixels per scene unit: the artwork's own, up to a canvas size limit
+  const density = Math.min(
+    image.width / (sourcePanel.width * scale),
+    FITTED_TEXTURE_SIZE / Math.max(targetPanel.width, targetPanel.height)
+  );
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(targetPanel.width * density));
+  canvas.height = Math.max(1, Math.round(targetPanel.height * density));
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(image, 0, 0, 1, 1, 0, 0, canvas.width, canvas.height);
+  const width = sourcePanel.width * scale * density;
+  const height = sourcePanel.height * scale * density;
+  ctx.drawImage(
+    image,
+    (canvas.width - width) / 2,
+    (canvas.height - height) / 2,
+    width,
+    height
+  );
+
+  return configureCroppedTexture(new THREE.CanvasTexture(canvas));
+}
 
-  textureCache[cacheKey] = set;
-  return set;
+/**
+ * Stamp a hatched border and an "APPROXIMATE ARTWORK" label on a canvas
+ */
+function drawApproximateMarker(ctx, width, height) {
+  const border = Math.max(4, Math.round(Math.min(width, height) * 0.02));
+  ctx.save();
+  ctx.strokeStyle = "rgba(243, 156, 18, 0.9)";
+  ctx.lineWidth = border;
+  ctx.setLineDash([border * 3, border * 2]);
+  ctx.strokeRect(border / 2, border / 2, width - border, height - border);
+
+  const fontSize = Math.max(12, Math.round(Math.min(width, height) * 0.06));
+  ctx.font = `bold ${fontSize}px Arial`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  const label = "APPROXIMATE ARTWORK";
+  const labelWidth = ctx.measureText(label).width + fontSize;
+  const labelY = height - border * 2 - fontSize;
+  ctx.fillStyle = "rgba(0, 0, 0, 0.55)";
+  ctx.fillRect(
+    (width - labelWidth) / 2,
+    labelY - fontSize * 0.75,
+    labelWidth,
+    fontSize * 1.5
+  );
+  ctx.fillStyle = "rgba(255, 255, 255, 0.95)";
+  ctx.fillText(label, width / 2, labelY);
+  ctx.restore();
 }
 
 /**
- * Load per-face cropped textures for FRUTANOVA (22XU)
- * Returns an object with textures for each exterior face and for flaps.
+ * Box dimensions a texture set is built for, as a cache key
  */
-export async function loadFrutanovaCroppedTextures22XU() {
-  const cacheKey = `FRUTANOVA_22XU_CROPPED_SET`;
-  if (textureCache[cacheKey]) return textureCache[cacheKey];
-
-  const base = `assets/textures/cropped pngs/22xu/FRUTANOVA OUT/`;
-  const files = {
-    // Exterior sides
-    right: `long side 1.png`,
-    left: `long side 2.png`,
-    front: `short side 1.png`,
-    back: `short side 2.png`,
-    
-    // Interior sides (cardboard color)
-    interior_long: `long side interior.png`,
-    interior_short: `short side interior.png`,
-
-    // Top flap faces
-    flap_long1: `long side 1  flap.png`,
-    flap_long2: `long side 2 flap.png`,
-    flap_short1: `short side 1flap.png`,
-    flap_short2: `short side 2 flap.png`,
-
-    // Bottom flap faces - use same as top for now (FRUTANOVA doesn't have separate bottom flaps)
-    flap_bottom_long1: `long side 1  flap.png`,
-    flap_bottom_long2: `long side 2 flap.png`,
-    flap_bottom_short1: `short side 1flap.png`,
-    flap_bottom_short2: `short side 2 flap.png`,
-  };
+function getDimsKey(boxType) {
+  const dims = boxDimensions[boxType];
+  return dims
+    ? `${dims.width}x${dims.height}x${dims.depth}x${dims.lidHeight}`
+    : "";
+}
 
-  const loader = new THREE.TextureLoader();
-  const entries = Object.entries(files);
+// Cropped set loads in progress, so concurrent callers share one load
+const pendingSets = {};
 
-  const loadOne = (key, path) =>
-    new Promise((resolve) => {
-      loader.load(
-        base + path,
-        (tex) => {
-          tex.flipY = false;
-          tex.wrapS = THREE.RepeatWrapping;
-          tex.wrapT = THREE.ClampToEdgeWrapping;
-          tex.colorSpace = THREE.SRGBColorSpace;
-          // Flip texture horizontally
-          tex.repeat.set(-1, 1);
-          tex.offset.set(1, 0);
-          // Rotate 180 degrees clockwise
-          tex.rotation = Math.PI;
-          tex.center.set(0.5, 0.5);
-          // Enable alpha channel for interior textures (needed for holes transparency)
-          if (key.includes('interior')) {
-            tex.format = THREE.RGBAFormat;
-          }
-          resolve([key, tex]);
-        },
-        undefined,
-        () => {
-          const placeholder = createFallbackTexture("FRUTANOVA");
-          resolve([key, placeholder]);
-        }
-      );
+/**
+ * Load the per-face cropped texture set for a brand and box type, as
+ * described by the texture manifest. Resolves to null when the manifest
+ * has no set for that combination.
+ *
+ * Structure:
+ * {
+ *   faces: { right, left, front, back, bottom },
+ *   interiors: { long, short },
+ *   flaps: {
+ *     top: { long1, long2, short1, short2 },
+ *     bottom: { long1, long2, short1, short2 }
+ *   },
+ *   lid: { top, right, left, front, back },
+ *   approximateSlots: [slot, ...],
+ *   approximateFrom: box type the approximate slots were resampled from
+ * }
+ *
+ * Slots without a file of their own reuse the texture of the slot named
+ * in the manifest "fallbacks" table. When the box type declares a
+ * "fallbackBoxType", artwork that is missing for it is resampled from
+ * that box type and listed in approximateSlots. Telescopic lid slots that
+ * fall back to another panel's artwork get it fitted onto the lid panel.
+ */
+export function loadCroppedTextureSet(brand, boxType) {
+  const key = `${brand}_${boxType}_${getDimsKey(boxType)}`;
+  if (!pendingSets[key]) {
+    pendingSets[key] = buildCroppedTextureSet(brand, boxType).finally(() => {
+      delete pendingSets[key];
     });
-
-  const results = await Promise.all(entries.map(([k, v]) => loadOne(k, v)));
-  const map = Object.fromEntries(results);
-
-  const set = {
-    faces: {
-      right: map.right,
-      left: map.left,
-      front: map.front,
-      back: map.back,
-      bottom: map.flap_bottom_long1, // Use bottom flap texture for bottom face
-    },
-    interiors: {
-      long: map.interior_long,   // For long sides (right and left)
-      short: map.interior_short,  // For short sides (front and back)
-    },
-    flaps: {
-      top: {
-        long1: map.flap_long1,
-        long2: map.flap_long2,
-        short1: map.flap_short1,
-        short2: map.flap_short2,
-      },
-      bottom: {
-        long1: map.flap_bottom_long1,
-        long2: map.flap_bottom_long2,
-        short1: map.flap_bottom_short1,
-        short2: map.flap_bottom_short2,
-      },
-    },
-  };
-
-  textureCache[cacheKey] = set;
-  return set;
+  }
+  return pendingSets[key];
 }
 
 /**
- * Load per-face cropped textures for SINDIBAD (22XU)
- * Returns an object with textures for each exterior face and for flaps.
+ * Build a cropped texture set from its manifest entry, or take it from the
+ * cache
  */
-export async function loadSindibadCroppedTextures22XU() {
-  const cacheKey = `SINDIBAD_22XU_CROPPED_SET`;
-  if (textureCache[cacheKey]) return textureCache[cacheKey];
-
-  const base = `assets/textures/cropped pngs/22xu/SINDIBAD OUT/`;
-  const files = {
-    // Exterior sides
-    right: `long side 1.png`,
-    left: `long side 2.png`,
-    front: `short side 1.png`,
-    back: `short side 2.png`,
-    
-    // Interior sides (cardboard color)
-    interior_long: `long side interior.png`,
-    interior_short: `short side interior.png`,
-
-    // Top flap faces
-    flap_long1: `long flap 1.png`,
-    flap_long2: `long flap 2.png`,
-    flap_short1: `short flap 1.png`,
-    flap_short2: `short flap 2.png`,
-
-    // Bottom flap faces - use same as top (SINDIBAD doesn't have separate bottom flaps)
-    flap_bottom_long1: `long flap 1.png`,
-    flap_bottom_long2: `long flap 2.png`,
-    flap_bottom_short1: `short flap 1.png`,
-    flap_bottom_short2: `short flap 2.png`,
-  };
+async function buildCroppedTextureSet(brand, boxType) {
+  const manifest = await loadTextureManifest();
+  const entry = resolveSetEntry(manifest, brand, boxType);
+  if (!entry) return null;
+
+  // Resampled artwork depends on the box dimensions, which can change for
+  // the custom box type, so cached sets are keyed by them as well
+  const dims = boxDimensions[boxType];
+  const dimsKey = getDimsKey(boxType);
+  const cacheKey = `${brand}_${boxType}_CROPPED_SET`;
+  const cached = textureCache[cacheKey];
+  if (cached && cached.dimsKey === dimsKey) return cached;
+  if (cached) {
+    disposeTextureSet(cached);
+    delete textureCache[cacheKey];
+  }
 
   const loader = new THREE.TextureLoader();
-  const entries = Object.entries(files);
-
-  const loadOne = (key, path) =>
+  const loadOne = (slot, file) =>
     new Promise((resolve) => {
       loader.load(
-        base + path,
-        (tex) => {
-          tex.flipY = false;
-          tex.wrapS = THREE.RepeatWrapping;
-          tex.wrapT = THREE.ClampToEdgeWrapping;
-          tex.colorSpace = THREE.SRGBColorSpace;
-          // Flip texture horizontally
-          tex.repeat.set(-1, 1);
-          tex.offset.set(1, 0);
-          // Rotate 180 degrees clockwise
-          tex.rotation = Math.PI;
-          tex.center.set(0.5, 0.5);
-          // Enable alpha channel for interior textures (needed for holes transparency)
-          if (key.includes('interior')) {
-            tex.format = THREE.RGBAFormat;
-          }
-          resolve([key, tex]);
-        },
+        entry.base + file,
+        (tex) => resolve([slot, configureCroppedTexture(tex)]),
         undefined,
-        () => {
-          const placeholder = createFallbackTexture("SINDIBAD");
-          resolve([key, placeholder]);
-        }
+        () => resolve([slot, null])
       );
     });
 
-  const results = await Promise.all(entries.map(([k, v]) => loadOne(k, v)));
-  const map = Object.fromEntries(results);
-
-  const set = {
-    faces: {
-      right: map.right,
-      left: map.left,
-      front: map.front,
-      back: map.back,
-      bottom: map.flap_bottom_long1, // Use bottom flap texture for bottom face
-    },
-    interiors: {
-      long: map.interior_long,   // For long sides (right and left)
-      short: map.interior_short,  // For short sides (front and back)
-    },
-    flaps: {
-      top: {
-        long1: map.flap_long1,
-        long2: map.flap_long2,
-        short1: map.flap_short1,
-        short2: map.flap_short2,
-      },
-      bottom: {
-        long1: map.flap_bottom_long1,
-        long2: map.flap_bottom_long2,
-        short1: map.flap_bottom_short1,
-        short2: map.flap_bottom_short2,
-      },
-    },
+  const slotsWithFiles = TEXTURE_SLOTS.filter((slot) => entry.files[slot]);
+  const results = await Promise.all(
+    slotsWithFiles.map((slot) => loadOne(slot, entry.files[slot]))
+  );
+  const map = Object.fromEntries(results.filter(([, tex]) => tex));
+  const failedSlots = results.filter(([, tex]) => !tex).map(([slot]) => slot);
+
+  // Artwork missing for this box type is resampled from the fallback box type
+  const approximateSlots = [];
+  const sourceSet = entry.fallbackBoxType
+    ? await loadCroppedTextureSet(brand, entry.fallbackBoxType)
+    : null;
+  const resampleSlot = (slot) => {
+    const tex = resampleTexture(
+      getSlot(sourceSet, slot),
+      slot,
+      boxDimensions[entry.fallbackBoxType],
+      dims
+    );
+    if (tex) {
+      map[slot] = tex;
+      approximateSlots.push(slot);
+    }
+    return tex;
+  };
+
+  if (failedSlots.length) {
+    console.warn(
+      `Missing ${brand} ${boxType} artwork: ${failedSlots.join(", ")}` +
+        (sourceSet ? ` (resampling ${entry.fallbackBoxType} artwork)` : "")
+    );
+  }
+  if (sourceSet) {
+    failedSlots.forEach(resampleSlot);
+  }
+
+  // Fill remaining slots from their fallbacks (fallbacks may chain),
+  // finding the slot whose artwork they end up with
+  const resolveSlot = (slot, seen = new Set()) => {
+    if (map[slot]) return slot;
+    if (seen.has(slot)) return null;
+    seen.add(slot);
+    const fallback = resolveFallbackSlot(slot, entry.fallbacks);
+    return fallback ? resolveSlot(fallback, seen) : null;
   };
 
+  const set = {};
+  // Interior artwork the filled slots were painted from, kept on the set
+  // so it is disposed with it
+  const filledFrom = {};
+  TEXTURE_SLOTS.forEach((slot) => {
+    const source = resolveSlot(slot);
+    let tex = source ? map[source] : null;
+    if (!tex && sourceSet) {
+      tex = resampleSlot(slot);
+    }
+    if (tex && source && source !== slot && slot.startsWith("lid.")) {
+      tex = fitTextureToPanel(
+        tex,
+        getSlotPanelSize(source, dims),
+        getSlotPanelSize(slot, dims)
+      );
+    }
+    if (!tex) {
+      console.warn(`No texture for ${brand} ${boxType} slot "${slot}"`);
+    }
+    if (tex && slot.startsWith("interiors.")) {
+      const filled = fillTransparentAreas(tex);
+      if (filled !== tex) filledFrom[slot] = tex;
+      tex = filled;
+    }
+    setSlot(set, slot, tex || createFallbackTexture(brand));
+  });
+  set.approximateSlots = approximateSlots;
+  set.approximateFrom = approximateSlots.length ? entry.fallbackBoxType : null;
+  set.filledFrom = filledFrom;
+  set.dimsKey = dimsKey;
+
   textureCache[cacheKey] = set;
   return set;
 }
 
 /**
- * Clear the texture cache (useful when textures need to be reloaded)
+ * Dispose every texture in a cropped texture set
  */
-export function clearTextureCache() {
-  Object.values(textureCache).forEach(texture => {
-    if (texture.dispose) {
-      texture.dispose();
-    }
-  });
-  Object.keys(textureCache).forEach(key => {
-    delete textureCache[key];
-  });
+function disposeTextureSet(set) {
+  const seen = new Set();
+  const visit = (node) => {
+    Object.values(node || {}).forEach((value) => {
+      if (value?.isTexture) {
+        if (!seen.has(value)) value.dispose();
+        seen.add(value);
+      } else if (value && typeof value === "object") {
+        visit(value);
+      }
+    });
+  };
+  visit(set);
 }
-
@@ -0,0 +1,121 @@
+// Query parameter names of the shareable configuration URL, e.g.
+// ?brand=FRUTALUXE&box=208&style=telescope&board=BC&pack=pad,polybag&flaps=0&lid=1&dims=1&cam=20,12,20
+const PARAMS = {
+  brand: "brand",
+  boxType: "box",
+  boxStyle: "style",
+  boardGrade: "board",
+  packing: "pack",
+  flapsOpen: "flaps",
+  lidOpen: "lid",
+  dimensionsVisible: "dims",
+  camera: "cam",
+  customDimensions: "size",
+};
+
+// Order of the custom size values in the "size" parameter (mm)
+const SIZE_KEYS = ["length", "width", "height", "lidHeight"];
+
+function parseFlag(value) {
+  if (value === "1" || value === "true") return true;
+  if (value === "0" || value === "false") return false;
+  return undefined;
+}
+
+function parseNumbers(value, count) {
+  if (!value) return undefined;
+  const numbers = value.split(",").map(Number);
+  if (numbers.length !== count || !numbers.every(Number.isFinite)) {
+    return undefined;
+  }
+  return numbers;
+}
+
+/**
+ * Read a configuration from a query string.
+ * Only recognised, valid values are returned; anything missing or unknown
+ * is left undefined so the caller can fall back to its defaults.
+ */
+export function parseConfigParams(
+  search,
+  { brands, boxTypes, boxStyles, boardGrades, packingComponents }
+) {
+  const params = new URLSearchParams(search);
+  const brand = params.get(PARAMS.brand);
+  const boxType = params.get(PARAMS.boxType);
+  const boxStyle = params.get(PARAMS.boxStyle);
+  const boardGrade = params.get(PARAMS.boardGrade);
+  const packing = params.get(PARAMS.packing);
+  const size = parseNumbers(params.get(PARAMS.customDimensions), 4);
+
+  return {
+    brand: brands.includes(brand) ? brand : undefined,
+    boxType: boxTypes.includes(boxType) ? boxType : undefined,
+    boxStyle: boxStyles.includes(boxStyle) ? boxStyle : undefined,
+    boardGrade: boardGrades.includes(boardGrade) ? boardGrade : undefined,
+    packing:
+      packing === null
+        ? undefined
+        : packing.split(",").filter((id) => packingComponents.includes(id)),
+    flapsOpen: parseFlag(params.get(PARAMS.flapsOpen)),
+    lidOpen: parseFlag(params.get(PARAMS.lidOpen)),
+    dimensionsVisible: parseFlag(params.get(PARAMS.dimensionsVisible)),
+    camera: parseNumbers(params.get(PARAMS.camera), 3),
+    customDimensions: size
+      ? Object.fromEntries(SIZE_KEYS.map((key, i) => [key, size[i]]))
+      : undefined,
+  };
+}
+
+/**
+ * Write a configuration as a query string (including the leading "?")
+ */
+export function buildConfigParams(state) {
+  const params = new URLSearchParams();
+  params.set(PARAMS.brand, state.brand);
+  params.set(PARAMS.boxType, state.boxType);
+  if (state.customDimensions) {
+    params.set(
+      PARAMS.customDimensions,
+      SIZE_KEYS.map((key) => state.customDimensions[key]).join(",")
+    );
+  }
+  params.set(PARAMS.boxStyle, state.boxStyle);
+  params.set(PARAMS.boardGrade, state.boardGrade);
+  if (state.packing.length) params.set(PARAMS.packing, state.packing.join(","));
+  params.set(PARAMS.flapsOpen, state.flapsOpen ? "1" : "0");
+  params.set(PARAMS.lidOpen, state.lidOpen ? "1" : "0");
+  params.set(PARAMS.dimensionsVisible, state.dimensionsVisible ? "1" : "0");
+  if (state.camera) {
+    params.set(
+      PARAMS.camera,
+      state.camera.map((value) => Number(value.toFixed(2))).join(",")
+    );
+  }
+  // Keep commas readable in shared links
+  return `?${params.toString().replace(/%2C/g, ",")}`;
+}
+
+/**
+ * Absolute link that reopens a configuration
+ */
+export function buildShareUrl(state) {
+  const { origin, pathname } = window.location;
+  return `${origin}${pathname}${buildConfigParams(state)}`;
+}
+
+/**
+ * Record a configuration in the address bar. Distinct configurations add a
+ * history entry so Back steps through them; replace updates the current one.
+ */
+export function writeConfigToHistory(state, { replace = false } = {}) {
+  const search = buildConfigParams(state);
+  if (search === window.location.search) return;
+
+  const url = `${window.location.pathname}${search}${window.location.hash}`;
+  if (replace) {
+    window.history.replaceState(null, "", url);
+  } else {
+    window.history.pushState(null, "", url);
+  }
+}